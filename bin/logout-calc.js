@@ -0,0 +1,227 @@
+#!/usr/bin/env node
+// Command-line front end to the calculation core
+// logout-calc punches.txt --hours 8
+// pbpaste | logout-calc --json
+import { readFileSync } from 'node:fs';
+
+import { TimestampParser, PunchValidator, WorkdayCalculator } from '../core.js';
+import { WorkPolicy } from '../policy.js';
+import { Localizer } from '../i18n.js';
+
+// Messages from the core, in English with 24-hour times
+const english = new Localizer({ language: 'en-GB', hourCycle: 'h23', durationStyle: 'clock' });
+
+const USAGE = `Usage: logout-calc [file] [options]
+
+Reads a punch log from the file, or from stdin when no file (or "-") is given.
+
+Options:
+  --hours <n>     Required active work hours (default 6)
+  --at <time>     Evaluate at this time instead of now: "HH:MM" on the
+                  log's last day, or a full date and time
+  --tz <zone>     Time zone the log was written in, e.g. Europe/Berlin
+                  (default: this machine's)
+  --day-start <HH:MM>
+                  Night shifts: punches before this time count towards
+                  the previous day (default 00:00)
+  --json          Print the result as JSON
+  -h, --help      Show this help`;
+
+class UsageError extends Error {}
+
+/**
+ * Turn argv into { file, hours, at, timeZone, dayStartMinutes, json, help }
+ */
+function parseArgs(args) {
+    const options = { file: null, hours: 6, at: null, timeZone: null, dayStartMinutes: 0, json: false, help: false };
+
+    for (let i = 0; i < args.length; i++) {
+        const [flag, inlineValue] = args[i].startsWith('--') ? args[i].split(/=(.*)/s) : [args[i]];
+        const value = () => {
+            const next = inlineValue ?? args[++i];
+            if (next === undefined) {
+                throw new UsageError(`${flag} needs a value`);
+            }
+            return next;
+        };
+
+        if (flag === '--hours') {
+            options.hours = parseFloat(value());
+            if (!(options.hours >= 0 && options.hours <= 24)) {
+                throw new UsageError('--hours must be a number between 0 and 24');
+            }
+        } else if (flag === '--at') {
+            options.at = value();
+        } else if (flag === '--tz') {
+            options.timeZone = value();
+            if (!TimestampParser.isValidTimeZone(options.timeZone)) {
+                throw new UsageError(`Unknown time zone "${options.timeZone}"`);
+            }
+        } else if (flag === '--day-start') {
+            const match = value().match(/^(\d{1,2}):(\d{2})$/);
+            if (!match || parseInt(match[1]) > 23 || parseInt(match[2]) > 59) {
+                throw new UsageError('--day-start must be a time like 06:00');
+            }
+            options.dayStartMinutes = parseInt(match[1]) * 60 + parseInt(match[2]);
+        } else if (flag === '--json') {
+            options.json = true;
+        } else if (flag === '-h' || flag === '--help') {
+            options.help = true;
+        } else if (flag.startsWith('-') && flag !== '-') {
+            throw new UsageError(`Unknown option ${flag}`);
+        } else if (options.file === null) {
+            options.file = flag;
+        } else {
+            throw new UsageError('Only one input file can be given');
+        }
+    }
+
+    return options;
+}
+
+/**
+ * The reference time for --at
+ * A bare "HH:MM[:SS]" lands on the date of the last punch, so an old log
+ * can be replayed as if it were that time of that day. Both are read on
+ * the log's clock (--tz), not the machine's.
+ */
+function referenceTime(text, punches, timeZone) {
+    const timeOnly = text.match(/^(\d{1,2}):(\d{2})(?::(\d{2}))?$/);
+
+    if (timeOnly) {
+        const { year, month, day } = TimestampParser.wallClock(
+            punches.length > 0 ? punches[punches.length - 1].time : new Date(),
+            timeZone
+        );
+        return TimestampParser.zonedDate(year, month, day,
+            parseInt(timeOnly[1]), parseInt(timeOnly[2]), parseInt(timeOnly[3] || 0), timeZone);
+    }
+
+    const date = TimestampParser.parseDateTimeText(text) || new Date(text);
+    if (isNaN(date)) {
+        throw new UsageError(`Cannot read --at time "${text}"`);
+    }
+    return date;
+}
+
+function readInput(file) {
+    if ((file === null || file === '-') && process.stdin.isTTY) {
+        throw new UsageError('No input: give a file or pipe a punch log in');
+    }
+
+    try {
+        return readFileSync(file === null || file === '-' ? 0 : file, 'utf8');
+    } catch (error) {
+        throw new UsageError(`Cannot read ${file === null || file === '-' ? 'stdin' : file}: ${error.message}`);
+    }
+}
+
+function toJSON(summary, anomalies, diagnostics) {
+    const { day, result, projectedLogout } = summary;
+    const period = (type) => (item) => ({
+        type: type,
+        start: item.start.toISOString(),
+        end: item.end.toISOString(),
+        minutes: Math.round(item.minutes),
+        ongoing: Boolean(item.ongoing),
+        label: item.label || null
+    });
+
+    return JSON.stringify({
+        date: day.key,
+        referenceTime: summary.now.toISOString(),
+        projectedLogout: projectedLogout ? projectedLogout.toISOString() : null,
+        ...result,
+        logoutTime: english.formatTime(result.logoutDate),
+        activeMinutes: Math.round(result.activeMinutes),
+        breakMinutes: Math.round(result.breakMinutes),
+        remainingMinutes: Math.round(result.remainingMinutes),
+        totalOfficeMinutes: Math.round(result.totalOfficeMinutes),
+        progressPercent: Math.round(result.progressPercent),
+        periods: [...day.workPeriods.map(period('work')), ...day.breaks.map(period('break'))]
+            .sort((a, b) => a.start.localeCompare(b.start)),
+        warnings: result.warnings.map(warning => ({ type: warning.type, message: english.describe(warning) })),
+        anomalies: anomalies.map(issue => ({ type: issue.type, message: english.describe(issue) })),
+        skippedLines: diagnostics.map(issue => ({ line: issue.line, text: issue.text, message: english.describe(issue) }))
+    }, null, 2);
+}
+
+function toText(summary, anomalies, diagnostics) {
+    const { day, result } = summary;
+    const formatTime = (date) => english.formatTime(date);
+    const formatDuration = (totalMinutes) => english.formatDuration(totalMinutes);
+
+    const lines = [
+        `${(result.isHistory ? 'Shift ended:' : 'Logout time:').padEnd(15)}${formatTime(result.logoutDate)}`,
+        `Active work:   ${formatDuration(result.activeMinutes)}`,
+        `Breaks:        ${formatDuration(result.breakMinutes)} (${result.breakCount})`,
+        `Remaining:     ${result.isHistory ? '-' : formatDuration(result.remainingMinutes)}`,
+        `In office:     ${formatDuration(result.totalOfficeMinutes)}`,
+        `Progress:      ${Math.round(result.progressPercent)}%`,
+        '',
+        `Breakdown for ${day.key}:`
+    ];
+
+    const periods = [
+        ...day.workPeriods.map(period => ({ ...period, type: 'Work' })),
+        ...day.breaks.map(period => ({ ...period, type: 'Break' }))
+    ].sort((a, b) => a.start - b.start);
+
+    periods.forEach(period => {
+        const source = period.label || (period.corrected ? english.t('breakdown.corrected') : '');
+        const notes = [period.ongoing ? '(ongoing)' : '', source].filter(Boolean).join(' ');
+        lines.push(`  ${period.type.padEnd(5)}  ${formatTime(period.start)} - ${formatTime(period.end)}  ` +
+            `${formatDuration(period.minutes).padStart(5)}${notes ? `  ${notes}` : ''}`);
+    });
+
+    if (result.warnings.length > 0 || anomalies.length > 0 || diagnostics.length > 0) {
+        lines.push('');
+        result.warnings.forEach(warning => lines.push(`Warning: ${english.describe(warning)}`));
+        anomalies.forEach(issue => lines.push(`Check: ${english.describe(issue)}`));
+        diagnostics.forEach(issue => lines.push(skippedLine(issue)));
+    }
+
+    return lines.join('\n');
+}
+
+function skippedLine(issue) {
+    return `Skipped line ${issue.line}: ${english.describe(issue)} ("${issue.text}")`;
+}
+
+function main(args) {
+    const options = parseArgs(args);
+
+    if (options.help) {
+        console.log(USAGE);
+        return 0;
+    }
+
+    const { punches, diagnostics } = TimestampParser.parseLog(readInput(options.file), { timeZone: options.timeZone });
+    if (punches.length === 0) {
+        diagnostics.forEach(issue => console.error(skippedLine(issue)));
+        console.error('No valid timestamps found. Please check your input format.');
+        return 1;
+    }
+
+    const now = options.at ? referenceTime(options.at, punches, options.timeZone) : new Date();
+    const calculator = new WorkdayCalculator({ clock: { now: () => new Date(now) } });
+    const requiredMinutes = options.hours * 60;
+
+    const { dayStartMinutes } = options;
+
+    const summary = calculator.calculate(punches, { requiredMinutes, policy: WorkPolicy.defaults(), dayStartMinutes });
+    const anomalies = PunchValidator.validate(punches, now, requiredMinutes, dayStartMinutes);
+
+    console.log(options.json ? toJSON(summary, anomalies, diagnostics) : toText(summary, anomalies, diagnostics));
+    return 0;
+}
+
+try {
+    process.exitCode = main(process.argv.slice(2));
+} catch (error) {
+    if (!(error instanceof UsageError)) {
+        throw error;
+    }
+    console.error(`logout-calc: ${error.message}\n\n${USAGE}`);
+    process.exitCode = 2;
+}
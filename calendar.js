@@ -0,0 +1,344 @@
+import { TimestampParser } from './core.js';
+import { profileStorage } from './profiles.js';
+
+// ===================================
+// WORK CALENDAR
+// ===================================
+
+// A calendar is { days: [{ date: 'YYYY-MM-DD', type, name, minutes? }],
+// weekdays: { 0-6 (Sunday first): minutes } }. Day types:
+// holiday and leave need no work, half needs half the usual target,
+// target sets the minutes for that one date.
+
+export class WorkCalendar {
+    static empty() {
+        return { days: [], weekdays: {} };
+    }
+
+    static load() {
+        try {
+            const saved = JSON.parse(profileStorage.getItem('workCalendar')) || {};
+            return {
+                days: Array.isArray(saved.days) ? saved.days : [],
+                weekdays: saved.weekdays || {}
+            };
+        } catch (error) {
+            return WorkCalendar.empty();
+        }
+    }
+
+    static save(calendar) {
+        profileStorage.setItem('workCalendar', JSON.stringify(calendar));
+    }
+
+    /**
+     * Weekday of a "YYYY-MM-DD" key, 0 = Sunday
+     */
+    static weekday(dateKey) {
+        const [year, month, day] = dateKey.split('-').map(Number);
+        return new Date(year, month - 1, day).getDay();
+    }
+
+    static entry(calendar, dateKey) {
+        return calendar.days.find(day => day.date === dateKey) || null;
+    }
+
+    /**
+     * Required minutes for a date
+     * defaultMinutes is the global work hours setting; a weekday rule
+     * replaces it, and a marked date replaces both.
+     */
+    static targetMinutes(calendar, dateKey, defaultMinutes) {
+        const weekday = WorkCalendar.weekday(dateKey);
+        const usual = calendar.weekdays[weekday] ?? defaultMinutes;
+        const entry = WorkCalendar.entry(calendar, dateKey);
+
+        if (!entry) {
+            return usual;
+        }
+        if (entry.type === 'holiday' || entry.type === 'leave') {
+            return 0;
+        }
+        if (entry.type === 'half') {
+            return Math.round(usual / 2);
+        }
+        return entry.minutes ?? usual;
+    }
+
+    /**
+     * Add or replace (same date) marked days, kept in date order
+     */
+    static merge(calendar, days) {
+        const byDate = new Map(calendar.days.map(day => [day.date, day]));
+        days.forEach(day => byDate.set(day.date, day));
+
+        return {
+            ...calendar,
+            days: [...byDate.values()].sort((a, b) => a.date.localeCompare(b.date))
+        };
+    }
+
+    /**
+     * Marked days from an iCalendar (.ics) file
+     * Every VEVENT marks the dates it covers (DTEND is exclusive, as for
+     * all-day events). The type comes from the summary: "half day" is a
+     * half day, "leave"/"vacation" is leave, anything else a holiday.
+     * Repeating events count once, on their first date.
+     */
+    static parseICS(text) {
+        // Long lines continue on lines starting with a space or tab
+        const lines = text.replace(/\r\n?/g, '\n').replace(/\n[ \t]/g, '').split('\n');
+        const days = [];
+        let event = null;
+
+        lines.forEach(line => {
+            if (/^BEGIN:VEVENT$/i.test(line)) {
+                event = {};
+                return;
+            }
+            if (/^END:VEVENT$/i.test(line)) {
+                if (event && event.start) {
+                    days.push(...WorkCalendar.eventDays(event));
+                }
+                event = null;
+                return;
+            }
+            if (!event) {
+                return;
+            }
+
+            const match = line.match(/^([A-Z-]+)(?:;[^:]*)?:(.*)$/i);
+            if (!match) {
+                return;
+            }
+
+            const [, property, value] = match;
+            if (/^DTSTART$/i.test(property)) {
+                event.start = WorkCalendar.icsDate(value);
+            } else if (/^DTEND$/i.test(property)) {
+                event.end = WorkCalendar.icsDate(value);
+            } else if (/^SUMMARY$/i.test(property)) {
+                event.summary = value.replace(/\\([,;\\])/g, '$1').replace(/\\n/gi, ' ').trim();
+            }
+        });
+
+        return days;
+    }
+
+    /**
+     * "20261225" or "20261225T090000" as a local Date at midnight of that
+     * day; a UTC time ("20261224T230000Z") counts on the local day it falls on
+     */
+    static icsDate(value) {
+        const match = value.match(/^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})(Z)?)?/i);
+        if (!match) {
+            return null;
+        }
+
+        const [year, month, day, hours, minutes, seconds] = match.slice(1, 7).map(part => parseInt(part) || 0);
+        if (!match[7]) {
+            return new Date(year, month - 1, day);
+        }
+
+        const instant = new Date(Date.UTC(year, month - 1, day, hours, minutes, seconds));
+        return new Date(instant.getFullYear(), instant.getMonth(), instant.getDate());
+    }
+
+    static eventDays(event) {
+        const name = event.summary || '';
+        const type = /half[\s-]?day|halbtag|½/i.test(name) ? 'half'
+            : /\b(leave|vacation|pto|urlaub|cong[ée]|vacaciones)\b/i.test(name) ? 'leave'
+                : 'holiday';
+
+        const days = [];
+        const date = new Date(event.start);
+        const end = event.end && event.end > event.start ? event.end : null;
+
+        // At most a year, so a broken DTEND can't flood the calendar
+        do {
+            days.push({ date: TimestampParser.dateKey(date), type: type, name: name });
+            date.setDate(date.getDate() + 1);
+        } while (end && date < end && days.length < 366);
+
+        return days;
+    }
+}
+
+// ===================================
+// CALENDAR EDITOR
+// ===================================
+
+export class CalendarEditor {
+    /**
+     * i18n: the Localizer that labels the lists and status messages
+     */
+    constructor({ i18n, onChange }) {
+        this.i18n = i18n;
+        this.onChange = onChange;
+
+        this.weekdayList = document.getElementById('calendarWeekdays');
+        this.dateInput = document.getElementById('calendarDate');
+        this.typeInput = document.getElementById('calendarType');
+        this.hoursInput = document.getElementById('calendarHours');
+        this.nameInput = document.getElementById('calendarName');
+        this.addButton = document.getElementById('calendarAdd');
+        this.dayList = document.getElementById('calendarList');
+        this.importInput = document.getElementById('calendarImport');
+        this.statusText = document.getElementById('calendarStatus');
+
+        this.calendar = WorkCalendar.load();
+        this.render();
+        this.updateHoursInput();
+
+        this.typeInput.addEventListener('change', () => this.updateHoursInput());
+        this.addButton.addEventListener('click', () => this.addDay());
+        this.importInput.addEventListener('change', () => this.importFile(this.importInput.files[0]));
+    }
+
+    /**
+     * Required minutes for a date, see WorkCalendar.targetMinutes
+     */
+    targetMinutes(dateKey, defaultMinutes) {
+        return WorkCalendar.targetMinutes(this.calendar, dateKey, defaultMinutes);
+    }
+
+    entry(dateKey) {
+        return WorkCalendar.entry(this.calendar, dateKey);
+    }
+
+    /**
+     * Redraw both lists, e.g. after the language changed
+     */
+    render() {
+        this.renderWeekdays();
+        this.renderDays();
+    }
+
+    /**
+     * Pick up a calendar another tab saved
+     */
+    reload() {
+        this.calendar = WorkCalendar.load();
+        this.render();
+    }
+
+    /**
+     * One hours field per weekday, Monday first; empty uses the work hours setting
+     */
+    renderWeekdays() {
+        this.weekdayList.innerHTML = '';
+
+        [1, 2, 3, 4, 5, 6, 0].forEach(weekday => {
+            // 2026-02-01 was a Sunday
+            const name = this.i18n.formatDate(new Date(2026, 1, 1 + weekday), { weekday: 'short' });
+
+            const label = document.createElement('label');
+            label.className = 'calendar-weekday';
+            label.textContent = name;
+
+            const input = document.createElement('input');
+            input.type = 'number';
+            input.className = 'form-input';
+            input.min = '0';
+            input.max = '24';
+            input.step = '0.5';
+            input.placeholder = '–';
+            input.setAttribute('aria-label', this.i18n.t('calendar.weekdayHours', { day: name }));
+            if (this.calendar.weekdays[weekday] !== undefined) {
+                input.value = this.calendar.weekdays[weekday] / 60;
+            }
+
+            input.addEventListener('change', () => {
+                const hours = parseFloat(input.value);
+                if (isNaN(hours) || hours < 0) {
+                    delete this.calendar.weekdays[weekday];
+                    input.value = '';
+                } else {
+                    this.calendar.weekdays[weekday] = hours * 60;
+                }
+                this.handleChange();
+            });
+
+            label.appendChild(input);
+            this.weekdayList.appendChild(label);
+        });
+    }
+
+    renderDays() {
+        this.dayList.innerHTML = '';
+        this.dayList.style.display = this.calendar.days.length > 0 ? 'flex' : 'none';
+
+        this.calendar.days.forEach(day => {
+            const row = document.createElement('div');
+            row.className = 'calendar-day';
+
+            const text = document.createElement('span');
+            const target = day.type === 'target' ? ` (${this.i18n.formatDuration(day.minutes)})` : '';
+            text.textContent = `${day.date} · ${this.i18n.t(`calendar.${day.type}`)}${target}${day.name ? ` · ${day.name}` : ''}`;
+
+            const remove = document.createElement('button');
+            remove.type = 'button';
+            remove.className = 'planned-break-remove';
+            remove.textContent = '×';
+            remove.setAttribute('aria-label', this.i18n.t('calendar.remove', { date: day.date }));
+            remove.addEventListener('click', () => {
+                this.calendar.days = this.calendar.days.filter(entry => entry !== day);
+                this.renderDays();
+                this.handleChange();
+            });
+
+            row.appendChild(text);
+            row.appendChild(remove);
+            this.dayList.appendChild(row);
+        });
+    }
+
+    updateHoursInput() {
+        this.hoursInput.disabled = this.typeInput.value !== 'target';
+    }
+
+    addDay() {
+        if (!this.dateInput.value) {
+            this.statusText.textContent = this.i18n.t('calendar.pickDate');
+            return;
+        }
+
+        const day = { date: this.dateInput.value, type: this.typeInput.value, name: this.nameInput.value.trim() };
+        if (day.type === 'target') {
+            day.minutes = Math.max(0, parseFloat(this.hoursInput.value) || 0) * 60;
+        }
+
+        this.calendar = WorkCalendar.merge(this.calendar, [day]);
+        this.statusText.textContent = '';
+        this.nameInput.value = '';
+        this.renderDays();
+        this.handleChange();
+    }
+
+    async importFile(file) {
+        if (!file) {
+            return;
+        }
+
+        try {
+            const days = WorkCalendar.parseICS(await file.text());
+            if (days.length === 0) {
+                this.statusText.textContent = this.i18n.t('calendar.importNone', { file: file.name });
+            } else {
+                this.calendar = WorkCalendar.merge(this.calendar, days);
+                this.statusText.textContent = this.i18n.t('calendar.imported', { file: file.name, count: days.length });
+                this.renderDays();
+                this.handleChange();
+            }
+        } catch (error) {
+            this.statusText.textContent = this.i18n.t('calendar.importFailed', { file: file.name });
+        }
+
+        this.importInput.value = '';
+    }
+
+    handleChange() {
+        WorkCalendar.save(this.calendar);
+        this.onChange();
+    }
+}
@@ -0,0 +1,1768 @@
+// Calculation core: parsing, validation and the workday math. No DOM
+// access, so it also runs (and is tested) in Node; script.js is the
+// page layer over WorkdayCalculator.
+import { WorkPolicy } from './policy.js';
+
+// ===================================
+// TIMESTAMP PARSER
+// ===================================
+
+export class TimestampParser {
+    /**
+     * Parse timestamps from the input text
+     * The layout is sniffed from the text and handed to the matching
+     * format parser (see PUNCH LOG FORMATS below). Default portal format:
+     * 11:01:55 am
+     * 03 Feb 2026
+     * KGIT database new
+     * Info
+     * 12:49:32 pm
+     * ...
+     */
+    static parseTimestamps(text, options = {}) {
+        return TimestampParser.parsePunches(text, options).map(punch => punch.time);
+    }
+
+    /**
+     * Parse punches from the input text
+     * Like parseTimestamps, but keeps what the log says about each punch:
+     * { time: Date, label: 'KGIT database new · Info' | null, direction: 'in' | 'out' | null }
+     * options: { timeZone } reads times without an offset as wall-clock
+     * time in that IANA zone (a server log) instead of this device's.
+     */
+    static parsePunches(text, options = {}) {
+        return TimestampParser.parseLog(text, options).punches;
+    }
+
+    /**
+     * Parse the input text into punches plus the lines that were rejected
+     * Returns { format, punches, diagnostics } where each diagnostic is
+     * { line: 1-based line number in text, text, key, params } for a line
+     * that looks like a time or date but could not be used; key and params
+     * are the reason, see Localizer.describe.
+     */
+    static parseLog(text, options = {}) {
+        const numberedLines = (text || '').split('\n')
+            .map((line, index) => ({ text: line.trim(), number: index + 1 }))
+            .filter(line => line.text);
+        const lines = numberedLines.map(line => line.text);
+        const format = TimestampParser.detectFormat(text);
+        const diagnostics = [];
+
+        // Formats report by index into the non-empty lines
+        const report = (index, { key, params = {} }) => {
+            const { text, number } = numberedLines[index];
+            diagnostics.push({ line: number, text: text, key: key, params: params });
+        };
+
+        if (!format) {
+            lines.forEach((line, index) => {
+                if (TimestampParser.looksLikeTimestamp(line)) {
+                    report(index, TimestampParser.rejectionReason(line));
+                }
+            });
+            return { format: null, punches: [], diagnostics: diagnostics };
+        }
+
+        const punches = format.parse(lines, options, report).sort((a, b) => a.time - b.time);
+
+        return {
+            format: format,
+            punches: punches,
+            diagnostics: diagnostics.sort((a, b) => a.line - b.line)
+        };
+    }
+
+    /**
+     * Build a punch from its time and the source text that came with it
+     * The source text becomes the label, and names the direction if it
+     * mentions one (IN, OUT, Entry, Exit, Check-in, ...).
+     */
+    static createPunch(time, sourceText = '') {
+        const label = sourceText.replace(/^[\s,;|·-]+|[\s,;|·-]+$/g, '');
+
+        return {
+            time: time,
+            label: label || null,
+            direction: TimestampParser.directionOf(label)
+        };
+    }
+
+    /**
+     * Read an explicit IN/OUT direction from a label
+     * Returns 'in', 'out', or null when the label names neither (or both).
+     */
+    static directionOf(text) {
+        if (!text) {
+            return null;
+        }
+
+        const isIn = /\b(in|entry|enter|(check|clock|punch|log|sign)[\s-]?in|login)\b/i.test(text);
+        const isOut = /\b(out|exit|(check|clock|punch|log|sign)[\s-]?out|logout)\b/i.test(text);
+
+        if (isIn === isOut) {
+            return null;
+        }
+
+        return isIn ? 'in' : 'out';
+    }
+
+    /**
+     * Accept a bare Date wherever a punch is expected
+     */
+    static toPunch(entry) {
+        return entry instanceof Date ? { time: entry, label: null, direction: null } : entry;
+    }
+
+    /**
+     * Split input text into trimmed, non-empty lines
+     */
+    static splitLines(text) {
+        if (!text || !text.trim()) {
+            return [];
+        }
+
+        return text.split('\n').map(line => line.trim()).filter(line => line);
+    }
+
+    /**
+     * Register a punch log format parser
+     * A format is { id, name, detect(lines), parse(lines, options, report) }
+     * where detect returns how many lines it recognises and parse returns
+     * punches (see createPunch). options are those of parsePunches;
+     * report(index, { key, params }) flags a line it had to reject.
+     * A "format.<id>" UI string, if there is one, names the format on screen.
+     */
+    static registerFormat(format) {
+        TimestampParser.formats = TimestampParser.formats.filter(f => f.id !== format.id);
+        TimestampParser.formats.push(format);
+    }
+
+    /**
+     * Pick the registered format that recognises the most lines
+     * Ties go to the format registered first. Returns null if none match.
+     */
+    static detectFormat(text) {
+        const lines = TimestampParser.splitLines(text);
+        let bestFormat = null;
+        let bestScore = 0;
+
+        TimestampParser.formats.forEach(format => {
+            const score = format.detect(lines);
+            if (score > bestScore) {
+                bestFormat = format;
+                bestScore = score;
+            }
+        });
+
+        return bestFormat;
+    }
+
+    /**
+     * Convert a clock reading to 24-hour hours
+     * Returns null for a reading that contradicts itself, like 13:45 pm:
+     * there is no telling which half of the day was meant.
+     */
+    static to24Hour(hours, meridiem) {
+        if (meridiem) {
+            meridiem = meridiem.toLowerCase();
+            if (hours > 12) {
+                return null;
+            }
+            if (meridiem === 'pm' && hours < 12) {
+                return hours + 12;
+            } else if (meridiem === 'am' && hours === 12) {
+                return 0;
+            }
+        }
+        // If no meridiem, assume hours is already in 24h format (0-23)
+        return hours;
+    }
+
+    /**
+     * Check that date and clock parts name a real moment (no 24:10 or
+     * 31 Feb, which the Date constructor would quietly roll over)
+     */
+    static isValidDateTime(year, month, day, hours, minutes, seconds = 0) {
+        const daysInMonth = new Date(year, month + 1, 0).getDate();
+
+        return month >= 0 && month <= 11 &&
+            day >= 1 && day <= daysInMonth &&
+            hours >= 0 && hours <= 23 &&
+            minutes >= 0 && minutes <= 59 &&
+            seconds >= 0 && seconds <= 59;
+    }
+
+    /**
+     * Whether a line reads like a time or date, so failing to parse it is
+     * worth a diagnostic (a door name or "Info" is not)
+     */
+    static looksLikeTimestamp(line) {
+        return /(?<!\d)\d{1,2}:\d{2}(?!\d)/.test(line) ||
+            /\b\d{1,2}\.?\s+\p{L}{3,}\.?\s+\d{4}\b/u.test(line) ||
+            /(?<!\d)\d{1,2}[/.]\d{1,2}[/.]\d{4}(?!\d)/.test(line) ||
+            /(?<!\d)\d{4}-\d{2}-\d{2}(?!\d)/.test(line);
+    }
+
+    /**
+     * Best guess at why a timestamp-like line was rejected, as { key, params }
+     */
+    static rejectionReason(line) {
+        const named = line.match(/\b(\d{1,2})\.?\s+(\p{L}{3,})\.?\s+(\d{4})\b/u);
+        const iso = line.match(/(?<!\d)(\d{4})-(\d{2})-(\d{2})(?!\d)/);
+        const dmy = line.match(/(?<!\d)(\d{1,2})[/.](\d{1,2})[/.](\d{4})(?!\d)/);
+
+        if (named && TimestampParser.monthIndex(named[2]) === undefined) {
+            return { key: 'parse.unknownMonth', params: { month: named[2] } };
+        }
+
+        // [match, year, month (1-based), day] of whichever date the line holds
+        const date = named ? [named[0], named[3], TimestampParser.monthIndex(named[2]) + 1, named[1]]
+            : iso ? [iso[0], iso[1], iso[2], iso[3]]
+                : dmy ? [dmy[0], dmy[3], dmy[2], dmy[1]]
+                    : null;
+        if (date && !TimestampParser.isValidDateTime(parseInt(date[1]), parseInt(date[2]) - 1, parseInt(date[3]), 0, 0)) {
+            return { key: 'parse.invalidDate', params: { text: date[0] } };
+        }
+
+        const clock = line.match(/(?<!\d)(\d{1,2}):(\d{2})(?::(\d{2}))?(?:\s*([ap]m)\b)?/i);
+        if (clock && clock[4] && TimestampParser.to24Hour(parseInt(clock[1]), clock[4]) === null) {
+            return { key: 'parse.mixedMeridiem', params: { text: clock[0] } };
+        }
+        if (clock && !TimestampParser.isValidDateTime(2000, 0, 1, parseInt(clock[1]), parseInt(clock[2]), parseInt(clock[3] || 0))) {
+            return { key: 'parse.invalidTime', params: { text: clock[0] } };
+        }
+
+        return { key: 'parse.unreadable' };
+    }
+
+    /**
+     * Build the Date for a wall-clock time, in this device's zone or in
+     * the given IANA time zone ("Europe/Berlin")
+     * Out-of-range parts roll over like the Date constructor (day 32 is
+     * the 1st of the next month), so adding a day never needs 24h math.
+     */
+    static zonedDate(year, month, day, hours, minutes, seconds, timeZone = null) {
+        if (!timeZone) {
+            return new Date(year, month, day, hours, minutes, seconds);
+        }
+
+        // Read the wall clock as if it were UTC, then shift by the zone's
+        // offset. The offset is checked again at the result because it may
+        // differ on either side of a DST change.
+        const wallClock = Date.UTC(year, month, day, hours, minutes, seconds);
+        const guess = wallClock - TimestampParser.timeZoneOffset(wallClock, timeZone);
+        return new Date(wallClock - TimestampParser.timeZoneOffset(guess, timeZone));
+    }
+
+    /**
+     * Offset of an IANA time zone from UTC at an instant, in milliseconds
+     */
+    static timeZoneOffset(instant, timeZone) {
+        const parts = TimestampParser.wallClock(new Date(instant), timeZone);
+        const asUTC = Date.UTC(parts.year, parts.month, parts.day, parts.hours, parts.minutes, parts.seconds);
+        return asUTC - (instant - instant % 1000);
+    }
+
+    /**
+     * Calendar parts of an instant as a clock in the given zone shows it
+     * Returns { year, month (0-based), day, hours, minutes, seconds }.
+     */
+    static wallClock(date, timeZone = null) {
+        if (!timeZone) {
+            return {
+                year: date.getFullYear(),
+                month: date.getMonth(),
+                day: date.getDate(),
+                hours: date.getHours(),
+                minutes: date.getMinutes(),
+                seconds: date.getSeconds()
+            };
+        }
+
+        if (!TimestampParser.zoneFormatters.has(timeZone)) {
+            TimestampParser.zoneFormatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+                timeZone: timeZone,
+                hourCycle: 'h23',
+                year: 'numeric',
+                month: 'numeric',
+                day: 'numeric',
+                hour: 'numeric',
+                minute: 'numeric',
+                second: 'numeric'
+            }));
+        }
+
+        const parts = {};
+        TimestampParser.zoneFormatters.get(timeZone).formatToParts(date).forEach(part => {
+            parts[part.type] = parseInt(part.value);
+        });
+
+        return {
+            year: parts.year,
+            month: parts.month - 1,
+            day: parts.day,
+            hours: parts.hour % 24,
+            minutes: parts.minute,
+            seconds: parts.second
+        };
+    }
+
+    static isValidTimeZone(timeZone) {
+        try {
+            new Intl.DateTimeFormat('en-US', { timeZone: timeZone });
+            return true;
+        } catch (error) {
+            return false;
+        }
+    }
+
+    /**
+     * Look up a month name ("Feb", "february", "März", "févr.") and return
+     * its 0-based index
+     * English names always work; other languages come from Intl for the
+     * locales in TimestampParser.monthLocales. Case, accents and a
+     * trailing dot don't matter.
+     */
+    static monthIndex(name) {
+        const monthMap = {
+            'jan': 0, 'january': 0,
+            'feb': 1, 'february': 1,
+            'mar': 2, 'march': 2,
+            'apr': 3, 'april': 3,
+            'may': 4,
+            'jun': 5, 'june': 5,
+            'jul': 6, 'july': 6,
+            'aug': 7, 'august': 7,
+            'sep': 8, 'sept': 8, 'september': 8,
+            'oct': 9, 'october': 9,
+            'nov': 10, 'november': 10,
+            'dec': 11, 'december': 11
+        };
+
+        const key = TimestampParser.normalizeMonthName(name);
+        return key in monthMap ? monthMap[key] : TimestampParser.localMonthNames().get(key);
+    }
+
+    static normalizeMonthName(name) {
+        return name.toLowerCase().normalize('NFD').replace(/\p{M}/gu, '').replace(/\.$/, '');
+    }
+
+    /**
+     * Month names of the configured locales, long and short, including the
+     * forms used inside a date ("3 marca" next to "marzec")
+     * Built once per set of locales; a name two locales use for different
+     * months is left out rather than guessed.
+     */
+    static localMonthNames() {
+        if (TimestampParser.monthNameCache) {
+            return TimestampParser.monthNameCache;
+        }
+
+        const names = new Map();
+        const ambiguous = new Set();
+        const add = (name, month) => {
+            const key = TimestampParser.normalizeMonthName(name);
+            if (!/^\p{L}{3,}$/u.test(key) || ambiguous.has(key)) {
+                return;
+            }
+            if (names.has(key) && names.get(key) !== month) {
+                names.delete(key);
+                ambiguous.add(key);
+                return;
+            }
+            names.set(key, month);
+        };
+
+        TimestampParser.monthLocales.forEach(locale => {
+            ['long', 'short'].forEach(width => {
+                let standalone;
+                let inDate;
+                try {
+                    standalone = new Intl.DateTimeFormat(locale, { month: width, timeZone: 'UTC' });
+                    inDate = new Intl.DateTimeFormat(locale, { day: 'numeric', month: width, timeZone: 'UTC' });
+                } catch (error) {
+                    return; // Unknown locale tag
+                }
+
+                for (let month = 0; month < 12; month++) {
+                    const date = new Date(Date.UTC(2000, month, 15));
+                    add(standalone.format(date), month);
+                    inDate.formatToParts(date)
+                        .filter(part => part.type === 'month')
+                        .forEach(part => add(part.value, month));
+                }
+            });
+        });
+
+        TimestampParser.monthNameCache = names;
+        return names;
+    }
+
+    /**
+     * Also read month names in these locales (BCP 47 tags, e.g. the UI
+     * language); unknown tags are ignored
+     */
+    static addMonthLocales(locales) {
+        const added = locales.filter(locale => locale && !TimestampParser.monthLocales.includes(locale));
+        if (added.length > 0) {
+            TimestampParser.monthLocales = [...TimestampParser.monthLocales, ...added];
+            TimestampParser.monthNameCache = null;
+        }
+    }
+
+    /**
+     * Parse a single string holding both a date and a time
+     * Accepts ISO-8601 ("2026-02-03T11:01:55"), "03/02/2026 11:01" (day first)
+     * and "03 Feb 2026 11:01:55 am". Returns a Date or null.
+     * options: { timeZone } as for parsePunches
+     */
+    static parseDateTimeText(text, { timeZone = null } = {}) {
+        const isoMatch = text.match(TimestampParser.patterns.iso);
+        if (isoMatch) {
+            if (!TimestampParser.isValidDateTime(
+                parseInt(isoMatch[1]), parseInt(isoMatch[2]) - 1, parseInt(isoMatch[3]),
+                parseInt(isoMatch[4]), parseInt(isoMatch[5]), parseInt(isoMatch[6] || 0)
+            )) {
+                return null;
+            }
+
+            // An explicit offset or "Z" pins the instant; otherwise it is local time
+            if (isoMatch[7]) {
+                const date = new Date(isoMatch[0].replace(' ', 'T').replace(/([+-]\d{2})(\d{2})$/, '$1:$2'));
+                return isNaN(date) ? null : date;
+            }
+            return TimestampParser.zonedDate(
+                parseInt(isoMatch[1]), parseInt(isoMatch[2]) - 1, parseInt(isoMatch[3]),
+                parseInt(isoMatch[4]), parseInt(isoMatch[5]), parseInt(isoMatch[6] || 0),
+                timeZone
+            );
+        }
+
+        // Both remaining layouts read day, month, year, hours, minutes, seconds
+        const build = (year, month, day, hours, minutes, seconds) => {
+            return month !== undefined && hours !== null && TimestampParser.isValidDateTime(year, month, day, hours, minutes, seconds)
+                ? TimestampParser.zonedDate(year, month, day, hours, minutes, seconds, timeZone)
+                : null;
+        };
+
+        const dmyMatch = text.match(TimestampParser.patterns.dmy);
+        if (dmyMatch) {
+            return build(
+                parseInt(dmyMatch[3]), parseInt(dmyMatch[2]) - 1, parseInt(dmyMatch[1]),
+                TimestampParser.to24Hour(parseInt(dmyMatch[4]), dmyMatch[7]),
+                parseInt(dmyMatch[5]), parseInt(dmyMatch[6] || 0)
+            );
+        }
+
+        const singleMatch = text.match(TimestampParser.patterns.singleLine);
+        if (singleMatch) {
+            return build(
+                parseInt(singleMatch[3]), TimestampParser.monthIndex(singleMatch[2]), parseInt(singleMatch[1]),
+                TimestampParser.to24Hour(parseInt(singleMatch[4]), singleMatch[7]),
+                parseInt(singleMatch[5]), parseInt(singleMatch[6] || 0)
+            );
+        }
+
+        return null;
+    }
+
+    /**
+     * Parse a one-punch-per-line entry; text around the date/time is the label
+     */
+    static parseLinePunch(line, pattern, options = {}) {
+        const time = TimestampParser.parseDateTimeText(line, options);
+        if (!time) {
+            return null;
+        }
+
+        return TimestampParser.createPunch(time, line.replace(pattern, ' '));
+    }
+
+    /**
+     * Parse every line of a one-punch-per-line format
+     * Lines in another layout are skipped, and reported if they look like
+     * a timestamp; so are lines in the layout that name no real moment.
+     */
+    static parseEachLine(lines, pattern, options = {}, report = () => {}) {
+        const punches = [];
+
+        lines.forEach((line, index) => {
+            const punch = pattern.test(line) ? TimestampParser.parseLinePunch(line, pattern, options) : null;
+
+            if (punch) {
+                punches.push(punch);
+            } else if (TimestampParser.looksLikeTimestamp(line)) {
+                report(index, TimestampParser.rejectionReason(line));
+            }
+        });
+
+        return punches;
+    }
+
+    /**
+     * Split one CSV row, honouring double-quoted cells
+     */
+    static splitCsvRow(row, delimiter) {
+        const cells = [];
+        let cell = '';
+        let quoted = false;
+
+        for (let i = 0; i < row.length; i++) {
+            const char = row[i];
+
+            if (char === '"') {
+                if (quoted && row[i + 1] === '"') {
+                    cell += '"';
+                    i++;
+                } else {
+                    quoted = !quoted;
+                }
+            } else if (char === delimiter && !quoted) {
+                cells.push(cell.trim());
+                cell = '';
+            } else {
+                cell += char;
+            }
+        }
+
+        cells.push(cell.trim());
+        return cells;
+    }
+
+    /**
+     * Write punches back out in the portal format
+     * Used to put a stored day back into the textarea so it parses again.
+     * options: { timeZone } writes the wall clock of that zone, matching
+     * what parsePunches expects with the same option.
+     */
+    static formatPunches(punches, { timeZone = null } = {}) {
+        const monthNames = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+
+        return punches.map(TimestampParser.toPunch).map(punch => {
+            const time = TimestampParser.wallClock(punch.time, timeZone);
+            const hours = String(time.hours % 12 || 12).padStart(2, '0');
+            const minutes = String(time.minutes).padStart(2, '0');
+            const seconds = String(time.seconds).padStart(2, '0');
+            const meridiem = time.hours < 12 ? 'am' : 'pm';
+            const day = String(time.day).padStart(2, '0');
+
+            const lines = [
+                `${hours}:${minutes}:${seconds} ${meridiem}`,
+                `${day} ${monthNames[time.month]} ${time.year}`
+            ];
+
+            if (punch.label) {
+                lines.push(...punch.label.split(' · '));
+            }
+
+            // Keep a direction the label doesn't already spell out
+            if (punch.direction && TimestampParser.directionOf(punch.label) !== punch.direction) {
+                lines.push(punch.direction.toUpperCase());
+            }
+
+            return lines.join('\n');
+        }).join('\n');
+    }
+
+    /**
+     * Build a "YYYY-MM-DD" key for the local calendar date of a timestamp
+     */
+    static dateKey(date) {
+        const year = date.getFullYear();
+        const month = String(date.getMonth() + 1).padStart(2, '0');
+        const day = String(date.getDate()).padStart(2, '0');
+        return `${year}-${month}-${day}`;
+    }
+
+    /**
+     * Key of the working day a timestamp belongs to
+     * With night shifts the working day starts at dayStartMinutes past
+     * midnight instead of at midnight, so a 22:00-06:00 shift is one day,
+     * keyed by the date it started on.
+     */
+    static dayKey(date, dayStartMinutes = 0) {
+        const minutesIntoDay = date.getHours() * 60 + date.getMinutes();
+
+        return minutesIntoDay < dayStartMinutes
+            ? TimestampParser.dateKey(new Date(date.getFullYear(), date.getMonth(), date.getDate() - 1))
+            : TimestampParser.dateKey(date);
+    }
+
+    /**
+     * Group sorted timestamps (or punches) by working day
+     * Each day gets its own IN/OUT sequence, so overnight gaps are never
+     * counted as work or break. Days are calendar dates unless a night-shift
+     * day start is given (see dayKey).
+     * Returns: [{ key: '2026-02-03', date: Date (midnight), timestamps: [...], punches: [...] }, ...]
+     */
+    static groupByDate(timestamps, dayStartMinutes = 0) {
+        const days = [];
+        let currentDay = null;
+
+        timestamps.map(TimestampParser.toPunch).forEach(punch => {
+            const timestamp = punch.time;
+            const key = TimestampParser.dayKey(timestamp, dayStartMinutes);
+
+            if (!currentDay || currentDay.key !== key) {
+                const [year, month, day] = key.split('-').map(Number);
+                currentDay = {
+                    key: key,
+                    date: new Date(year, month - 1, day),
+                    timestamps: [],
+                    punches: []
+                };
+                days.push(currentDay);
+            }
+
+            currentDay.timestamps.push(timestamp);
+            currentDay.punches.push(punch);
+        });
+
+        return days;
+    }
+
+    /**
+     * Resolve the IN/OUT direction of every punch
+     * An explicit direction from the log wins; otherwise the punch flips
+     * the previous one, which gives the alternating pattern:
+     * Login (IN), OUT, IN, OUT, IN, ...
+     */
+    static resolveDirections(punches) {
+        let previousDirection = null;
+
+        return punches.map(TimestampParser.toPunch).map(punch => {
+            const direction = punch.direction || (previousDirection === 'in' ? 'out' : 'in');
+            previousDirection = direction;
+
+            return {
+                ...punch,
+                direction: direction,
+                inferred: !punch.direction
+            };
+        });
+    }
+
+    /**
+     * Calculate breaks and active time using IN/OUT pairing
+     * Punches with an explicit direction are paired by it; the rest fall
+     * back to the alternating pattern (see resolveDirections):
+     * - Period starting at an IN punch: Work
+     * - Period starting at an OUT punch: Break
+     * Accepts Dates or punches.
+     */
+    static calculateBreaksAlternating(timestamps, referenceTime = new Date()) {
+        if (timestamps.length === 0) {
+            return {
+                breaks: [],
+                totalBreakMinutes: 0,
+                activeMinutes: 0,
+                workPeriods: []
+            };
+        }
+
+        const punches = TimestampParser.resolveDirections(timestamps);
+        const breaks = [];
+        const workPeriods = [];
+        let totalBreakMinutes = 0;
+        let totalActiveMinutes = 0;
+
+        // Process all intervals between punches
+        for (let i = 0; i < punches.length - 1; i++) {
+            const start = punches[i].time;
+            const end = punches[i + 1].time;
+            const minutes = (end - start) / (1000 * 60);
+
+            const period = {
+                start: start,
+                end: end,
+                minutes: minutes,
+                label: punches[i].label
+            };
+            // Started by a punch an accepted fix added
+            if (punches[i].corrected) {
+                period.corrected = true;
+            }
+
+            if (punches[i].direction === 'in') {
+                // Started by an IN punch: Work
+                workPeriods.push(period);
+                totalActiveMinutes += minutes;
+            } else {
+                // Started by an OUT punch: Break
+                breaks.push(period);
+                totalBreakMinutes += minutes;
+            }
+        }
+
+        // Handle the ongoing period from the last punch to the reference time
+        const lastPunch = punches[punches.length - 1];
+        const lastTS = lastPunch.time;
+
+        // Only add ongoing period if reference time is after last timestamp
+        if (referenceTime > lastTS) {
+            const lastMinutes = (referenceTime - lastTS) / (1000 * 60);
+            const period = {
+                start: lastTS,
+                end: referenceTime,
+                minutes: lastMinutes,
+                label: lastPunch.label,
+                ongoing: true
+            };
+            if (lastPunch.corrected) {
+                period.corrected = true;
+            }
+
+            if (lastPunch.direction === 'in') {
+                // Last punch was IN: ongoing Work
+                workPeriods.push(period);
+                totalActiveMinutes += lastMinutes;
+            } else {
+                // Last punch was OUT: ongoing Break
+                breaks.push(period);
+                totalBreakMinutes += lastMinutes;
+            }
+        }
+
+        return {
+            breaks,
+            totalBreakMinutes: Math.round(totalBreakMinutes),
+            activeMinutes: Math.round(totalActiveMinutes),
+            workPeriods
+        };
+    }
+
+    /**
+     * Calculate breaks between timestamps (legacy method for gaps)
+     * Assumes gaps > 5 minutes are breaks
+     */
+    static calculateBreaks(timestamps, minBreakMinutes = 5) {
+        if (timestamps.length < 2) {
+            return { breaks: [], totalBreakMinutes: 0 };
+        }
+
+        const breaks = [];
+        let totalBreakMinutes = 0;
+
+        for (let i = 0; i < timestamps.length - 1; i++) {
+            const current = timestamps[i];
+            const next = timestamps[i + 1];
+            const gapMinutes = (next - current) / (1000 * 60);
+
+            if (gapMinutes >= minBreakMinutes) {
+                breaks.push({
+                    start: current,
+                    end: next,
+                    minutes: Math.round(gapMinutes)
+                });
+                totalBreakMinutes += gapMinutes;
+            }
+        }
+
+        return { breaks, totalBreakMinutes: Math.round(totalBreakMinutes) };
+    }
+
+    /**
+     * Calculate active work time (excluding breaks)
+     */
+    static calculateActiveTime(timestamps, breaks) {
+        if (timestamps.length === 0) {
+            return 0;
+        }
+
+        const now = new Date();
+        const loginTime = timestamps[0];
+        const lastTimestamp = timestamps[timestamps.length - 1];
+
+        // Total time from login to now or last timestamp
+        const endTime = now > lastTimestamp ? now : lastTimestamp;
+        const totalMinutes = (endTime - loginTime) / (1000 * 60);
+
+        // Subtract breaks
+        const breakMinutes = breaks.reduce((sum, b) => sum + b.minutes, 0);
+        const activeMinutes = totalMinutes - breakMinutes;
+
+        return Math.max(0, activeMinutes);
+    }
+}
+
+// ===================================
+// PUNCH LOG FORMATS
+// ===================================
+
+TimestampParser.formats = [];
+
+// Intl formatters per IANA time zone, see wallClock
+TimestampParser.zoneFormatters = new Map();
+
+// Languages whose month names the date patterns accept besides English
+TimestampParser.monthLocales = ['de', 'fr', 'es', 'it', 'nl', 'pt'];
+TimestampParser.monthNameCache = null;
+
+TimestampParser.patterns = {
+    // "11:01:55 am", "12:49:32 pm", or "13:45:01"
+    time: /(\d{1,2}):(\d{2}):(\d{2})(?:\s*(am|pm))?/i,
+    // "03 Feb 2026", also with local month names ("3. März 2026", "03 févr. 2026")
+    date: /(\d{1,2})\.?\s+(\p{L}+)\.?\s+(\d{4})/u,
+    // "2026-02-03T11:01:55", "2026-02-03 11:01", optional fraction and offset
+    iso: /(\d{4})-(\d{2})-(\d{2})[T ](\d{2}):(\d{2})(?::(\d{2})(?:\.\d+)?)?(Z|[+-]\d{2}:?\d{2})?/i,
+    // "03/02/2026 11:01" or "03.02.2026, 11:01:55 am" (day first)
+    dmy: /(\d{1,2})[/.](\d{1,2})[/.](\d{4})[,\s]+(\d{1,2}):(\d{2})(?::(\d{2}))?(?:\s*(am|pm))?/i,
+    // "03 Feb 2026 11:01:55 am"
+    singleLine: /(\d{1,2})\.?\s+(\p{L}+)\.?\s+(\d{4})[,\s]+(\d{1,2}):(\d{2})(?::(\d{2}))?(?:\s*(am|pm))?/iu
+};
+
+/**
+ * Portal log: a time line followed by a date line, then label lines
+ * 11:01:55 am
+ * 03 Feb 2026
+ * KGIT database new
+ * Info
+ */
+TimestampParser.registerFormat({
+    id: 'portal',
+    name: 'Portal log (time + date lines)',
+
+    detect(lines) {
+        const { time, date, singleLine } = TimestampParser.patterns;
+        let score = 0;
+
+        for (let i = 0; i < lines.length - 1; i++) {
+            const isTimeLine = time.test(lines[i]) && !singleLine.test(lines[i]);
+            const isDateLine = date.test(lines[i + 1]) && !time.test(lines[i + 1]);
+
+            if (isTimeLine && isDateLine) {
+                score += 2;
+            }
+        }
+
+        return score;
+    },
+
+    parse(lines, { timeZone = null } = {}, report = () => {}) {
+        const timeRegex = TimestampParser.patterns.time;
+        const dateRegex = TimestampParser.patterns.date;
+        const timestamps = [];
+
+        let currentDate = null;
+        let currentDay = null; // { year, month, day } of the last date line
+        let currentPunch = null; // Punch that the following label lines belong to
+
+        for (let i = 0; i < lines.length; i++) {
+            const line = lines[i];
+
+            // Check if this line is a time
+            const timeMatch = line.match(timeRegex);
+            if (!timeMatch) {
+                if (dateRegex.test(line)) {
+                    report(i, { key: 'parse.dateWithoutTime' });
+                } else if (TimestampParser.looksLikeTimestamp(line)) {
+                    const reason = TimestampParser.rejectionReason(line);
+                    report(i, reason.key === 'parse.unreadable' ? { key: 'parse.partialTime' } : reason);
+                } else if (currentPunch) {
+                    // Device/door and direction lines between punches
+                    currentPunch.sourceLines.push(line);
+                }
+                continue;
+            }
+
+            currentPunch = null;
+
+            const hours = TimestampParser.to24Hour(parseInt(timeMatch[1]), timeMatch[4]);
+            const minutes = parseInt(timeMatch[2]);
+            const seconds = parseInt(timeMatch[3]);
+
+            // The date is on the next line; that line is used up either way
+            const dateMatch = i + 1 < lines.length ? lines[i + 1].match(dateRegex) : null;
+            const timeLine = i;
+            if (dateMatch) {
+                i++;
+            }
+
+            if (hours === null) {
+                report(timeLine, { key: 'parse.mixedMeridiem', params: { text: timeMatch[0] } });
+                continue;
+            }
+            if (!TimestampParser.isValidDateTime(2000, 0, 1, hours, minutes, seconds)) {
+                report(timeLine, { key: 'parse.invalidTime', params: { text: timeMatch[0] } });
+                continue;
+            }
+
+            if (dateMatch) {
+                const day = parseInt(dateMatch[1]);
+                const month = TimestampParser.monthIndex(dateMatch[2]);
+                const year = parseInt(dateMatch[3]);
+
+                if (month === undefined) {
+                    report(i, { key: 'parse.unknownMonth', params: { month: dateMatch[2] } });
+                    continue;
+                }
+                if (!TimestampParser.isValidDateTime(year, month, day, hours, minutes, seconds)) {
+                    report(i, { key: 'parse.invalidDate', params: { text: dateMatch[0] } });
+                    continue;
+                }
+
+                currentDay = { year, month, day };
+                currentDate = TimestampParser.zonedDate(year, month, day, hours, minutes, seconds, timeZone);
+            } else if (currentDay) {
+                // No date line: the time belongs to the date of the previous
+                // punch, unless it is earlier, which means the shift went
+                // past midnight
+                let { year, month, day } = currentDay;
+                let newDate = TimestampParser.zonedDate(year, month, day, hours, minutes, seconds, timeZone);
+
+                if (newDate < currentDate) {
+                    day += 1;
+                    newDate = TimestampParser.zonedDate(year, month, day, hours, minutes, seconds, timeZone);
+                }
+
+                currentDay = { year, month, day };
+                currentDate = newDate;
+            } else {
+                report(i, { key: 'parse.timeWithoutDate' });
+                continue;
+            }
+
+            currentPunch = { time: currentDate, sourceLines: [] };
+            timestamps.push(currentPunch);
+        }
+
+        return timestamps.map(punch => TimestampParser.createPunch(punch.time, punch.sourceLines.join(' · ')));
+    }
+});
+
+/**
+ * CSV export: delimited rows with date/time columns, optional header
+ * Date,Time,Door
+ * 2026-02-03,11:01:55,Main entrance
+ */
+TimestampParser.registerFormat({
+    id: 'csv',
+    name: 'CSV export',
+
+    delimiterOf(lines) {
+        return [',', ';', '\t'].find(delimiter =>
+            lines.length > 1 && lines.every(line => line.includes(delimiter))
+        ) || null;
+    },
+
+    rows(lines, options = {}) {
+        const delimiter = this.delimiterOf(lines);
+        if (!delimiter) {
+            return { header: null, rows: [] };
+        }
+
+        const rows = lines.map(line => TimestampParser.splitCsvRow(line, delimiter));
+        const firstRow = rows[0];
+        const hasHeader = !TimestampParser.parseDateTimeText(firstRow.join(' '), options) &&
+            firstRow.some(cell => /date|time|day|stamp/i.test(cell));
+
+        return {
+            header: hasHeader ? firstRow.map(cell => cell.toLowerCase()) : null,
+            rows: hasHeader ? rows.slice(1) : rows
+        };
+    },
+
+    /**
+     * Returns { time, used } where used lists the cells holding the date/time
+     */
+    readTime(cells, header, options = {}) {
+        if (header) {
+            const combined = header.findIndex(name => /timestamp|date\s*time|datetime/.test(name));
+            const dateColumn = header.findIndex(name => /date|day/.test(name));
+            const timeColumn = header.findIndex(name => /time|clock|punch/.test(name));
+
+            if (combined !== -1 && cells[combined]) {
+                return { time: TimestampParser.parseDateTimeText(cells[combined], options), used: [combined] };
+            }
+            if (dateColumn !== -1 && timeColumn !== -1 && dateColumn !== timeColumn) {
+                return {
+                    time: TimestampParser.parseDateTimeText(`${cells[dateColumn]} ${cells[timeColumn]}`, options),
+                    used: [dateColumn, timeColumn]
+                };
+            }
+        }
+
+        // No usable header: the date and time are somewhere in the row
+        const joined = TimestampParser.parseDateTimeText(cells.join(' '), options);
+        if (joined) {
+            const used = cells
+                .map((cell, index) => (/\d{1,2}[:/.-]\d{1,2}|\d{4}/.test(cell) ? index : -1))
+                .filter(index => index !== -1);
+            return { time: joined, used: used };
+        }
+
+        const single = cells.findIndex(cell => TimestampParser.parseDateTimeText(cell));
+        if (single !== -1) {
+            return { time: TimestampParser.parseDateTimeText(cells[single], options), used: [single] };
+        }
+
+        // Separate date and time cells in either order (a copied portal table)
+        const dateCell = cells.findIndex(cell => /^(\d{1,2}\.?\s+\p{L}+\.?\s+\d{4}|\d{4}-\d{2}-\d{2}|\d{1,2}[/.]\d{1,2}[/.]\d{4})$/u.test(cell));
+        const timeCell = cells.findIndex(cell => /^\d{1,2}:\d{2}(:\d{2})?(\s*(am|pm))?$/i.test(cell));
+        const split = dateCell !== -1 && timeCell !== -1
+            ? TimestampParser.parseDateTimeText(`${cells[dateCell]} ${cells[timeCell]}`, options)
+            : null;
+
+        return split
+            ? { time: split, used: [dateCell, timeCell] }
+            : { time: null, used: [] };
+    },
+
+    parseRow(cells, header, options = {}) {
+        const { time, used } = this.readTime(cells, header, options);
+        if (!time) {
+            return null;
+        }
+
+        // Whatever is left (door, device, IN/OUT column) describes the punch
+        const rest = cells.filter((cell, index) => cell && !used.includes(index));
+        const punch = TimestampParser.createPunch(time, rest.join(' · '));
+
+        if (header) {
+            const directionColumn = header.findIndex(name => /direction|in\s*\/\s*out|event|type/.test(name));
+            if (directionColumn !== -1) {
+                punch.direction = TimestampParser.directionOf(cells[directionColumn]) || punch.direction;
+            }
+        }
+
+        return punch;
+    },
+
+    detect(lines) {
+        const { header, rows } = this.rows(lines);
+        const parsed = rows.filter(cells => this.parseRow(cells, header)).length;
+
+        // A recognised header tips the balance against the single-line formats
+        return parsed > 0 ? parsed + (header ? 1 : 0) : 0;
+    },
+
+    parse(lines, options = {}, report = () => {}) {
+        const { header, rows } = this.rows(lines, options);
+        const firstRowIndex = header ? 1 : 0;
+
+        return rows
+            .map((cells, index) => {
+                const punch = this.parseRow(cells, header, options);
+                if (!punch) {
+                    report(firstRowIndex + index, TimestampParser.rejectionReason(lines[firstRowIndex + index]));
+                }
+                return punch;
+            })
+            .filter(punch => punch);
+    }
+});
+
+/**
+ * ISO-8601 lines, one punch per line
+ * 2026-02-03T11:01:55
+ */
+TimestampParser.registerFormat({
+    id: 'iso',
+    name: 'ISO-8601',
+
+    detect(lines) {
+        return lines.filter(line => TimestampParser.patterns.iso.test(line)).length;
+    },
+
+    parse(lines, options = {}, report = () => {}) {
+        return TimestampParser.parseEachLine(lines, TimestampParser.patterns.iso, options, report);
+    }
+});
+
+/**
+ * Day-first numeric rows, one punch per line
+ * 03/02/2026 11:01
+ */
+TimestampParser.registerFormat({
+    id: 'dmy',
+    name: 'dd/mm/yyyy hh:mm',
+
+    detect(lines) {
+        return lines.filter(line => TimestampParser.patterns.dmy.test(line)).length;
+    },
+
+    parse(lines, options = {}, report = () => {}) {
+        return TimestampParser.parseEachLine(lines, TimestampParser.patterns.dmy, options, report);
+    }
+});
+
+/**
+ * Date and time on a single line, one punch per line
+ * 03 Feb 2026 11:01:55 am
+ */
+TimestampParser.registerFormat({
+    id: 'single-line',
+    name: 'Single-line date & time',
+
+    detect(lines) {
+        return lines.filter(line => {
+            const match = line.match(TimestampParser.patterns.singleLine);
+            return match && TimestampParser.monthIndex(match[2]) !== undefined;
+        }).length;
+    },
+
+    parse(lines, options = {}, report = () => {}) {
+        return TimestampParser.parseEachLine(lines, TimestampParser.patterns.singleLine, options, report);
+    }
+});
+
+/**
+ * The last TimestampParser.parseLog result, reused while the text and
+ * time zone stay the same; the live updates parse one log every minute
+ */
+export class ParsedLogCache {
+    constructor() {
+        this.entry = null;
+    }
+
+    get(text, timeZone = null) {
+        const cached = this.entry;
+        if (!cached || cached.text !== text || cached.timeZone !== timeZone) {
+            this.entry = { text, timeZone, log: TimestampParser.parseLog(text, { timeZone }) };
+        }
+        return this.entry.log;
+    }
+
+    /**
+     * Parse again next time, e.g. once the parser knows more month names
+     */
+    clear() {
+        this.entry = null;
+    }
+}
+
+// ===================================
+// PUNCH VALIDATION
+// ===================================
+
+export class PunchValidator {
+    /**
+     * Flag likely missed or doubled punches, each with a suggested fix
+     * Returns issues shaped like:
+     * { id, type, key, params, fix: { key, params, changes: [{ action: 'drop' | 'insert', time, direction }] } }
+     * where key and params describe the issue and its fix, see Localizer.describe.
+     * dayStartMinutes: night-shift day start, see TimestampParser.dayKey
+     */
+    static validate(punches, referenceTime = new Date(), requiredMinutes = 360, dayStartMinutes = 0) {
+        const issues = [];
+        const todayKey = TimestampParser.dayKey(referenceTime, dayStartMinutes);
+        const days = TimestampParser.groupByDate(punches, dayStartMinutes);
+
+        days.forEach((day, dayIndex) => {
+            const resolved = TimestampParser.resolveDirections(day.punches);
+            const nextDay = days[dayIndex + 1];
+
+            issues.push(...PunchValidator.findDoubleSwipes(resolved));
+            issues.push(...PunchValidator.findLongBreaks(day, resolved));
+
+            // Days ending inside the office: either the shift ran past midnight
+            // or the last OUT was never recorded
+            const lastPunch = resolved[resolved.length - 1];
+            if (day.key === todayKey || lastPunch.direction !== 'in') {
+                return;
+            }
+
+            const nextPunch = nextDay ? TimestampParser.toPunch(nextDay.punches[0]) : null;
+            const followingDate = new Date(day.date.getFullYear(), day.date.getMonth(), day.date.getDate() + 1);
+            const continuesNextDay = nextPunch &&
+                nextPunch.direction === 'out' &&
+                nextDay.key === TimestampParser.dateKey(followingDate);
+
+            if (continuesNextDay) {
+                issues.push(PunchValidator.midnightIssue(day, lastPunch, nextPunch, dayStartMinutes));
+            } else {
+                issues.push(PunchValidator.missingOutIssue(day, resolved, requiredMinutes, dayStartMinutes));
+            }
+        });
+
+        return issues;
+    }
+
+    /**
+     * Two punches seconds apart: the badge was swiped twice
+     */
+    static findDoubleSwipes(resolved) {
+        const issues = [];
+
+        for (let i = 1; i < resolved.length; i++) {
+            const previous = resolved[i - 1];
+            const current = resolved[i];
+            const gapSeconds = (current.time - previous.time) / 1000;
+
+            // Explicit IN followed by explicit OUT is a real (if short) visit
+            const sameSwipe = current.inferred || previous.inferred || current.direction === previous.direction;
+
+            if (gapSeconds < PunchValidator.DOUBLE_SWIPE_SECONDS && sameSwipe) {
+                issues.push({
+                    id: `double-swipe-${current.time.getTime()}`,
+                    type: 'double-swipe',
+                    key: 'anomaly.doubleSwipe',
+                    params: {
+                        first: previous.time,
+                        second: { time: current.time, seconds: true },
+                        seconds: Math.round(gapSeconds)
+                    },
+                    fix: {
+                        key: 'anomaly.removePunch',
+                        params: { time: { time: current.time, seconds: true } },
+                        changes: [{ action: 'drop', time: current.time }]
+                    }
+                });
+            }
+        }
+
+        return issues;
+    }
+
+    /**
+     * A "break" of several hours usually means a return punch was missed
+     * and every later period has flipped between work and break
+     */
+    static findLongBreaks(day, resolved) {
+        const issues = [];
+
+        for (let i = 0; i < resolved.length - 1; i++) {
+            const punch = resolved[i];
+            const minutes = (resolved[i + 1].time - punch.time) / (1000 * 60);
+
+            if (punch.direction === 'out' && minutes > PunchValidator.LONG_BREAK_MINUTES) {
+                const returnTime = new Date(punch.time.getTime() + PunchValidator.ASSUMED_BREAK_MINUTES * 60000);
+
+                issues.push({
+                    id: `long-break-${punch.time.getTime()}`,
+                    type: 'long-break',
+                    key: 'anomaly.longBreak',
+                    params: { start: punch.time, length: { minutes: minutes } },
+                    fix: {
+                        key: 'anomaly.addIn',
+                        params: { time: returnTime },
+                        changes: [{ action: 'insert', time: returnTime, direction: 'in' }]
+                    }
+                });
+            }
+        }
+
+        return issues;
+    }
+
+    /**
+     * Where a working day hands over to the next one: midnight, or the
+     * night-shift day start
+     */
+    static startOfNextDay(day, dayStartMinutes = 0) {
+        return new Date(day.date.getFullYear(), day.date.getMonth(), day.date.getDate() + 1, 0, dayStartMinutes);
+    }
+
+    /**
+     * Work that carries on into the next day: split it at midnight
+     */
+    static midnightIssue(day, lastPunch, nextPunch, dayStartMinutes = 0) {
+        const startOfNextDay = PunchValidator.startOfNextDay(day, dayStartMinutes);
+        const endOfDay = new Date(startOfNextDay.getTime() - 1000);
+        const atDayStart = dayStartMinutes > 0;
+
+        return {
+            id: `midnight-${lastPunch.time.getTime()}`,
+            type: 'midnight',
+            key: atDayStart ? 'anomaly.crossesDayStart' : 'anomaly.crossesMidnight',
+            params: { start: lastPunch.time, day: { date: day.date }, end: nextPunch.time, boundary: startOfNextDay },
+            fix: {
+                key: atDayStart ? 'anomaly.splitAtDayStart' : 'anomaly.splitAtMidnight',
+                params: { boundary: startOfNextDay },
+                changes: [
+                    { action: 'insert', time: endOfDay, direction: 'out' },
+                    { action: 'insert', time: startOfNextDay, direction: 'in' }
+                ]
+            }
+        };
+    }
+
+    /**
+     * A past day that never clocked out: assume the person left once the
+     * target was met, or drop the stray punch if it already was
+     */
+    static missingOutIssue(day, resolved, requiredMinutes, dayStartMinutes = 0) {
+        const lastPunch = resolved[resolved.length - 1];
+        const { activeMinutes } = TimestampParser.calculateBreaksAlternating(resolved, lastPunch.time);
+        const remainingMinutes = requiredMinutes - activeMinutes;
+        const params = { day: { date: day.date }, count: resolved.length, time: lastPunch.time };
+
+        if (remainingMinutes <= 0) {
+            return {
+                id: `missing-out-${lastPunch.time.getTime()}`,
+                type: 'missing-out',
+                key: 'anomaly.missingOut',
+                params: params,
+                fix: {
+                    key: 'anomaly.removePunch',
+                    params: { time: lastPunch.time },
+                    changes: [{ action: 'drop', time: lastPunch.time }]
+                }
+            };
+        }
+
+        const endOfDay = PunchValidator.startOfNextDay(day, dayStartMinutes).getTime() - 1000;
+        const outTime = new Date(Math.min(lastPunch.time.getTime() + remainingMinutes * 60000, endOfDay));
+
+        return {
+            id: `missing-out-${lastPunch.time.getTime()}`,
+            type: 'missing-out',
+            key: 'anomaly.missingOut',
+            params: params,
+            fix: {
+                key: 'anomaly.addOut',
+                params: { time: outTime },
+                changes: [{ action: 'insert', time: outTime, direction: 'out' }]
+            }
+        };
+    }
+
+    /**
+     * Apply accepted fixes to freshly parsed punches
+     * Fixes are matched by time, so they survive re-parsing the same text.
+     */
+    static applyFixes(punches, changes) {
+        if (!changes || changes.length === 0) {
+            return punches;
+        }
+
+        const dropped = changes
+            .filter(change => change.action === 'drop')
+            .map(change => change.time.getTime());
+
+        const kept = punches.filter(punch => !dropped.includes(punch.time.getTime()));
+
+        const inserted = changes
+            .filter(change => change.action === 'insert')
+            .filter(change => !kept.some(punch => punch.time.getTime() === change.time.getTime()))
+            .map(change => ({
+                time: change.time,
+                label: null,
+                direction: change.direction,
+                corrected: true
+            }));
+
+        return kept.concat(inserted).sort((a, b) => a.time - b.time);
+    }
+}
+
+// Punches closer than this are treated as one swipe registered twice
+PunchValidator.DOUBLE_SWIPE_SECONDS = 60;
+
+// Breaks longer than this are suspicious
+PunchValidator.LONG_BREAK_MINUTES = 4 * 60;
+
+// Break length assumed when proposing a missed return punch
+PunchValidator.ASSUMED_BREAK_MINUTES = 30;
+
+// ===================================
+// WHAT-IF PLANNER
+// ===================================
+
+export class BreakPlanner {
+    /**
+     * Planned breaks as Dates on the given day, in time order
+     * plannedBreaks: [{ label, start: 'HH:MM', end: 'HH:MM' }, ...]; start
+     * and end may also be Dates (manual-mode breaks).
+     * Breaks that are incomplete or already over are left out, and one
+     * that has started is clipped to now. Breaks shorter than the policy
+     * minimum are kept but flagged, as they count as work.
+     */
+    static intervals(plannedBreaks, now, policy) {
+        return plannedBreaks
+            .filter(planned => planned.start && planned.end)
+            .map(planned => {
+                const start = planned.start instanceof Date ? planned.start : WorkPolicy.timeOnDay(now, planned.start);
+                const end = planned.end instanceof Date ? planned.end : WorkPolicy.timeOnDay(now, planned.end);
+                return {
+                    start: start < now ? new Date(now) : start,
+                    end: end,
+                    label: planned.label || null,
+                    countedAsWork: (end - start) / 60000 < policy.minBreakMinutes
+                };
+            })
+            .filter(interval => interval.end > interval.start)
+            .sort((a, b) => a.start - b.start);
+    }
+
+    /**
+     * Walk forward from now, working around the planned breaks until the
+     * remaining minutes are used up
+     * remaining: { remainingMinutes, pendingDeductionMinutes } from WorkPolicy.apply
+     * Planned break time also covers a mandatory break that is still
+     * pending. Returns { logout, workPeriods, breaks, plannedBreakMinutes }
+     * with every period marked planned.
+     */
+    static project(now, remaining, plannedBreaks, policy) {
+        const intervals = BreakPlanner.intervals(plannedBreaks, now, policy);
+
+        const walk = (remainingMinutes) => {
+            const workPeriods = [];
+            const breaks = [];
+            let cursor = now;
+            let left = remainingMinutes;
+
+            const work = (minutes) => {
+                const end = new Date(cursor.getTime() + minutes * 60000);
+                workPeriods.push({ start: cursor, end: end, minutes: minutes, label: null, planned: true });
+                cursor = end;
+                left -= minutes;
+            };
+
+            intervals.forEach(interval => {
+                if (left <= 0 || interval.countedAsWork) {
+                    return;
+                }
+
+                if (interval.start > cursor) {
+                    work(Math.min(left, (interval.start - cursor) / 60000));
+                }
+
+                if (left > 0 && interval.end > cursor) {
+                    const start = interval.start > cursor ? interval.start : cursor;
+                    breaks.push({
+                        start: start,
+                        end: interval.end,
+                        minutes: (interval.end - start) / 60000,
+                        label: interval.label,
+                        planned: true
+                    });
+                    cursor = interval.end;
+                }
+            });
+
+            if (left > 0) {
+                work(left);
+            }
+
+            const plannedBreakMinutes = breaks.reduce((sum, period) => sum + period.minutes, 0);
+            return { logout: cursor, workPeriods, breaks, plannedBreakMinutes };
+        };
+
+        // Second pass: planned breaks taken before logout settle the pending mandatory break
+        const projection = walk(remaining.remainingMinutes);
+        const covered = Math.min(remaining.pendingDeductionMinutes, projection.plannedBreakMinutes);
+
+        return covered > 0 ? walk(remaining.remainingMinutes - covered) : projection;
+    }
+
+    /**
+     * The reverse question: leaving at a fixed time, how short is the day
+     * and how much break time is left to spend?
+     * Returns { leaveDate, shortMinutes, shortWithoutBreaksMinutes,
+     * breakAllowanceMinutes, plannedBreakMinutes }
+     */
+    static leaveAt(now, remaining, plannedBreaks, leaveTime, policy) {
+        const leaveDate = WorkPolicy.timeOnDay(now, leaveTime);
+        const availableMinutes = Math.max(0, (leaveDate - now) / 60000);
+
+        const plannedBreakMinutes = BreakPlanner.intervals(plannedBreaks, now, policy)
+            .filter(interval => !interval.countedAsWork && interval.start < leaveDate)
+            .reduce((sum, interval) => sum + (Math.min(interval.end, leaveDate) - interval.start) / 60000, 0);
+
+        const requiredMinutes = remaining.remainingMinutes -
+            Math.min(remaining.pendingDeductionMinutes, plannedBreakMinutes);
+
+        return {
+            leaveDate: leaveDate,
+            shortMinutes: Math.max(0, requiredMinutes - (availableMinutes - plannedBreakMinutes)),
+            shortWithoutBreaksMinutes: Math.max(0, remaining.remainingMinutes - availableMinutes),
+            breakAllowanceMinutes: Math.max(0, availableMinutes - requiredMinutes),
+            plannedBreakMinutes: plannedBreakMinutes
+        };
+    }
+}
+
+
+// ===================================
+// WORKDAY CALCULATION
+// ===================================
+
+/**
+ * Where "now" comes from; swap it for a fixed clock in tests
+ */
+export const systemClock = {
+    now: () => new Date()
+};
+
+export class WorkdayCalculator {
+    constructor({ clock = systemClock } = {}) {
+        this.clock = clock;
+    }
+
+    /**
+     * Split the punches per working day and run the IN/OUT calculation once per day
+     * options: { requiredMinutes, policy, dayStartMinutes, dayTarget }
+     * dayStartMinutes > 0 keeps night shifts together (see TimestampParser.dayKey).
+     * dayTarget(dateKey) gives a day its own required minutes (holidays,
+     * half days); without it every day needs requiredMinutes.
+     */
+    calculateDays(punches, { requiredMinutes, policy, dayStartMinutes = 0, dayTarget = null }, now = this.clock.now()) {
+        return TimestampParser.groupByDate(punches, dayStartMinutes)
+            .map(day => this.calculateDay(
+                day, now, dayTarget ? dayTarget(day.key) : requiredMinutes, policy, dayStartMinutes
+            ));
+    }
+
+    /**
+     * Run the alternating IN/OUT calculation for a single day's timestamps
+     * activeMinutes/totalBreakMinutes are credited under the work policy;
+     * the raw pairing result is kept as `calculation`.
+     */
+    calculateDay(day, now, requiredWorkMinutes, policy, dayStartMinutes = 0) {
+        const lastTimestamp = day.timestamps[day.timestamps.length - 1];
+
+        // If the day is not today, we treat it as a finished history record
+        const isToday = day.key === TimestampParser.dayKey(now, dayStartMinutes);
+
+        // Use current time as reference for live today calculations,
+        // otherwise use the last timestamp of that day.
+        const referenceTime = isToday ? now : lastTimestamp;
+
+        const calculation = TimestampParser.calculateBreaksAlternating(day.punches, referenceTime);
+        const { breaks, workPeriods } = calculation;
+        const { activeMinutes, breakMinutes: totalBreakMinutes } = WorkPolicy.apply(calculation, policy, {
+            targetMinutes: requiredWorkMinutes,
+            referenceTime,
+            isToday
+        });
+
+        return {
+            key: day.key,
+            date: day.date,
+            timestamps: day.timestamps,
+            punches: day.punches,
+            isToday,
+            referenceTime,
+            requiredMinutes: requiredWorkMinutes,
+            calculation,
+            breaks,
+            totalBreakMinutes,
+            activeMinutes,
+            workPeriods
+        };
+    }
+
+    /**
+     * Work out the result for the most recent of the calculated days
+     * options: { policy, bankMinutes, plannedBreaks, leaveAt }
+     * The day's own requiredMinutes (see calculateDays) is the target;
+     * bankMinutes (surplus banked earlier this week) shortens today's
+     * target; plannedBreaks and leaveAt feed the what-if planner.
+     * Returns { day, isToday, targetMinutes, policyResult, projection,
+     * projectedLogout, leave, result } where result is what the page shows.
+     */
+    summarize(days, options, now = this.clock.now()) {
+        const { policy, bankMinutes = 0, plannedBreaks = [], leaveAt = '' } = options;
+
+        // The main result always describes the most recent day
+        const day = days[days.length - 1];
+        const { isToday, referenceTime, breaks, requiredMinutes } = day;
+        const dayTimestamps = day.timestamps;
+        const lastTimestamp = dayTimestamps[dayTimestamps.length - 1];
+
+        // Today's target absorbs the surplus/deficit banked earlier this week
+        const targetMinutes = isToday ? Math.max(0, requiredMinutes - bankMinutes) : requiredMinutes;
+
+        // Credited time, remaining time and warnings under the work policy
+        const policyResult = WorkPolicy.apply(day.calculation, policy, {
+            targetMinutes,
+            referenceTime,
+            isToday
+        });
+        const { activeMinutes, breakMinutes: totalBreakMinutes } = policyResult;
+
+        let remainingActiveMinutes = 0;
+        let isComplete = false;
+        let projectedLogout = null;
+        let projection = null;
+        let leave = null;
+
+        if (isToday) {
+            // Live mode: calculate when to logout, working around planned breaks
+            remainingActiveMinutes = policyResult.remainingMinutes;
+            projection = BreakPlanner.project(now, policyResult, plannedBreaks, policy);
+            let logoutDate = projection.logout;
+
+            // Never before core hours end
+            if (policyResult.earliestLogout && policyResult.earliestLogout > logoutDate) {
+                logoutDate = policyResult.earliestLogout;
+            }
+            projectedLogout = logoutDate;
+            isComplete = remainingActiveMinutes <= 0;
+
+            // Reverse question: what leaving at a fixed time costs
+            if (leaveAt) {
+                leave = BreakPlanner.leaveAt(now, policyResult, plannedBreaks, leaveAt, policy);
+            }
+        } else {
+            // History mode: just show what was worked
+            remainingActiveMinutes = 0;
+            isComplete = true; // It's in the past, so it's "complete"
+        }
+
+        // Calculate total office time (from first to reference time)
+        const loginTime = dayTimestamps[0];
+        const totalOfficeMinutes = Math.max(0, (referenceTime - loginTime) / (1000 * 60));
+
+        // Calculate progress
+        const progressPercent = targetMinutes > 0
+            ? Math.min(100, Math.max(0, (activeMinutes / targetMinutes) * 100))
+            : 100;
+
+        return {
+            day,
+            isToday,
+            targetMinutes,
+            policyResult,
+            projection,
+            projectedLogout,
+            leave,
+            result: {
+                // Projected logout, or the last punch of a past day
+                logoutDate: isToday ? projectedLogout : lastTimestamp,
+                activeMinutes: activeMinutes,
+                breakMinutes: totalBreakMinutes,
+                remainingMinutes: remainingActiveMinutes,
+                progressPercent: progressPercent,
+                totalOfficeMinutes: totalOfficeMinutes,
+                isComplete: isComplete,
+                breakCount: breaks.length,
+                isHistory: !isToday,
+                warnings: policyResult.warnings
+            }
+        };
+    }
+
+    /**
+     * Days plus the summary in one go, for callers without an hour bank
+     * Returns null when there are no punches.
+     */
+    calculate(punches, options) {
+        if (punches.length === 0) {
+            return null;
+        }
+
+        const now = this.clock.now();
+        const days = this.calculateDays(punches, options, now);
+
+        return { now, days, ...this.summarize(days, options, now) };
+    }
+
+    /**
+     * Manual mode: a login time and break intervals instead of punches
+     * options: { loginTime: 'HH:MM', requiredMinutes, breaks, policy, dayTarget }
+     * breaks: [{ start: 'HH:MM', end: 'HH:MM' } or { start, minutes }]
+     * Breaks that have started become OUT/IN punches after the login, so
+     * the day is calculated exactly like a punched one; later breaks are
+     * planned into the projection. A login time more than half a day
+     * ahead of now is taken as yesterday's (a night shift that started
+     * before midnight).
+     * Returns null without a login time, otherwise { loginDate, logoutDate,
+     * workMinutes (the day's target), days, rejectedBreaks } plus what
+     * summarize returns; rejectedBreaks are the indexes of breaks that
+     * end before they start, which the calculation leaves out.
+     */
+    calculateManual({ loginTime, requiredMinutes, breaks = [], policy, dayTarget = null }) {
+        if (!loginTime) {
+            return null;
+        }
+
+        const now = this.clock.now();
+
+        // Parse login time
+        const [loginHours, loginMinutes] = loginTime.split(':').map(Number);
+        let loginDate = new Date(now.getFullYear(), now.getMonth(), now.getDate(), loginHours, loginMinutes);
+        if (loginDate - now > 12 * 60 * 60000) {
+            loginDate = new Date(now.getFullYear(), now.getMonth(), now.getDate() - 1, loginHours, loginMinutes);
+        }
+
+        // Before the login, project from the login instead of from now
+        const reference = now > loginDate ? now : loginDate;
+
+        const punches = [{ time: loginDate, label: null, direction: 'in' }];
+        const plannedBreaks = [];
+
+        WorkdayCalculator.manualBreaks(loginDate, breaks).forEach(interval => {
+            if (interval.start < reference) {
+                punches.push({ time: interval.start, label: interval.label, direction: 'out' });
+            }
+            if (interval.end <= reference) {
+                punches.push({ time: interval.end, label: null, direction: 'in' });
+            } else {
+                // Still to come, or running: the rest of it is planned
+                plannedBreaks.push(interval);
+            }
+        });
+
+        // Starting the working day at the login time keeps a shift that
+        // runs past midnight on one day, which stays "today"
+        const dayStartMinutes = loginHours * 60 + loginMinutes;
+        const days = this.calculateDays(punches, { requiredMinutes, policy, dayStartMinutes, dayTarget }, reference);
+        const summary = this.summarize(days, { policy, plannedBreaks }, reference);
+
+        return {
+            loginDate,
+            logoutDate: summary.projectedLogout,
+            workMinutes: summary.day.requiredMinutes,
+            days,
+            rejectedBreaks: WorkdayCalculator.rejectedManualBreaks(loginDate, breaks),
+            ...summary
+        };
+    }
+
+    /**
+     * Manual break entries as Dates on the login's day, in time order
+     * A time earlier than the login belongs to the next day. Incomplete
+     * entries are skipped and overlapping ones merged.
+     * Returns [{ start, end, label }].
+     */
+    static manualBreaks(loginDate, breaks) {
+        const afterLogin = (time) => WorkdayCalculator.afterLogin(loginDate, time);
+
+        const intervals = breaks
+            .filter(entry => entry.start && (entry.end || entry.minutes > 0))
+            .map(entry => {
+                const start = afterLogin(entry.start);
+                const end = entry.end ? afterLogin(entry.end) : new Date(start.getTime() + entry.minutes * 60000);
+                return { start: start, end: end, label: entry.label || null };
+            })
+            .filter(interval => interval.end > interval.start)
+            .sort((a, b) => a.start - b.start);
+
+        return intervals.reduce((merged, interval) => {
+            const previous = merged[merged.length - 1];
+            if (previous && interval.start <= previous.end) {
+                previous.end = new Date(Math.max(previous.end, interval.end));
+            } else {
+                merged.push({ ...interval });
+            }
+            return merged;
+        }, []);
+    }
+
+    /**
+     * Indexes of manual breaks with an end before their start
+     * Both times are placed after the login first, so a break across
+     * midnight (23:30 to 00:15) is fine.
+     */
+    static rejectedManualBreaks(loginDate, breaks) {
+        return breaks
+            .map((entry, index) => ({ entry, index }))
+            .filter(({ entry }) => entry.start && entry.end &&
+                WorkdayCalculator.afterLogin(loginDate, entry.end) < WorkdayCalculator.afterLogin(loginDate, entry.start))
+            .map(({ index }) => index);
+    }
+
+    /**
+     * "HH:MM" as the first such time at or after the login
+     */
+    static afterLogin(loginDate, time) {
+        const date = WorkPolicy.timeOnDay(loginDate, time);
+        if (date < loginDate) {
+            date.setDate(date.getDate() + 1);
+        }
+        return date;
+    }
+}
@@ -0,0 +1,182 @@
+// ===================================
+// TIMESHEET EXPORT
+// ===================================
+
+export class TimesheetExporter {
+    /**
+     * Flatten calculated days into one list of work and break periods
+     * Everything comes from the workPeriods/breaks returned by
+     * calculateBreaksAlternating.
+     */
+    static periods(days) {
+        const periods = [];
+
+        days.forEach(day => {
+            day.workPeriods.forEach(period => periods.push({ date: day.key, type: 'work', ...period }));
+            day.breaks.forEach(period => periods.push({ date: day.key, type: 'break', ...period }));
+        });
+
+        return periods.sort((a, b) => a.start - b.start);
+    }
+
+    static toCSV(days) {
+        const header = ['Date', 'Type', 'Start', 'End', 'Minutes', 'Ongoing', 'Label'];
+
+        // Helper function to format time
+        const formatTime = (date) => {
+            const hours = String(date.getHours()).padStart(2, '0');
+            const minutes = String(date.getMinutes()).padStart(2, '0');
+            const seconds = String(date.getSeconds()).padStart(2, '0');
+            return `${hours}:${minutes}:${seconds}`;
+        };
+
+        const escape = (value) => {
+            let text = String(value ?? '');
+
+            // Spreadsheet apps run a text cell starting like this as a
+            // formula; a leading apostrophe keeps it text
+            if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text)) {
+                text = `'${text}`;
+            }
+
+            return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+        };
+
+        const rows = TimesheetExporter.periods(days).map(period => [
+            period.date,
+            period.type,
+            formatTime(period.start),
+            formatTime(period.end),
+            Math.round(period.minutes),
+            period.ongoing ? 'yes' : 'no',
+            period.label || ''
+        ]);
+
+        return [header, ...rows].map(row => row.map(escape).join(',')).join('\r\n') + '\r\n';
+    }
+
+    static toJSON(days, { requiredMinutes, projectedLogout }) {
+        const timesheet = {
+            generatedAt: new Date().toISOString(),
+            requiredMinutes: requiredMinutes,
+            projectedLogout: projectedLogout ? projectedLogout.toISOString() : null,
+            days: days.map(day => ({
+                date: day.key,
+                activeMinutes: day.activeMinutes,
+                breakMinutes: day.totalBreakMinutes,
+                periods: TimesheetExporter.periods([day]).map(period => ({
+                    type: period.type,
+                    start: period.start.toISOString(),
+                    end: period.end.toISOString(),
+                    minutes: Math.round(period.minutes),
+                    ongoing: Boolean(period.ongoing),
+                    label: period.label || null
+                }))
+            }))
+        };
+
+        return JSON.stringify(timesheet, null, 2);
+    }
+
+    /**
+     * iCalendar with one event per work period and one at the projected logout
+     */
+    static toICS(days, { projectedLogout }) {
+        const stamp = TimesheetExporter.icsDate(new Date());
+
+        const events = TimesheetExporter.periods(days)
+            .filter(period => period.type === 'work')
+            .map(period => [
+                'BEGIN:VEVENT',
+                `UID:work-${period.start.getTime()}@logout-calculator`,
+                `DTSTAMP:${stamp}`,
+                `DTSTART:${TimesheetExporter.icsDate(period.start)}`,
+                `DTEND:${TimesheetExporter.icsDate(period.end)}`,
+                `SUMMARY:${TimesheetExporter.icsText(period.ongoing ? 'Work (ongoing)' : 'Work')}`,
+                ...(period.label ? [`LOCATION:${TimesheetExporter.icsText(period.label)}`] : []),
+                'TRANSP:OPAQUE',
+                'END:VEVENT'
+            ]);
+
+        if (projectedLogout) {
+            events.push([
+                'BEGIN:VEVENT',
+                `UID:logout-${TimesheetExporter.icsDate(projectedLogout)}@logout-calculator`,
+                `DTSTAMP:${stamp}`,
+                `DTSTART:${TimesheetExporter.icsDate(projectedLogout)}`,
+                `DTEND:${TimesheetExporter.icsDate(new Date(projectedLogout.getTime() + 15 * 60000))}`,
+                'SUMMARY:Logout time',
+                'TRANSP:TRANSPARENT',
+                'BEGIN:VALARM',
+                'ACTION:DISPLAY',
+                'DESCRIPTION:Logout time',
+                'TRIGGER:PT0M',
+                'END:VALARM',
+                'END:VEVENT'
+            ]);
+        }
+
+        const lines = [
+            'BEGIN:VCALENDAR',
+            'VERSION:2.0',
+            'PRODID:-//Logout Time Calculator//EN',
+            'CALSCALE:GREGORIAN',
+            ...events.flat(),
+            'END:VCALENDAR'
+        ];
+
+        return lines.map(TimesheetExporter.icsFold).join('\r\n') + '\r\n';
+    }
+
+    /**
+     * UTC date-time in iCalendar basic format: 20260203T053155Z
+     */
+    static icsDate(date) {
+        return date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+    }
+
+    static icsText(text) {
+        return text.replace(/\\/g, '\\\\').replace(/[;,]/g, '\\$&').replace(/\n/g, '\\n');
+    }
+
+    /**
+     * Fold content lines longer than 75 octets of UTF-8 (RFC 5545),
+     * never inside a character
+     */
+    static icsFold(line) {
+        const encoder = new TextEncoder();
+        const parts = [];
+        let current = '';
+        let octets = 0;
+
+        for (const char of line) {
+            const size = encoder.encode(char).length;
+            if (octets + size > 75) {
+                parts.push(current);
+                current = ' ';
+                octets = 1;
+            }
+            current += char;
+            octets += size;
+        }
+
+        parts.push(current);
+        return parts.join('\r\n');
+    }
+
+    /**
+     * Offer text as a file download
+     */
+    static download(filename, content, type) {
+        const url = URL.createObjectURL(new Blob([content], { type: type }));
+        const link = document.createElement('a');
+
+        link.href = url;
+        link.download = filename;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    }
+}
@@ -0,0 +1,263 @@
+import { TimestampParser } from './core.js';
+import { WorkPolicy } from './policy.js';
+
+// ===================================
+// ATTENDANCE HISTORY (IndexedDB)
+// ===================================
+
+export class AttendanceStore {
+    constructor(databaseName = 'logout-calculator') {
+        this.databaseName = databaseName;
+        this.storeName = 'days';
+        this.database = null;
+    }
+
+    static isSupported() {
+        return typeof indexedDB !== 'undefined';
+    }
+
+    /**
+     * Wrap an IDBRequest in a Promise
+     */
+    static promisify(request) {
+        return new Promise((resolve, reject) => {
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    /**
+     * Open (and on first use create) the database
+     * One record per calendar date, keyed by "YYYY-MM-DD".
+     */
+    open() {
+        if (this.database) {
+            return this.database;
+        }
+
+        const request = indexedDB.open(this.databaseName, 1);
+
+        request.onupgradeneeded = () => {
+            request.result.createObjectStore(this.storeName, { keyPath: 'date' });
+        };
+
+        this.database = AttendanceStore.promisify(request);
+        return this.database;
+    }
+
+    async transaction(mode) {
+        const database = await this.open();
+        return database.transaction(this.storeName, mode).objectStore(this.storeName);
+    }
+
+    /**
+     * All stored days, newest first
+     */
+    async getAll() {
+        const store = await this.transaction('readonly');
+        const records = await AttendanceStore.promisify(store.getAll());
+        return records.sort((a, b) => b.date.localeCompare(a.date));
+    }
+
+    async get(date) {
+        const store = await this.transaction('readonly');
+        return AttendanceStore.promisify(store.get(date));
+    }
+
+    /**
+     * Store a day, replacing whatever was saved for that date
+     * Pasting the same punches again is a no-op. Resolves to true if the
+     * record was written.
+     */
+    async saveDay(record) {
+        const existing = await this.get(record.date);
+
+        if (existing && existing.signature === record.signature) {
+            return false;
+        }
+
+        const store = await this.transaction('readwrite');
+        await AttendanceStore.promisify(store.put(record));
+        return true;
+    }
+
+    async deleteDay(date) {
+        const store = await this.transaction('readwrite');
+        await AttendanceStore.promisify(store.delete(date));
+    }
+
+    /**
+     * Build a storable record from one of LogoutCalculator's days
+     * Totals are taken up to the last punch, so an unfinished day reads
+     * the same on every live update, and credited under the work policy.
+     */
+    static toRecord(day, requiredMinutes, policy) {
+        const punches = TimestampParser.resolveDirections(day.punches);
+        const firstPunch = punches[0];
+        const lastPunch = punches[punches.length - 1];
+        const calculation = TimestampParser.calculateBreaksAlternating(day.punches, lastPunch.time);
+        const { activeMinutes, breakMinutes } = WorkPolicy.apply(calculation, policy, {
+            targetMinutes: requiredMinutes,
+            referenceTime: lastPunch.time,
+            isToday: false
+        });
+
+        const storedPunches = day.punches.map(punch => ({
+            time: punch.time.toISOString(),
+            label: punch.label || null,
+            direction: punch.direction || null
+        }));
+
+        const signature = storedPunches
+            .map(punch => `${punch.time}|${punch.direction || ''}|${punch.label || ''}`)
+            .concat(String(requiredMinutes), JSON.stringify(policy))
+            .join(';');
+
+        return {
+            date: day.key,
+            punches: storedPunches,
+            signature: signature,
+            activeMinutes: activeMinutes,
+            breakMinutes: breakMinutes,
+            requiredMinutes: requiredMinutes,
+            firstIn: firstPunch.time.toISOString(),
+            lastOut: lastPunch.direction === 'out' ? lastPunch.time.toISOString() : null,
+            savedAt: new Date().toISOString()
+        };
+    }
+
+    /**
+     * Turn a stored record's punches back into parser punches
+     */
+    static toPunches(record) {
+        return record.punches.map(punch => ({
+            time: new Date(punch.time),
+            label: punch.label,
+            direction: punch.direction
+        }));
+    }
+}
+
+// ===================================
+// HISTORY PANEL
+// ===================================
+
+export class HistoryPanel {
+    /**
+     * onOpen(record): a day was opened; onChange(records): the list was
+     * read again; onDelete(): a day was deleted here
+     */
+    constructor(store, { i18n, onOpen, onChange, onDelete }) {
+        this.store = store;
+        this.i18n = i18n;
+        this.onOpen = onOpen;
+        this.onChange = onChange;
+        this.onDelete = onDelete;
+
+        this.historyCard = document.getElementById('historyCard');
+        this.historyContent = document.getElementById('historyContent');
+
+        this.refresh();
+    }
+
+    async refresh() {
+        let records;
+
+        try {
+            records = await this.store.getAll();
+        } catch (error) {
+            // No IndexedDB (private mode, old browser): keep the panel hidden
+            this.historyCard.style.display = 'none';
+            console.warn('Attendance history unavailable', error);
+            return;
+        }
+
+        this.render(records);
+        this.onChange(records);
+    }
+
+    render(records) {
+        this.historyCard.style.display = 'block';
+        this.historyContent.innerHTML = '';
+
+        if (records.length === 0) {
+            const empty = document.createElement('p');
+            empty.className = 'history-empty';
+            empty.textContent = this.i18n.t('history.empty');
+            this.historyContent.appendChild(empty);
+            return;
+        }
+
+        const formatTime = (isoString) => (isoString ? this.i18n.formatTime(new Date(isoString)) : '—');
+        const formatDuration = (totalMinutes) => this.i18n.formatDuration(totalMinutes);
+
+        const formatDate = (key) => {
+            const [year, month, day] = key.split('-').map(Number);
+            return this.i18n.formatDate(new Date(year, month - 1, day), {
+                weekday: 'short',
+                day: '2-digit',
+                month: 'short',
+                year: 'numeric'
+            });
+        };
+
+        const table = document.createElement('table');
+        table.className = 'day-table history-table';
+
+        const head = table.createTHead().insertRow();
+        ['summary.date', 'summary.in', 'summary.out', 'summary.active', 'summary.break', null].forEach(key => {
+            const th = document.createElement('th');
+            th.textContent = key ? this.i18n.t(key) : '';
+            head.appendChild(th);
+        });
+
+        const body = table.createTBody();
+
+        records.forEach(record => {
+            const row = body.insertRow();
+            row.className = 'day-row';
+
+            [
+                formatDate(record.date),
+                formatTime(record.firstIn),
+                formatTime(record.lastOut),
+                formatDuration(record.activeMinutes),
+                formatDuration(record.breakMinutes)
+            ].forEach(text => {
+                row.insertCell().textContent = text;
+            });
+
+            const actions = row.insertCell();
+            actions.className = 'history-actions';
+
+            const openButton = document.createElement('button');
+            openButton.type = 'button';
+            openButton.className = 'history-button';
+            openButton.textContent = this.i18n.t('history.open');
+            openButton.addEventListener('click', () => this.onOpen(record));
+
+            const deleteButton = document.createElement('button');
+            deleteButton.type = 'button';
+            deleteButton.className = 'history-button delete';
+            deleteButton.textContent = this.i18n.t('history.delete');
+            deleteButton.addEventListener('click', async () => {
+                try {
+                    await this.store.deleteDay(record.date);
+                } catch (error) {
+                    // Same as a failed read: the list can't be trusted any more
+                    this.historyCard.style.display = 'none';
+                    console.warn('Attendance history unavailable', error);
+                    return;
+                }
+
+                this.refresh();
+                this.onDelete();
+            });
+
+            actions.appendChild(openButton);
+            actions.appendChild(deleteButton);
+        });
+
+        this.historyContent.appendChild(table);
+    }
+}
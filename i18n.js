@@ -0,0 +1,1283 @@
+import { TimestampParser } from './core.js';
+import { profileStorage } from './profiles.js';
+
+// ===================================
+// UI STRINGS
+// ===================================
+
+// English is complete and fills in whatever a translation lacks.
+// {name} placeholders are filled in by Localizer.t.
+const MESSAGES = {
+    en: {
+        'app.tagline': 'Smart work time management made beautiful',
+        'calculator.title': 'Calculate Your Logout Time',
+        'calculator.subtitle': 'Enter your work details below',
+        'input.label': 'Paste Your Timestamps',
+        'input.paste': 'Paste from clipboard',
+        'input.dropHint': 'or drop a .txt, .csv or .html export on the form',
+        'input.hint': 'First timestamp is login, then alternates OUT/IN for breaks unless the log names IN/OUT',
+        'input.detectedFormat': 'Detected format: {name}',
+        'input.line': 'Line {line}: {message} ("{text}")',
+        'hours.label': 'Required Active Work Hours',
+        'hours.hint': 'Active work hours (excluding breaks)',
+        'hours.bank': "Carry this week's surplus or deficit into today's target",
+        'planner.label': 'Plan the Rest of Today',
+        'planner.add': '+ Add planned break',
+        'planner.leaveAt': 'I must leave at',
+        'planner.hint': "Planned breaks move your logout time; applies to today's punches",
+        'calculate.button': 'Calculate Logout Time',
+        'advanced.toggle': 'Advanced Options (Manual Entry & Work Policy)',
+        'advanced.language': 'Language & Formats',
+        'language.label': 'Language',
+        'language.auto': 'Browser language',
+        'hourCycle.label': 'Clock',
+        'hourCycle.auto': 'Language default',
+        'hourCycle.h12': '12-hour (2:30 PM)',
+        'hourCycle.h23': '24-hour (14:30)',
+        'duration.label': 'Durations',
+        'duration.clock': 'Clock style (7:30)',
+        'duration.units': 'With units (7h 30m)',
+        'error.noTimestamps': 'No valid timestamps found. Please check your input format.',
+        'error.rejectedLines': 'No valid timestamps found. The highlighted lines could not be read.',
+        'share.copied': 'Link copied. The day is in the link itself; nothing is uploaded.',
+        'share.copy': 'Copy the link above. The day is in the link itself; nothing is uploaded.',
+        'result.title': 'Your Logout Time',
+        'result.pastTitle': 'Shift Summary (Past)',
+        'result.end': '{time} (End)',
+        'result.active': 'Active Work Time',
+        'result.break': 'Total Break Time',
+        'result.remaining': 'Time Remaining',
+        'result.status': 'Status',
+        'result.officeTime': 'Total Time in Office',
+        'result.noHours': '-- hours',
+        'result.noMinutes': '-- minutes',
+        'result.noProgress': 'Day progress: 0%',
+        'footer.madeWith': 'Made with',
+        'footer.balance': 'for better work-life balance',
+        'result.processed': 'Shift Processed',
+        'result.complete': 'Work Complete! 🎉',
+        'result.dayProgress': 'Day progress: {percent}',
+        'result.shiftProgress': 'Shift work: {percent}',
+        'live.title': '{remaining} left · out at {time}',
+        'live.done': 'Done · out at {time}',
+        'live.logout': 'Out at {time}',
+        'live.working': 'Working',
+        'live.onBreak': 'On a break',
+        'live.complete': 'Day complete',
+        'live.miniWindow': 'Mini window',
+        'manual.breakReversed': 'A break that ends before it starts is left out; check its times.',
+        'leave.planned': ' ({duration} planned)',
+        'leave.shortKeepBreaks': 'Leaving at {time} leaves you {short} short: keep breaks to {allowance}{planned}',
+        'leave.short': 'Leaving at {time} leaves you {short} short',
+        'leave.shortWithoutBreaks': ', {duration} even with no breaks',
+        'leave.works': 'Leaving at {time} works: up to {allowance} of breaks left{planned}',
+        'leave.coreHours': '. Core hours end at {time}',
+        'bank.early': 'Leave {amount} early, you banked it {weekday}',
+        'bank.late': 'Stay {amount} longer to make up for {weekday}',
+        'calendar.holiday': 'Holiday',
+        'calendar.leave': 'Leave',
+        'calendar.half': 'Half day',
+        'calendar.target': 'Custom target',
+        'calendar.noWork': '{name}: no work required',
+        'calendar.markedTarget': '{name}: {target} required',
+        'calendar.weekdayTarget': '{target} required on this weekday',
+        'calendar.weekdayNoWork': 'No work required on this weekday',
+        'calendar.weekdayHours': 'Hours on {day}',
+        'calendar.remove': 'Remove {date}',
+        'calendar.pickDate': 'Pick a date first.',
+        'calendar.importNone': '{file} holds no events.',
+        'calendar.imported': 'Days imported from {file}: {count}.',
+        'calendar.importFailed': 'Could not read {file}.',
+        'profile.default': 'Default',
+        'profile.newName': 'Profile',
+        'profile.confirmDelete': 'Delete the profile “{name}” with its settings and history?',
+        'profile.importFailed': 'Could not import {file}: {reason}',
+        'profile.notJson': 'The file is not JSON',
+        'profile.notExport': 'The file is not a profile export',
+        'report.week': 'Week',
+        'report.month': 'Month',
+        'report.worked': 'Worked',
+        'report.bank': 'Bank',
+        'history.empty': 'Calculated days will appear here.',
+        'history.open': 'Open',
+        'history.delete': 'Delete',
+        'timeline.block': '{name}: {start} - {end} ({duration})',
+        'timeline.work': 'Work',
+        'timeline.break': 'Break',
+        'timeline.remaining': 'Remaining work',
+        'timeline.planned': 'Planned break',
+        'timeline.plannedNamed': 'Planned break, {label}',
+        'timeline.now': 'Now: {time}',
+        'notify.before': '{duration} until logout',
+        'notify.now': 'Time to log out',
+        'notify.projected': 'Projected logout at {time}',
+        'notify.longBreak': 'Break is running long',
+        'notify.onBreakSince': 'On break since {time} ({duration})',
+        'notify.unsupported': 'This browser does not support notifications',
+        'notify.blocked': 'Notifications are blocked for this site in your browser settings',
+        'import.clipboardFailed': 'Could not read the clipboard. Allow clipboard access, or paste with Ctrl+V.',
+        'import.unsupported': '{file} is not a text, CSV or HTML export.',
+        'import.readFailed': 'Could not read {file}.',
+        'import.empty': 'There was no text to import.',
+        'planner.namePlaceholder': 'Lunch',
+        'planner.name': 'Planned break name',
+        'planner.start': 'Planned break start',
+        'planner.end': 'Planned break end',
+        'planner.remove': 'Remove planned break',
+        'manual.breakStart': 'Break start',
+        'manual.breakEnd': 'Break end',
+        'manual.or': 'or',
+        'manual.minutesPlaceholder': 'min',
+        'manual.breakMinutes': 'Break length in minutes',
+        'manual.removeBreak': 'Remove break',
+        'shift.unknownZone': "Unknown time zone \"{zone}\", using this device's",
+        'theme.auto': 'Auto (follow system)',
+        'theme.custom': 'Custom',
+        'theme.defaultName': 'My theme',
+        'theme.textOnBackground': 'Text on background',
+        'theme.textOnCard': 'Text on cards',
+        'theme.hintOnCard': 'Hints on cards',
+        'theme.buttonOnAccent': 'Button text on accent',
+        'theme.saved': 'Saved.',
+        'theme.savedHardToRead': 'Saved. Some colours are hard to read: {checks}.',
+        'theme.imported': 'Themes imported: {count}.',
+        'theme.importFailed': 'Could not import {file}: {reason}',
+        'theme.notJson': 'The file is not JSON',
+        'theme.noThemes': 'The file holds no valid themes',
+        'theme.label': 'Theme',
+        'profile.label': 'Profile',
+        'manual.loginTime': 'Manual Login Time',
+        'manual.breaks': 'Manual Breaks',
+        'manual.add': '+ Add break',
+        'manual.hint': 'Give a start and an end, or a start and the minutes',
+        'policy.title': 'Work Policy',
+        'policy.mandatoryBreak': 'Deduct a mandatory break even if not taken',
+        'policy.minutesAfter': 'min after',
+        'policy.hoursOfWork': 'h of work',
+        'policy.minBreak': 'Count breaks shorter than (minutes) as work',
+        'policy.minBreakHint': '0 counts every break',
+        'policy.coreHours': 'Core hours (no logout before they end)',
+        'policy.coreStart': 'Core hours start',
+        'policy.coreEnd': 'Core hours end',
+        'policy.maxDaily': 'Maximum hours per day',
+        'policy.maxDailyHint': '0 turns the warning off',
+        'notify.title': 'Notifications',
+        'notify.enable': 'Notify me before my logout time',
+        'notify.offsets': 'Minutes before logout',
+        'notify.offsetsHint': 'Comma separated; 0 alerts at the logout time itself',
+        'notify.breakLimit': 'Alert when a break runs longer than (minutes)',
+        'shift.title': 'Shifts & Time Zone',
+        'shift.nightShift': 'Night shifts (keep shifts past midnight on one day)',
+        'shift.dayStart': 'Working day starts at',
+        'shift.dayStartHint': 'Punches before this time count towards the previous day',
+        'shift.timeZone': 'Time zone of the punch log',
+        'shift.timeZonePlaceholder': "This device's time zone",
+        'calendar.title': 'Holidays & Leave',
+        'calendar.weekdays': 'Hours per weekday',
+        'calendar.weekdaysHint': 'Leave a day empty to use the required work hours',
+        'calendar.markDay': 'Mark a day',
+        'calendar.hoursPlaceholder': 'Hours',
+        'calendar.hoursLabel': 'Hours for a custom target',
+        'calendar.namePlaceholder': 'Name (optional)',
+        'calendar.nameLabel': 'Name of the day',
+        'calendar.add': 'Add day',
+        'calendar.import': 'Import .ics',
+        'theme.title': 'Custom Theme',
+        'theme.name': 'Theme name',
+        'theme.accent': 'Accent',
+        'theme.background': 'Background',
+        'theme.cards': 'Cards',
+        'theme.text': 'Text',
+        'theme.previewHint': 'Changes preview on the whole page until you save or discard them',
+        'theme.save': 'Save theme',
+        'theme.discard': 'Discard preview',
+        'theme.delete': 'Delete',
+        'theme.export': 'Export JSON',
+        'theme.import': 'Import JSON',
+        'profile.name': 'Profile name',
+        'profile.hint': 'Work hours, rules, calendar, theme and history belong to the profile in use',
+        'profile.new': 'New profile',
+        'profile.delete': 'Delete',
+        'profile.export': 'Export profile',
+        'profile.import': 'Import profile',
+        'export.calendar': 'Calendar (.ics)',
+        'export.share': 'Share link',
+        'export.shareLink': 'Share link',
+        'history.title': 'Attendance History',
+        'history.subtitle': 'Days you have calculated, saved in this browser',
+        'report.title': 'Hour Bank',
+        'report.subtitle': 'Hours required, hours worked and the running surplus or deficit',
+        'report.weekly': 'Weekly',
+        'report.monthly': 'Monthly',
+        'anomaly.ignore': 'Ignore',
+        'section.timeline': 'Day Timeline',
+        'section.breakdown': 'Detailed Breakdown',
+        'section.daySummary': 'Daily Summary',
+        'section.export': 'Export',
+        'breakdown.work': 'Work Period {index}: {start} - {end}',
+        'breakdown.break': 'Break {index}: {start} - {end}',
+        'breakdown.plannedWork': 'Planned work: {start} - {end}',
+        'breakdown.plannedBreak': 'Planned break: {start} - {end}',
+        'breakdown.ongoing': ' (ongoing)',
+        'breakdown.countedAsWork': ' (counted as work)',
+        'breakdown.corrected': 'Added by fix',
+        'parse.unknownMonth': 'Unknown month "{month}"',
+        'parse.invalidDate': '{text} is not a valid date',
+        'parse.mixedMeridiem': '{text} mixes a 24-hour time with AM/PM',
+        'parse.invalidTime': '{text} is not a valid time',
+        'parse.unreadable': 'Could not read a date and time from this line',
+        'parse.dateWithoutTime': 'Date without a time line before it',
+        'parse.partialTime': 'Not a full time; expected hh:mm:ss, e.g. 09:15:00 am',
+        'parse.timeWithoutDate': 'Time without a date; the date goes on the next line',
+        'format.portal': 'Portal log (time + date lines)',
+        'format.csv': 'CSV export',
+        'format.iso': 'ISO-8601',
+        'format.dmy': 'dd/mm/yyyy hh:mm',
+        'format.single-line': 'Single-line date & time',
+        'anomaly.doubleSwipe': 'Punches at {first} and {second} are {seconds}s apart (double swipe?)',
+        'anomaly.removePunch': 'Remove the {time} punch',
+        'anomaly.longBreak': 'Break from {start} lasts {length}; a return punch may be missing',
+        'anomaly.addIn': 'Add an IN punch at {time}',
+        'anomaly.crossesMidnight': 'Work from {start} on {day} crosses midnight until {end}',
+        'anomaly.crossesDayStart': 'Work from {start} on {day} crosses the {boundary} day start until {end}',
+        'anomaly.splitAtMidnight': 'Split the period at midnight',
+        'anomaly.splitAtDayStart': 'Split the period at the {boundary} day start',
+        'anomaly.missingOut': '{day} has {count} punches and ends with an IN at {time}; the last OUT is probably missing',
+        'anomaly.addOut': 'Add an OUT punch at {time} (target reached)',
+        'policy.breakDeducted': '{deducted} min deducted: a {required} min break is required after {after} of work',
+        'policy.breakPending': 'Take {pending} more min of break before {after} of work, or it will be deducted',
+        'policy.lateArrival': 'Arrived after core hours started ({time})',
+        'policy.earlyLeave': 'Left before core hours ended ({time})',
+        'policy.overMaximum': 'Worked past the daily maximum of {maximum}',
+        'policy.targetOverMaximum': "Today's target goes past the daily maximum of {maximum}",
+        'summary.date': 'Date',
+        'summary.in': 'In',
+        'summary.out': 'Out',
+        'summary.active': 'Active',
+        'summary.break': 'Break',
+        'summary.balance': 'Balance',
+        'summary.now': 'now',
+        'summary.days': 'Days',
+        'summary.totalActive': 'Total Active',
+        'summary.totalBreak': 'Total Break',
+        'summary.required': 'Required'
+    },
+
+    de: {
+        'app.tagline': 'Arbeitszeit smart und schön im Blick',
+        'calculator.title': 'Feierabend berechnen',
+        'calculator.subtitle': 'Gib unten deine Arbeitsdaten ein',
+        'input.label': 'Stempelzeiten einfügen',
+        'input.paste': 'Aus Zwischenablage einfügen',
+        'input.dropHint': 'oder einen .txt-, .csv- oder .html-Export auf das Formular ziehen',
+        'input.hint': 'Die erste Stempelung ist das Kommen, danach wechseln GEHEN/KOMMEN für Pausen, sofern das Protokoll sie nicht benennt',
+        'input.detectedFormat': 'Erkanntes Format: {name}',
+        'input.line': 'Zeile {line}: {message} („{text}“)',
+        'hours.label': 'Geforderte Arbeitsstunden',
+        'hours.hint': 'Reine Arbeitszeit (ohne Pausen)',
+        'hours.bank': 'Plus- oder Minusstunden dieser Woche ins heutige Soll übernehmen',
+        'planner.label': 'Rest des Tages planen',
+        'planner.add': '+ Geplante Pause hinzufügen',
+        'planner.leaveAt': 'Ich muss gehen um',
+        'planner.hint': 'Geplante Pausen verschieben den Feierabend; gilt für die heutigen Stempelungen',
+        'calculate.button': 'Feierabend berechnen',
+        'advanced.toggle': 'Erweitert (manuelle Eingabe & Arbeitsregeln)',
+        'advanced.language': 'Sprache & Formate',
+        'language.label': 'Sprache',
+        'language.auto': 'Browsersprache',
+        'hourCycle.label': 'Uhrzeit',
+        'hourCycle.auto': 'Wie in der Sprache üblich',
+        'hourCycle.h12': '12 Stunden (2:30 PM)',
+        'hourCycle.h23': '24 Stunden (14:30)',
+        'duration.label': 'Dauern',
+        'duration.clock': 'Als Uhrzeit (7:30)',
+        'duration.units': 'Mit Einheiten (7 Std. 30 Min.)',
+        'error.noTimestamps': 'Keine gültigen Stempelzeiten gefunden. Bitte das Eingabeformat prüfen.',
+        'error.rejectedLines': 'Keine gültigen Stempelzeiten gefunden. Die markierten Zeilen waren nicht lesbar.',
+        'share.copied': 'Link kopiert. Der Tag steckt im Link selbst; nichts wird hochgeladen.',
+        'share.copy': 'Kopiere den Link oben. Der Tag steckt im Link selbst; nichts wird hochgeladen.',
+        'result.title': 'Dein Feierabend',
+        'result.pastTitle': 'Schichtübersicht (vergangen)',
+        'result.end': '{time} (Ende)',
+        'result.active': 'Arbeitszeit',
+        'result.break': 'Pausen gesamt',
+        'result.remaining': 'Verbleibend',
+        'result.status': 'Status',
+        'result.officeTime': 'Zeit im Büro',
+        'result.noHours': '-- Stunden',
+        'result.noMinutes': '-- Minuten',
+        'result.noProgress': 'Tagesfortschritt: 0 %',
+        'footer.madeWith': 'Mit',
+        'footer.balance': 'gemacht für eine bessere Work-Life-Balance',
+        'result.processed': 'Schicht ausgewertet',
+        'result.complete': 'Geschafft! 🎉',
+        'result.dayProgress': 'Tagesfortschritt: {percent}',
+        'result.shiftProgress': 'Schicht: {percent}',
+        'live.title': 'Noch {remaining} · Feierabend {time}',
+        'live.done': 'Geschafft · Feierabend {time}',
+        'live.logout': 'Feierabend um {time}',
+        'live.working': 'Bei der Arbeit',
+        'live.onBreak': 'In der Pause',
+        'live.complete': 'Tag geschafft',
+        'live.miniWindow': 'Mini-Fenster',
+        'manual.breakReversed': 'Eine Pause, die vor ihrem Beginn endet, wird nicht gezählt; prüfe ihre Zeiten.',
+        'leave.planned': ' ({duration} geplant)',
+        'leave.shortKeepBreaks': 'Wenn du um {time} gehst, fehlen dir {short}: Pausen auf {allowance} begrenzen{planned}',
+        'leave.short': 'Wenn du um {time} gehst, fehlen dir {short}',
+        'leave.shortWithoutBreaks': ', auch ohne Pausen noch {duration}',
+        'leave.works': 'Um {time} gehen passt: noch bis zu {allowance} Pause{planned}',
+        'leave.coreHours': '. Die Kernzeit endet um {time}',
+        'bank.early': '{amount} früher gehen, angespart am {weekday}',
+        'bank.late': '{amount} länger bleiben, um den {weekday} auszugleichen',
+        'calendar.holiday': 'Feiertag',
+        'calendar.leave': 'Urlaub',
+        'calendar.half': 'Halber Tag',
+        'calendar.target': 'Eigenes Soll',
+        'calendar.noWork': '{name}: keine Arbeit nötig',
+        'calendar.markedTarget': '{name}: Soll {target}',
+        'calendar.weekdayTarget': 'Soll an diesem Wochentag: {target}',
+        'calendar.weekdayNoWork': 'An diesem Wochentag keine Arbeit nötig',
+        'calendar.weekdayHours': 'Stunden am {day}',
+        'calendar.remove': '{date} entfernen',
+        'calendar.pickDate': 'Wähle zuerst ein Datum.',
+        'calendar.importNone': '{file} enthält keine Termine.',
+        'calendar.imported': 'Aus {file} übernommene Tage: {count}.',
+        'calendar.importFailed': '{file} konnte nicht gelesen werden.',
+        'profile.default': 'Standard',
+        'profile.newName': 'Profil',
+        'profile.confirmDelete': 'Profil „{name}“ mit Einstellungen und Verlauf löschen?',
+        'profile.importFailed': '{file} konnte nicht importiert werden: {reason}',
+        'profile.notJson': 'Die Datei ist kein JSON',
+        'profile.notExport': 'Die Datei ist kein Profil-Export',
+        'report.week': 'Woche',
+        'report.month': 'Monat',
+        'report.worked': 'Gearbeitet',
+        'report.bank': 'Zeitkonto',
+        'history.empty': 'Berechnete Tage erscheinen hier.',
+        'history.open': 'Öffnen',
+        'history.delete': 'Löschen',
+        'timeline.block': '{name}: {start} - {end} ({duration})',
+        'timeline.work': 'Arbeit',
+        'timeline.break': 'Pause',
+        'timeline.remaining': 'Verbleibende Arbeit',
+        'timeline.planned': 'Geplante Pause',
+        'timeline.plannedNamed': 'Geplante Pause, {label}',
+        'timeline.now': 'Jetzt: {time}',
+        'notify.before': 'Noch {duration} bis Feierabend',
+        'notify.now': 'Zeit zum Ausstempeln',
+        'notify.projected': 'Voraussichtlicher Feierabend um {time}',
+        'notify.longBreak': 'Die Pause dauert lange',
+        'notify.onBreakSince': 'In Pause seit {time} ({duration})',
+        'notify.unsupported': 'Dieser Browser unterstützt keine Benachrichtigungen',
+        'notify.blocked': 'Benachrichtigungen sind für diese Seite in den Browsereinstellungen blockiert',
+        'import.clipboardFailed': 'Die Zwischenablage konnte nicht gelesen werden. Erlaube den Zugriff oder füge mit Strg+V ein.',
+        'import.unsupported': '{file} ist kein Text-, CSV- oder HTML-Export.',
+        'import.readFailed': '{file} konnte nicht gelesen werden.',
+        'import.empty': 'Es gab keinen Text zum Importieren.',
+        'planner.namePlaceholder': 'Mittagessen',
+        'planner.name': 'Name der geplanten Pause',
+        'planner.start': 'Beginn der geplanten Pause',
+        'planner.end': 'Ende der geplanten Pause',
+        'planner.remove': 'Geplante Pause entfernen',
+        'manual.breakStart': 'Pausenbeginn',
+        'manual.breakEnd': 'Pausenende',
+        'manual.or': 'oder',
+        'manual.minutesPlaceholder': 'Min.',
+        'manual.breakMinutes': 'Pausenlänge in Minuten',
+        'manual.removeBreak': 'Pause entfernen',
+        'shift.unknownZone': 'Unbekannte Zeitzone „{zone}“, es gilt die Zeitzone dieses Geräts',
+        'theme.auto': 'Automatisch (wie das System)',
+        'theme.custom': 'Eigene',
+        'theme.defaultName': 'Mein Design',
+        'theme.textOnBackground': 'Text auf Hintergrund',
+        'theme.textOnCard': 'Text auf Karten',
+        'theme.hintOnCard': 'Hinweise auf Karten',
+        'theme.buttonOnAccent': 'Schaltflächentext auf Akzent',
+        'theme.saved': 'Gespeichert.',
+        'theme.savedHardToRead': 'Gespeichert. Einige Farben sind schwer lesbar: {checks}.',
+        'theme.imported': 'Importierte Designs: {count}.',
+        'theme.importFailed': '{file} konnte nicht importiert werden: {reason}',
+        'theme.notJson': 'Die Datei ist kein JSON',
+        'theme.noThemes': 'Die Datei enthält keine gültigen Designs',
+        'theme.label': 'Design',
+        'profile.label': 'Profil',
+        'manual.loginTime': 'Manuelle Anmeldezeit',
+        'manual.breaks': 'Manuelle Pausen',
+        'manual.add': '+ Pause hinzufügen',
+        'manual.hint': 'Gib Beginn und Ende an oder Beginn und Minuten',
+        'policy.title': 'Arbeitszeitregeln',
+        'policy.mandatoryBreak': 'Pflichtpause abziehen, auch wenn sie nicht genommen wurde',
+        'policy.minutesAfter': 'Min. nach',
+        'policy.hoursOfWork': 'Std. Arbeit',
+        'policy.minBreak': 'Pausen kürzer als (Minuten) als Arbeit zählen',
+        'policy.minBreakHint': '0 zählt jede Pause',
+        'policy.coreHours': 'Kernzeit (kein Feierabend vor ihrem Ende)',
+        'policy.coreStart': 'Beginn der Kernzeit',
+        'policy.coreEnd': 'Ende der Kernzeit',
+        'policy.maxDaily': 'Höchstarbeitszeit pro Tag',
+        'policy.maxDailyHint': '0 schaltet die Warnung ab',
+        'notify.title': 'Benachrichtigungen',
+        'notify.enable': 'Vor meinem Feierabend benachrichtigen',
+        'notify.offsets': 'Minuten vor Feierabend',
+        'notify.offsetsHint': 'Durch Kommas getrennt; 0 meldet sich genau zum Feierabend',
+        'notify.breakLimit': 'Melden, wenn eine Pause länger dauert als (Minuten)',
+        'shift.title': 'Schichten & Zeitzone',
+        'shift.nightShift': 'Nachtschichten (Schichten über Mitternacht bleiben ein Tag)',
+        'shift.dayStart': 'Arbeitstag beginnt um',
+        'shift.dayStartHint': 'Buchungen vor dieser Uhrzeit zählen zum Vortag',
+        'shift.timeZone': 'Zeitzone des Buchungsprotokolls',
+        'shift.timeZonePlaceholder': 'Zeitzone dieses Geräts',
+        'calendar.title': 'Feiertage & Urlaub',
+        'calendar.weekdays': 'Stunden pro Wochentag',
+        'calendar.weekdaysHint': 'Leer lassen, um die geforderten Arbeitsstunden zu nutzen',
+        'calendar.markDay': 'Tag markieren',
+        'calendar.hoursPlaceholder': 'Stunden',
+        'calendar.hoursLabel': 'Stunden für ein eigenes Soll',
+        'calendar.namePlaceholder': 'Name (optional)',
+        'calendar.nameLabel': 'Name des Tages',
+        'calendar.add': 'Tag hinzufügen',
+        'calendar.import': '.ics importieren',
+        'theme.title': 'Eigenes Design',
+        'theme.name': 'Name des Designs',
+        'theme.accent': 'Akzent',
+        'theme.background': 'Hintergrund',
+        'theme.cards': 'Karten',
+        'theme.text': 'Text',
+        'theme.previewHint': 'Änderungen gelten als Vorschau für die ganze Seite, bis du sie speicherst oder verwirfst',
+        'theme.save': 'Design speichern',
+        'theme.discard': 'Vorschau verwerfen',
+        'theme.delete': 'Löschen',
+        'theme.export': 'JSON exportieren',
+        'theme.import': 'JSON importieren',
+        'profile.name': 'Profilname',
+        'profile.hint': 'Arbeitsstunden, Regeln, Kalender, Design und Verlauf gehören zum aktiven Profil',
+        'profile.new': 'Neues Profil',
+        'profile.delete': 'Löschen',
+        'profile.export': 'Profil exportieren',
+        'profile.import': 'Profil importieren',
+        'export.calendar': 'Kalender (.ics)',
+        'export.share': 'Link teilen',
+        'export.shareLink': 'Link zum Teilen',
+        'history.title': 'Anwesenheitsverlauf',
+        'history.subtitle': 'Berechnete Tage, in diesem Browser gespeichert',
+        'report.title': 'Zeitkonto',
+        'report.subtitle': 'Soll, gearbeitete Stunden und das laufende Plus oder Minus',
+        'report.weekly': 'Wöchentlich',
+        'report.monthly': 'Monatlich',
+        'anomaly.ignore': 'Ignorieren',
+        'section.timeline': 'Tagesverlauf',
+        'section.breakdown': 'Aufschlüsselung',
+        'section.daySummary': 'Tagesübersicht',
+        'section.export': 'Export',
+        'breakdown.work': 'Arbeitsblock {index}: {start} - {end}',
+        'breakdown.break': 'Pause {index}: {start} - {end}',
+        'breakdown.plannedWork': 'Geplante Arbeit: {start} - {end}',
+        'breakdown.plannedBreak': 'Geplante Pause: {start} - {end}',
+        'breakdown.ongoing': ' (läuft)',
+        'breakdown.countedAsWork': ' (als Arbeit gezählt)',
+        'breakdown.corrected': 'Durch Korrektur ergänzt',
+        'parse.unknownMonth': 'Unbekannter Monat „{month}“',
+        'parse.invalidDate': '{text} ist kein gültiges Datum',
+        'parse.mixedMeridiem': '{text} mischt eine 24-Stunden-Zeit mit AM/PM',
+        'parse.invalidTime': '{text} ist keine gültige Uhrzeit',
+        'parse.unreadable': 'Aus dieser Zeile ließ sich kein Datum mit Uhrzeit lesen',
+        'parse.dateWithoutTime': 'Datum ohne Uhrzeitzeile davor',
+        'parse.partialTime': 'Keine vollständige Uhrzeit; erwartet wird hh:mm:ss, z. B. 09:15:00 am',
+        'parse.timeWithoutDate': 'Uhrzeit ohne Datum; das Datum gehört in die nächste Zeile',
+        'format.portal': 'Portal-Protokoll (Zeit- und Datumszeilen)',
+        'format.csv': 'CSV-Export',
+        'format.iso': 'ISO-8601',
+        'format.dmy': 'tt/mm/jjjj hh:mm',
+        'format.single-line': 'Datum und Uhrzeit in einer Zeile',
+        'anomaly.doubleSwipe': 'Stempelungen um {first} und {second} liegen {seconds} s auseinander (doppelt gestempelt?)',
+        'anomaly.removePunch': 'Stempelung um {time} entfernen',
+        'anomaly.longBreak': 'Pause ab {start} dauert {length}; vielleicht fehlt eine Rückkehr-Stempelung',
+        'anomaly.addIn': 'KOMMEN um {time} ergänzen',
+        'anomaly.crossesMidnight': 'Arbeit ab {start} am {day} geht über Mitternacht bis {end}',
+        'anomaly.crossesDayStart': 'Arbeit ab {start} am {day} geht über den Tagesbeginn um {boundary} bis {end}',
+        'anomaly.splitAtMidnight': 'Zeitraum um Mitternacht teilen',
+        'anomaly.splitAtDayStart': 'Zeitraum beim Tagesbeginn um {boundary} teilen',
+        'anomaly.missingOut': '{day} hat {count} Stempelungen und endet mit KOMMEN um {time}; das letzte GEHEN fehlt wohl',
+        'anomaly.addOut': 'GEHEN um {time} ergänzen (Soll erreicht)',
+        'policy.breakDeducted': '{deducted} min abgezogen: nach {after} Arbeit ist eine Pause von {required} min Pflicht',
+        'policy.breakPending': 'Noch {pending} min Pause vor {after} Arbeit machen, sonst werden sie abgezogen',
+        'policy.lateArrival': 'Nach Beginn der Kernzeit gekommen ({time})',
+        'policy.earlyLeave': 'Vor Ende der Kernzeit gegangen ({time})',
+        'policy.overMaximum': 'Über die tägliche Höchstarbeitszeit von {maximum} hinaus gearbeitet',
+        'policy.targetOverMaximum': 'Das heutige Soll geht über die tägliche Höchstarbeitszeit von {maximum} hinaus',
+        'summary.date': 'Datum',
+        'summary.in': 'Kommen',
+        'summary.out': 'Gehen',
+        'summary.active': 'Arbeit',
+        'summary.break': 'Pause',
+        'summary.balance': 'Saldo',
+        'summary.now': 'jetzt',
+        'summary.days': 'Tage',
+        'summary.totalActive': 'Arbeit gesamt',
+        'summary.totalBreak': 'Pausen gesamt',
+        'summary.required': 'Soll'
+    },
+
+    es: {
+        'app.tagline': 'Gestión inteligente de tu jornada',
+        'calculator.title': 'Calcula tu hora de salida',
+        'calculator.subtitle': 'Introduce los datos de tu jornada',
+        'input.label': 'Pega tus fichajes',
+        'input.paste': 'Pegar del portapapeles',
+        'input.dropHint': 'o suelta un archivo .txt, .csv o .html en el formulario',
+        'input.hint': 'El primer fichaje es la entrada; después alternan SALIDA/ENTRADA para las pausas, salvo que el registro las indique',
+        'input.detectedFormat': 'Formato detectado: {name}',
+        'input.line': 'Línea {line}: {message} («{text}»)',
+        'hours.label': 'Horas de trabajo efectivo',
+        'hours.hint': 'Horas de trabajo sin contar pausas',
+        'hours.bank': 'Aplicar el exceso o déficit de esta semana al objetivo de hoy',
+        'planner.label': 'Planifica el resto del día',
+        'planner.add': '+ Añadir pausa prevista',
+        'planner.leaveAt': 'Tengo que salir a las',
+        'planner.hint': 'Las pausas previstas mueven tu hora de salida; se aplican a los fichajes de hoy',
+        'calculate.button': 'Calcular hora de salida',
+        'advanced.toggle': 'Opciones avanzadas (entrada manual y normas)',
+        'advanced.language': 'Idioma y formatos',
+        'language.label': 'Idioma',
+        'language.auto': 'Idioma del navegador',
+        'hourCycle.label': 'Reloj',
+        'hourCycle.auto': 'Según el idioma',
+        'hourCycle.h12': '12 horas (2:30 p. m.)',
+        'hourCycle.h23': '24 horas (14:30)',
+        'duration.label': 'Duraciones',
+        'duration.clock': 'Como reloj (7:30)',
+        'duration.units': 'Con unidades (7 h 30 min)',
+        'error.noTimestamps': 'No se encontraron fichajes válidos. Revisa el formato.',
+        'error.rejectedLines': 'No se encontraron fichajes válidos. No se pudieron leer las líneas marcadas.',
+        'share.copied': 'Enlace copiado. El día va dentro del enlace; no se sube nada.',
+        'share.copy': 'Copia el enlace de arriba. El día va dentro del enlace; no se sube nada.',
+        'result.title': 'Tu hora de salida',
+        'result.pastTitle': 'Resumen del turno (pasado)',
+        'result.end': '{time} (fin)',
+        'result.active': 'Tiempo trabajado',
+        'result.break': 'Pausas en total',
+        'result.remaining': 'Tiempo restante',
+        'result.status': 'Estado',
+        'result.officeTime': 'Tiempo en la oficina',
+        'result.noHours': '-- horas',
+        'result.noMinutes': '-- minutos',
+        'result.noProgress': 'Progreso del día: 0 %',
+        'footer.madeWith': 'Hecho con',
+        'footer.balance': 'para equilibrar mejor el trabajo y la vida',
+        'result.processed': 'Turno procesado',
+        'result.complete': '¡Jornada completa! 🎉',
+        'result.dayProgress': 'Progreso del día: {percent}',
+        'result.shiftProgress': 'Turno trabajado: {percent}',
+        'live.title': 'Faltan {remaining} · salida {time}',
+        'live.done': 'Hecho · salida {time}',
+        'live.logout': 'Salida a las {time}',
+        'live.working': 'Trabajando',
+        'live.onBreak': 'En pausa',
+        'live.complete': 'Jornada completa',
+        'live.miniWindow': 'Miniventana',
+        'manual.breakReversed': 'Una pausa que termina antes de empezar no se cuenta; revisa sus horas.',
+        'leave.planned': ' ({duration} previstas)',
+        'leave.shortKeepBreaks': 'Si sales a las {time} te faltan {short}: limita las pausas a {allowance}{planned}',
+        'leave.short': 'Si sales a las {time} te faltan {short}',
+        'leave.shortWithoutBreaks': ', {duration} incluso sin pausas',
+        'leave.works': 'Salir a las {time} es posible: te quedan hasta {allowance} de pausa{planned}',
+        'leave.coreHours': '. El horario obligatorio termina a las {time}',
+        'bank.early': 'Sal {amount} antes, lo acumulaste el {weekday}',
+        'bank.late': 'Quédate {amount} más para compensar el {weekday}',
+        'calendar.holiday': 'Festivo',
+        'calendar.leave': 'Vacaciones',
+        'calendar.half': 'Media jornada',
+        'calendar.target': 'Objetivo propio',
+        'calendar.noWork': '{name}: no hace falta trabajar',
+        'calendar.markedTarget': '{name}: objetivo {target}',
+        'calendar.weekdayTarget': 'Objetivo para este día de la semana: {target}',
+        'calendar.weekdayNoWork': 'No hace falta trabajar este día de la semana',
+        'calendar.weekdayHours': 'Horas del {day}',
+        'calendar.remove': 'Quitar {date}',
+        'calendar.pickDate': 'Elige primero una fecha.',
+        'calendar.importNone': '{file} no contiene eventos.',
+        'calendar.imported': 'Días importados de {file}: {count}.',
+        'calendar.importFailed': 'No se pudo leer {file}.',
+        'profile.default': 'Predeterminado',
+        'profile.newName': 'Perfil',
+        'profile.confirmDelete': '¿Eliminar el perfil «{name}» con sus ajustes e historial?',
+        'profile.importFailed': 'No se pudo importar {file}: {reason}',
+        'profile.notJson': 'El archivo no es JSON',
+        'profile.notExport': 'El archivo no es una exportación de perfil',
+        'report.week': 'Semana',
+        'report.month': 'Mes',
+        'report.worked': 'Trabajado',
+        'report.bank': 'Bolsa',
+        'history.empty': 'Los días calculados aparecerán aquí.',
+        'history.open': 'Abrir',
+        'history.delete': 'Eliminar',
+        'timeline.block': '{name}: {start} - {end} ({duration})',
+        'timeline.work': 'Trabajo',
+        'timeline.break': 'Pausa',
+        'timeline.remaining': 'Trabajo restante',
+        'timeline.planned': 'Pausa prevista',
+        'timeline.plannedNamed': 'Pausa prevista, {label}',
+        'timeline.now': 'Ahora: {time}',
+        'notify.before': '{duration} para la salida',
+        'notify.now': 'Hora de fichar la salida',
+        'notify.projected': 'Salida prevista a las {time}',
+        'notify.longBreak': 'La pausa se está alargando',
+        'notify.onBreakSince': 'En pausa desde las {time} ({duration})',
+        'notify.unsupported': 'Este navegador no admite notificaciones',
+        'notify.blocked': 'Las notificaciones están bloqueadas para este sitio en la configuración del navegador',
+        'import.clipboardFailed': 'No se pudo leer el portapapeles. Permite el acceso o pega con Ctrl+V.',
+        'import.unsupported': '{file} no es una exportación de texto, CSV o HTML.',
+        'import.readFailed': 'No se pudo leer {file}.',
+        'import.empty': 'No había texto que importar.',
+        'planner.namePlaceholder': 'Comida',
+        'planner.name': 'Nombre de la pausa prevista',
+        'planner.start': 'Inicio de la pausa prevista',
+        'planner.end': 'Fin de la pausa prevista',
+        'planner.remove': 'Quitar la pausa prevista',
+        'manual.breakStart': 'Inicio de la pausa',
+        'manual.breakEnd': 'Fin de la pausa',
+        'manual.or': 'o',
+        'manual.minutesPlaceholder': 'min',
+        'manual.breakMinutes': 'Duración de la pausa en minutos',
+        'manual.removeBreak': 'Quitar la pausa',
+        'shift.unknownZone': 'Zona horaria desconocida «{zone}», se usa la de este dispositivo',
+        'theme.auto': 'Automático (según el sistema)',
+        'theme.custom': 'Personalizados',
+        'theme.defaultName': 'Mi tema',
+        'theme.textOnBackground': 'Texto sobre el fondo',
+        'theme.textOnCard': 'Texto sobre las tarjetas',
+        'theme.hintOnCard': 'Ayudas sobre las tarjetas',
+        'theme.buttonOnAccent': 'Texto de botón sobre el acento',
+        'theme.saved': 'Guardado.',
+        'theme.savedHardToRead': 'Guardado. Algunos colores se leen mal: {checks}.',
+        'theme.imported': 'Temas importados: {count}.',
+        'theme.importFailed': 'No se pudo importar {file}: {reason}',
+        'theme.notJson': 'El archivo no es JSON',
+        'theme.noThemes': 'El archivo no contiene temas válidos',
+        'theme.label': 'Tema',
+        'profile.label': 'Perfil',
+        'manual.loginTime': 'Hora de entrada manual',
+        'manual.breaks': 'Pausas manuales',
+        'manual.add': '+ Añadir pausa',
+        'manual.hint': 'Indica un inicio y un fin, o un inicio y los minutos',
+        'policy.title': 'Normas de jornada',
+        'policy.mandatoryBreak': 'Descontar una pausa obligatoria aunque no se tome',
+        'policy.minutesAfter': 'min tras',
+        'policy.hoursOfWork': 'h de trabajo',
+        'policy.minBreak': 'Contar como trabajo las pausas de menos de (minutos)',
+        'policy.minBreakHint': '0 cuenta todas las pausas',
+        'policy.coreHours': 'Horario obligatorio (sin salida antes de que acabe)',
+        'policy.coreStart': 'Inicio del horario obligatorio',
+        'policy.coreEnd': 'Fin del horario obligatorio',
+        'policy.maxDaily': 'Máximo de horas al día',
+        'policy.maxDailyHint': '0 desactiva el aviso',
+        'notify.title': 'Notificaciones',
+        'notify.enable': 'Avisarme antes de mi hora de salida',
+        'notify.offsets': 'Minutos antes de la salida',
+        'notify.offsetsHint': 'Separados por comas; 0 avisa a la hora de salida',
+        'notify.breakLimit': 'Avisar si una pausa dura más de (minutos)',
+        'shift.title': 'Turnos y zona horaria',
+        'shift.nightShift': 'Turnos de noche (los turnos que pasan de medianoche cuentan como un día)',
+        'shift.dayStart': 'La jornada empieza a las',
+        'shift.dayStartHint': 'Los fichajes antes de esta hora cuentan para el día anterior',
+        'shift.timeZone': 'Zona horaria del registro de fichajes',
+        'shift.timeZonePlaceholder': 'Zona horaria de este dispositivo',
+        'calendar.title': 'Festivos y vacaciones',
+        'calendar.weekdays': 'Horas por día de la semana',
+        'calendar.weekdaysHint': 'Deja un día vacío para usar las horas requeridas',
+        'calendar.markDay': 'Marcar un día',
+        'calendar.hoursPlaceholder': 'Horas',
+        'calendar.hoursLabel': 'Horas para un objetivo propio',
+        'calendar.namePlaceholder': 'Nombre (opcional)',
+        'calendar.nameLabel': 'Nombre del día',
+        'calendar.add': 'Añadir día',
+        'calendar.import': 'Importar .ics',
+        'theme.title': 'Tema personalizado',
+        'theme.name': 'Nombre del tema',
+        'theme.accent': 'Acento',
+        'theme.background': 'Fondo',
+        'theme.cards': 'Tarjetas',
+        'theme.text': 'Texto',
+        'theme.previewHint': 'Los cambios se previsualizan en toda la página hasta que los guardes o descartes',
+        'theme.save': 'Guardar tema',
+        'theme.discard': 'Descartar vista previa',
+        'theme.delete': 'Eliminar',
+        'theme.export': 'Exportar JSON',
+        'theme.import': 'Importar JSON',
+        'profile.name': 'Nombre del perfil',
+        'profile.hint': 'Las horas, las normas, el calendario, el tema y el historial son del perfil en uso',
+        'profile.new': 'Nuevo perfil',
+        'profile.delete': 'Eliminar',
+        'profile.export': 'Exportar perfil',
+        'profile.import': 'Importar perfil',
+        'export.calendar': 'Calendario (.ics)',
+        'export.share': 'Compartir enlace',
+        'export.shareLink': 'Enlace para compartir',
+        'history.title': 'Historial de asistencia',
+        'history.subtitle': 'Días que has calculado, guardados en este navegador',
+        'report.title': 'Bolsa de horas',
+        'report.subtitle': 'Horas requeridas, horas trabajadas y el saldo acumulado',
+        'report.weekly': 'Semanal',
+        'report.monthly': 'Mensual',
+        'anomaly.ignore': 'Ignorar',
+        'section.timeline': 'Cronología del día',
+        'section.breakdown': 'Desglose',
+        'section.daySummary': 'Resumen diario',
+        'section.export': 'Exportar',
+        'breakdown.work': 'Tramo de trabajo {index}: {start} - {end}',
+        'breakdown.break': 'Pausa {index}: {start} - {end}',
+        'breakdown.plannedWork': 'Trabajo previsto: {start} - {end}',
+        'breakdown.plannedBreak': 'Pausa prevista: {start} - {end}',
+        'breakdown.ongoing': ' (en curso)',
+        'breakdown.countedAsWork': ' (cuenta como trabajo)',
+        'breakdown.corrected': 'Añadido por corrección',
+        'parse.unknownMonth': 'Mes desconocido «{month}»',
+        'parse.invalidDate': '{text} no es una fecha válida',
+        'parse.mixedMeridiem': '{text} mezcla una hora de 24 horas con AM/PM',
+        'parse.invalidTime': '{text} no es una hora válida',
+        'parse.unreadable': 'No se pudo leer una fecha y hora en esta línea',
+        'parse.dateWithoutTime': 'Fecha sin una línea de hora antes',
+        'parse.partialTime': 'Hora incompleta; se espera hh:mm:ss, p. ej. 09:15:00 am',
+        'parse.timeWithoutDate': 'Hora sin fecha; la fecha va en la línea siguiente',
+        'format.portal': 'Registro del portal (líneas de hora y fecha)',
+        'format.csv': 'Exportación CSV',
+        'format.iso': 'ISO-8601',
+        'format.dmy': 'dd/mm/aaaa hh:mm',
+        'format.single-line': 'Fecha y hora en una línea',
+        'anomaly.doubleSwipe': 'Los fichajes de las {first} y las {second} distan {seconds} s (¿fichaje doble?)',
+        'anomaly.removePunch': 'Quitar el fichaje de las {time}',
+        'anomaly.longBreak': 'La pausa desde las {start} dura {length}; puede faltar un fichaje de vuelta',
+        'anomaly.addIn': 'Añadir una ENTRADA a las {time}',
+        'anomaly.crossesMidnight': 'El trabajo desde las {start} del {day} pasa la medianoche hasta las {end}',
+        'anomaly.crossesDayStart': 'El trabajo desde las {start} del {day} pasa el inicio del día a las {boundary} hasta las {end}',
+        'anomaly.splitAtMidnight': 'Dividir el periodo a medianoche',
+        'anomaly.splitAtDayStart': 'Dividir el periodo al inicio del día a las {boundary}',
+        'anomaly.missingOut': '{day} tiene {count} fichajes y termina con una ENTRADA a las {time}; seguramente falta la última SALIDA',
+        'anomaly.addOut': 'Añadir una SALIDA a las {time} (objetivo alcanzado)',
+        'policy.breakDeducted': '{deducted} min descontados: tras {after} de trabajo hace falta una pausa de {required} min',
+        'policy.breakPending': 'Toma {pending} min más de pausa antes de {after} de trabajo o se descontarán',
+        'policy.lateArrival': 'Llegada después del inicio del horario fijo ({time})',
+        'policy.earlyLeave': 'Salida antes del final del horario fijo ({time})',
+        'policy.overMaximum': 'Se ha superado el máximo diario de {maximum}',
+        'policy.targetOverMaximum': 'El objetivo de hoy supera el máximo diario de {maximum}',
+        'summary.date': 'Fecha',
+        'summary.in': 'Entrada',
+        'summary.out': 'Salida',
+        'summary.active': 'Trabajo',
+        'summary.break': 'Pausa',
+        'summary.balance': 'Saldo',
+        'summary.now': 'ahora',
+        'summary.days': 'Días',
+        'summary.totalActive': 'Trabajo total',
+        'summary.totalBreak': 'Pausas totales',
+        'summary.required': 'Objetivo'
+    },
+
+    fr: {
+        'app.tagline': 'Votre temps de travail, simplement et joliment',
+        'calculator.title': 'Calculez votre heure de départ',
+        'calculator.subtitle': 'Saisissez vos informations ci-dessous',
+        'input.label': 'Collez vos pointages',
+        'input.paste': 'Coller depuis le presse-papiers',
+        'input.dropHint': 'ou déposez un export .txt, .csv ou .html sur le formulaire',
+        'input.hint': "Le premier pointage est l'arrivée, puis SORTIE/ENTRÉE alternent pour les pauses, sauf si le relevé les indique",
+        'input.detectedFormat': 'Format détecté : {name}',
+        'input.line': 'Ligne {line} : {message} (« {text} »)',
+        'hours.label': 'Heures de travail effectif',
+        'hours.hint': 'Heures de travail hors pauses',
+        'hours.bank': "Reporter l'avance ou le retard de la semaine sur l'objectif du jour",
+        'planner.label': 'Planifier la fin de journée',
+        'planner.add': '+ Ajouter une pause prévue',
+        'planner.leaveAt': 'Je dois partir à',
+        'planner.hint': "Les pauses prévues décalent l'heure de départ ; s'applique aux pointages du jour",
+        'calculate.button': "Calculer l'heure de départ",
+        'advanced.toggle': 'Options avancées (saisie manuelle et règles)',
+        'advanced.language': 'Langue et formats',
+        'language.label': 'Langue',
+        'language.auto': 'Langue du navigateur',
+        'hourCycle.label': 'Horloge',
+        'hourCycle.auto': 'Selon la langue',
+        'hourCycle.h12': '12 heures (2:30 PM)',
+        'hourCycle.h23': '24 heures (14:30)',
+        'duration.label': 'Durées',
+        'duration.clock': 'Format horloge (7:30)',
+        'duration.units': 'Avec unités (7 h 30 min)',
+        'error.noTimestamps': "Aucun pointage valide trouvé. Vérifiez le format de saisie.",
+        'error.rejectedLines': "Aucun pointage valide trouvé. Les lignes surlignées n'ont pas pu être lues.",
+        'share.copied': "Lien copié. La journée est contenue dans le lien ; rien n'est envoyé.",
+        'share.copy': "Copiez le lien ci-dessus. La journée est contenue dans le lien ; rien n'est envoyé.",
+        'result.title': 'Votre heure de départ',
+        'result.pastTitle': 'Bilan du poste (passé)',
+        'result.end': '{time} (fin)',
+        'result.active': 'Temps de travail',
+        'result.break': 'Total des pauses',
+        'result.remaining': 'Temps restant',
+        'result.status': 'Statut',
+        'result.officeTime': 'Temps au bureau',
+        'result.noHours': '-- heures',
+        'result.noMinutes': '-- minutes',
+        'result.noProgress': 'Progression du jour : 0 %',
+        'footer.madeWith': 'Fait avec',
+        'footer.balance': 'pour un meilleur équilibre entre travail et vie privée',
+        'result.processed': 'Poste traité',
+        'result.complete': 'Journée terminée ! 🎉',
+        'result.dayProgress': 'Progression du jour : {percent}',
+        'result.shiftProgress': 'Poste effectué : {percent}',
+        'live.title': 'Encore {remaining} · départ {time}',
+        'live.done': 'Terminé · départ {time}',
+        'live.logout': 'Départ à {time}',
+        'live.working': 'Au travail',
+        'live.onBreak': 'En pause',
+        'live.complete': 'Journée terminée',
+        'live.miniWindow': 'Mini-fenêtre',
+        'manual.breakReversed': "Une pause qui finit avant de commencer n'est pas comptée ; vérifiez ses heures.",
+        'leave.planned': ' ({duration} prévues)',
+        'leave.shortKeepBreaks': 'En partant à {time}, il vous manque {short} : limitez les pauses à {allowance}{planned}',
+        'leave.short': 'En partant à {time}, il vous manque {short}',
+        'leave.shortWithoutBreaks': ', {duration} même sans pause',
+        'leave.works': "Partir à {time} est possible : jusqu'à {allowance} de pause restante{planned}",
+        'leave.coreHours': '. Les plages fixes se terminent à {time}',
+        'bank.early': 'Partez {amount} plus tôt, gagnées {weekday}',
+        'bank.late': 'Restez {amount} de plus pour compenser {weekday}',
+        'calendar.holiday': 'Jour férié',
+        'calendar.leave': 'Congé',
+        'calendar.half': 'Demi-journée',
+        'calendar.target': 'Objectif personnalisé',
+        'calendar.noWork': '{name} : aucun travail requis',
+        'calendar.markedTarget': '{name} : objectif {target}',
+        'calendar.weekdayTarget': 'Objectif pour ce jour de la semaine : {target}',
+        'calendar.weekdayNoWork': 'Aucun travail requis ce jour de la semaine',
+        'calendar.weekdayHours': 'Heures du {day}',
+        'calendar.remove': 'Supprimer {date}',
+        'calendar.pickDate': "Choisissez d'abord une date.",
+        'calendar.importNone': '{file} ne contient aucun événement.',
+        'calendar.imported': 'Jours importés depuis {file} : {count}.',
+        'calendar.importFailed': 'Impossible de lire {file}.',
+        'profile.default': 'Par défaut',
+        'profile.newName': 'Profil',
+        'profile.confirmDelete': 'Supprimer le profil « {name} » avec ses réglages et son historique ?',
+        'profile.importFailed': "Impossible d'importer {file} : {reason}",
+        'profile.notJson': "Le fichier n'est pas du JSON",
+        'profile.notExport': "Le fichier n'est pas un export de profil",
+        'report.week': 'Semaine',
+        'report.month': 'Mois',
+        'report.worked': 'Travaillé',
+        'report.bank': 'Compteur',
+        'history.empty': 'Les jours calculés apparaîtront ici.',
+        'history.open': 'Ouvrir',
+        'history.delete': 'Supprimer',
+        'timeline.block': '{name} : {start} - {end} ({duration})',
+        'timeline.work': 'Travail',
+        'timeline.break': 'Pause',
+        'timeline.remaining': 'Travail restant',
+        'timeline.planned': 'Pause prévue',
+        'timeline.plannedNamed': 'Pause prévue, {label}',
+        'timeline.now': 'Maintenant : {time}',
+        'notify.before': '{duration} avant le départ',
+        'notify.now': "C'est l'heure de badger la sortie",
+        'notify.projected': 'Départ prévu à {time}',
+        'notify.longBreak': 'La pause se prolonge',
+        'notify.onBreakSince': 'En pause depuis {time} ({duration})',
+        'notify.unsupported': 'Ce navigateur ne prend pas en charge les notifications',
+        'notify.blocked': 'Les notifications sont bloquées pour ce site dans les réglages du navigateur',
+        'import.clipboardFailed': "Impossible de lire le presse-papiers. Autorisez l'accès ou collez avec Ctrl+V.",
+        'import.unsupported': "{file} n'est pas un export texte, CSV ou HTML.",
+        'import.readFailed': 'Impossible de lire {file}.',
+        'import.empty': "Il n'y avait aucun texte à importer.",
+        'planner.namePlaceholder': 'Déjeuner',
+        'planner.name': 'Nom de la pause prévue',
+        'planner.start': 'Début de la pause prévue',
+        'planner.end': 'Fin de la pause prévue',
+        'planner.remove': 'Retirer la pause prévue',
+        'manual.breakStart': 'Début de la pause',
+        'manual.breakEnd': 'Fin de la pause',
+        'manual.or': 'ou',
+        'manual.minutesPlaceholder': 'min',
+        'manual.breakMinutes': 'Durée de la pause en minutes',
+        'manual.removeBreak': 'Retirer la pause',
+        'shift.unknownZone': 'Fuseau horaire inconnu « {zone} », celui de cet appareil est utilisé',
+        'theme.auto': 'Automatique (selon le système)',
+        'theme.custom': 'Personnalisés',
+        'theme.defaultName': 'Mon thème',
+        'theme.textOnBackground': 'Texte sur le fond',
+        'theme.textOnCard': 'Texte sur les cartes',
+        'theme.hintOnCard': 'Aides sur les cartes',
+        'theme.buttonOnAccent': "Texte des boutons sur l'accent",
+        'theme.saved': 'Enregistré.',
+        'theme.savedHardToRead': 'Enregistré. Certaines couleurs sont peu lisibles : {checks}.',
+        'theme.imported': 'Thèmes importés : {count}.',
+        'theme.importFailed': "Impossible d'importer {file} : {reason}",
+        'theme.notJson': "Le fichier n'est pas du JSON",
+        'theme.noThemes': 'Le fichier ne contient aucun thème valide',
+        'theme.label': 'Thème',
+        'profile.label': 'Profil',
+        'manual.loginTime': "Heure d'arrivée manuelle",
+        'manual.breaks': 'Pauses manuelles',
+        'manual.add': '+ Ajouter une pause',
+        'manual.hint': 'Indiquez un début et une fin, ou un début et les minutes',
+        'policy.title': 'Règles de travail',
+        'policy.mandatoryBreak': "Déduire une pause obligatoire même si elle n'est pas prise",
+        'policy.minutesAfter': 'min après',
+        'policy.hoursOfWork': 'h de travail',
+        'policy.minBreak': 'Compter comme travail les pauses de moins de (minutes)',
+        'policy.minBreakHint': '0 compte toutes les pauses',
+        'policy.coreHours': 'Plage fixe (pas de départ avant sa fin)',
+        'policy.coreStart': 'Début de la plage fixe',
+        'policy.coreEnd': 'Fin de la plage fixe',
+        'policy.maxDaily': "Maximum d'heures par jour",
+        'policy.maxDailyHint': "0 désactive l'avertissement",
+        'notify.title': 'Notifications',
+        'notify.enable': 'Me prévenir avant mon heure de départ',
+        'notify.offsets': 'Minutes avant le départ',
+        'notify.offsetsHint': "Séparées par des virgules ; 0 prévient à l'heure du départ",
+        'notify.breakLimit': 'Prévenir quand une pause dépasse (minutes)',
+        'shift.title': 'Équipes et fuseau horaire',
+        'shift.nightShift': 'Équipes de nuit (une équipe après minuit reste sur un jour)',
+        'shift.dayStart': 'La journée de travail commence à',
+        'shift.dayStartHint': 'Les pointages avant cette heure comptent pour la veille',
+        'shift.timeZone': 'Fuseau horaire du relevé de pointages',
+        'shift.timeZonePlaceholder': 'Fuseau horaire de cet appareil',
+        'calendar.title': 'Jours fériés et congés',
+        'calendar.weekdays': 'Heures par jour de la semaine',
+        'calendar.weekdaysHint': 'Laissez un jour vide pour utiliser les heures requises',
+        'calendar.markDay': 'Marquer un jour',
+        'calendar.hoursPlaceholder': 'Heures',
+        'calendar.hoursLabel': 'Heures pour un objectif personnalisé',
+        'calendar.namePlaceholder': 'Nom (facultatif)',
+        'calendar.nameLabel': 'Nom du jour',
+        'calendar.add': 'Ajouter le jour',
+        'calendar.import': 'Importer un .ics',
+        'theme.title': 'Thème personnalisé',
+        'theme.name': 'Nom du thème',
+        'theme.accent': 'Accent',
+        'theme.background': 'Fond',
+        'theme.cards': 'Cartes',
+        'theme.text': 'Texte',
+        'theme.previewHint': "Les modifications s'appliquent à toute la page en aperçu jusqu'à ce que vous les enregistriez ou les abandonniez",
+        'theme.save': 'Enregistrer le thème',
+        'theme.discard': "Abandonner l'aperçu",
+        'theme.delete': 'Supprimer',
+        'theme.export': 'Exporter en JSON',
+        'theme.import': 'Importer un JSON',
+        'profile.name': 'Nom du profil',
+        'profile.hint': 'Heures, règles, calendrier, thème et historique appartiennent au profil utilisé',
+        'profile.new': 'Nouveau profil',
+        'profile.delete': 'Supprimer',
+        'profile.export': 'Exporter le profil',
+        'profile.import': 'Importer un profil',
+        'export.calendar': 'Calendrier (.ics)',
+        'export.share': 'Partager le lien',
+        'export.shareLink': 'Lien de partage',
+        'history.title': 'Historique de présence',
+        'history.subtitle': 'Jours calculés, enregistrés dans ce navigateur',
+        'report.title': "Compteur d'heures",
+        'report.subtitle': 'Heures requises, heures travaillées et le solde cumulé',
+        'report.weekly': 'Hebdomadaire',
+        'report.monthly': 'Mensuel',
+        'anomaly.ignore': 'Ignorer',
+        'section.timeline': 'Chronologie du jour',
+        'section.breakdown': 'Détail',
+        'section.daySummary': 'Résumé quotidien',
+        'section.export': 'Exporter',
+        'breakdown.work': 'Période de travail {index} : {start} - {end}',
+        'breakdown.break': 'Pause {index} : {start} - {end}',
+        'breakdown.plannedWork': 'Travail prévu : {start} - {end}',
+        'breakdown.plannedBreak': 'Pause prévue : {start} - {end}',
+        'breakdown.ongoing': ' (en cours)',
+        'breakdown.countedAsWork': ' (comptée comme travail)',
+        'breakdown.corrected': 'Ajouté par correction',
+        'parse.unknownMonth': 'Mois inconnu « {month} »',
+        'parse.invalidDate': "{text} n'est pas une date valide",
+        'parse.mixedMeridiem': '{text} mélange une heure sur 24 heures et AM/PM',
+        'parse.invalidTime': "{text} n'est pas une heure valide",
+        'parse.unreadable': 'Impossible de lire une date et une heure sur cette ligne',
+        'parse.dateWithoutTime': "Date sans ligne d'heure avant elle",
+        'parse.partialTime': 'Heure incomplète ; format attendu hh:mm:ss, p. ex. 09:15:00 am',
+        'parse.timeWithoutDate': 'Heure sans date ; la date va sur la ligne suivante',
+        'format.portal': 'Journal du portail (lignes heure + date)',
+        'format.csv': 'Export CSV',
+        'format.iso': 'ISO-8601',
+        'format.dmy': 'jj/mm/aaaa hh:mm',
+        'format.single-line': 'Date et heure sur une ligne',
+        'anomaly.doubleSwipe': "Les pointages de {first} et {second} sont à {seconds} s d'écart (double badge ?)",
+        'anomaly.removePunch': 'Supprimer le pointage de {time}',
+        'anomaly.longBreak': 'La pause depuis {start} dure {length} ; un pointage de retour manque peut-être',
+        'anomaly.addIn': 'Ajouter une ENTRÉE à {time}',
+        'anomaly.crossesMidnight': "Le travail depuis {start} le {day} passe minuit jusqu'à {end}",
+        'anomaly.crossesDayStart': "Le travail depuis {start} le {day} passe le début de journée de {boundary} jusqu'à {end}",
+        'anomaly.splitAtMidnight': 'Couper la période à minuit',
+        'anomaly.splitAtDayStart': 'Couper la période au début de journée de {boundary}',
+        'anomaly.missingOut': '{day} a {count} pointages et finit par une ENTRÉE à {time} ; la dernière SORTIE manque sans doute',
+        'anomaly.addOut': 'Ajouter une SORTIE à {time} (objectif atteint)',
+        'policy.breakDeducted': '{deducted} min déduites : une pause de {required} min est obligatoire après {after} de travail',
+        'policy.breakPending': 'Prenez encore {pending} min de pause avant {after} de travail, sinon elles seront déduites',
+        'policy.lateArrival': 'Arrivée après le début des plages fixes ({time})',
+        'policy.earlyLeave': 'Départ avant la fin des plages fixes ({time})',
+        'policy.overMaximum': 'Travail au-delà du maximum journalier de {maximum}',
+        'policy.targetOverMaximum': "L'objectif du jour dépasse le maximum journalier de {maximum}",
+        'summary.date': 'Date',
+        'summary.in': 'Arrivée',
+        'summary.out': 'Départ',
+        'summary.active': 'Travail',
+        'summary.break': 'Pause',
+        'summary.balance': 'Solde',
+        'summary.now': 'maintenant',
+        'summary.days': 'Jours',
+        'summary.totalActive': 'Travail total',
+        'summary.totalBreak': 'Pauses totales',
+        'summary.required': 'Objectif'
+    }
+};
+
+// Languages offered in the settings, by their own name
+const LANGUAGE_NAMES = {
+    en: 'English',
+    de: 'Deutsch',
+    es: 'Español',
+    fr: 'Français'
+};
+
+// ===================================
+// LOCALIZER
+// ===================================
+
+export class Localizer {
+    /**
+     * settings: { language, hourCycle, durationStyle }, see LocaleSettingsForm.defaults
+     */
+    constructor(settings = LocaleSettingsForm.defaults()) {
+        this.settings = settings;
+    }
+
+    static get languages() {
+        return LANGUAGE_NAMES;
+    }
+
+    /**
+     * BCP 47 tag used for Intl formatting: the chosen language, else the browser's
+     */
+    get locale() {
+        if (this.settings.language) {
+            return this.settings.language;
+        }
+        return (typeof navigator !== 'undefined' && navigator.language) || 'en';
+    }
+
+    /**
+     * Key into MESSAGES for the locale ("de-AT" reads German)
+     */
+    get language() {
+        const base = this.locale.toLowerCase().split('-')[0];
+        return base in MESSAGES ? base : 'en';
+    }
+
+    set settings(settings) {
+        this._settings = settings;
+        this.timeFormats = null;
+        this.unitFormats = null;
+    }
+
+    get settings() {
+        return this._settings;
+    }
+
+    /**
+     * UI string for key with its {placeholders} filled from params
+     * Unknown keys come back as the key itself, so a typo shows on screen.
+     */
+    t(key, params = {}) {
+        const template = MESSAGES[this.language][key] ?? MESSAGES.en[key] ?? key;
+        return template.replace(/\{(\w+)\}/g, (match, name) => (name in params ? String(params[name]) : match));
+    }
+
+    /**
+     * Name of a TimestampParser format; one without a "format.<id>"
+     * string keeps its own
+     */
+    formatName(format) {
+        const key = `format.${format.id}`;
+        return key in MESSAGES.en ? this.t(key) : format.name;
+    }
+
+    /**
+     * Clock time of a Date in the chosen locale and 12h/24h preference
+     * 24-hour times keep the leading zero ("09:05"); 12-hour ones don't.
+     */
+    formatTime(date, { seconds = false } = {}) {
+        if (!this.timeFormats) {
+            const cycle = this.settings.hourCycle === 'h12' ? { hourCycle: 'h12' }
+                : this.settings.hourCycle === 'h23' ? { hourCycle: 'h23' }
+                    : {};
+            const probe = new Intl.DateTimeFormat(this.locale, { hour: 'numeric', minute: '2-digit', ...cycle });
+            const is24Hour = ['h23', 'h24'].includes(probe.resolvedOptions().hourCycle);
+            const options = is24Hour
+                ? { hour: '2-digit', minute: '2-digit', hourCycle: 'h23' }
+                : { hour: 'numeric', minute: '2-digit', ...cycle };
+
+            this.timeFormats = {
+                minutes: new Intl.DateTimeFormat(this.locale, options),
+                seconds: new Intl.DateTimeFormat(this.locale, { ...options, second: '2-digit' })
+            };
+        }
+        return this.timeFormats[seconds ? 'seconds' : 'minutes'].format(date);
+    }
+
+    /**
+     * Minutes as "7:30" or, with the units style, "7h 30m" in the locale's
+     * unit names; signed adds "+" to a surplus (a deficit always shows "-")
+     */
+    formatDuration(totalMinutes, { signed = false } = {}) {
+        const rounded = Math.round(Math.abs(totalMinutes));
+        const h = Math.floor(rounded / 60);
+        const m = rounded % 60;
+        const sign = totalMinutes < 0 && rounded > 0 ? '-' : signed ? '+' : '';
+
+        if (this.settings.durationStyle !== 'units') {
+            return `${sign}${h}:${String(m).padStart(2, '0')}`;
+        }
+
+        if (!this.unitFormats) {
+            const unit = (name) => new Intl.NumberFormat(this.locale, { style: 'unit', unit: name, unitDisplay: 'narrow' });
+            this.unitFormats = { hour: unit('hour'), minute: unit('minute') };
+        }
+
+        const parts = [];
+        if (h > 0) {
+            parts.push(this.unitFormats.hour.format(h));
+        }
+        if (m > 0 || h === 0) {
+            parts.push(this.unitFormats.minute.format(m));
+        }
+        return `${sign}${parts.join(' ')}`;
+    }
+
+    formatDate(date, options) {
+        return date.toLocaleDateString(this.locale, options);
+    }
+
+    formatPercent(percent) {
+        return new Intl.NumberFormat(this.locale, { style: 'percent', maximumFractionDigits: 0 }).format(percent / 100);
+    }
+
+    /**
+     * Text of a message the calculation core hands out as { key, params }
+     * Params are formatted by their shape: a Date as a clock time,
+     * { time, seconds } as one with seconds, { minutes } as a duration and
+     * { date } as a short day; anything else goes in as it is.
+     */
+    describe({ key, params = {} }) {
+        const values = {};
+
+        Object.entries(params).forEach(([name, value]) => {
+            if (value instanceof Date) {
+                values[name] = this.formatTime(value);
+            } else if (value && value.time instanceof Date) {
+                values[name] = this.formatTime(value.time, { seconds: value.seconds });
+            } else if (value && typeof value.minutes === 'number') {
+                values[name] = this.formatDuration(value.minutes);
+            } else if (value && value.date instanceof Date) {
+                values[name] = this.formatDate(value.date, { weekday: 'short', day: '2-digit', month: 'short' });
+            } else {
+                values[name] = value;
+            }
+        });
+
+        return this.t(key, values);
+    }
+
+    /**
+     * Fill every element marked data-i18n="key" with its string, and the
+     * placeholder and aria-label of those marked data-i18n-placeholder and
+     * data-i18n-label
+     */
+    translatePage(root = document) {
+        root.querySelectorAll('[data-i18n]').forEach(element => {
+            element.textContent = this.t(element.dataset.i18n);
+        });
+        root.querySelectorAll('[data-i18n-placeholder]').forEach(element => {
+            element.placeholder = this.t(element.dataset.i18nPlaceholder);
+        });
+        root.querySelectorAll('[data-i18n-label]').forEach(element => {
+            element.setAttribute('aria-label', this.t(element.dataset.i18nLabel));
+        });
+        document.documentElement.lang = this.language;
+    }
+}
+
+// ===================================
+// LANGUAGE & FORMAT SETTINGS
+// ===================================
+
+export class LocaleSettingsForm {
+    constructor({ onChange }) {
+        this.onChange = onChange;
+
+        this.languageInput = document.getElementById('uiLanguage');
+        this.hourCycleInput = document.getElementById('hourCycle');
+        this.durationStyleInput = document.getElementById('durationStyle');
+
+        Object.entries(Localizer.languages).forEach(([code, name]) => {
+            const option = document.createElement('option');
+            option.value = code;
+            option.textContent = name;
+            this.languageInput.appendChild(option);
+        });
+
+        this.settings = LocaleSettingsForm.loadSettings();
+        this.languageInput.value = this.settings.language;
+        this.hourCycleInput.value = this.settings.hourCycle;
+        this.durationStyleInput.value = this.settings.durationStyle;
+
+        this.localizer = new Localizer(this.settings);
+        this.applyLanguage();
+
+        [this.languageInput, this.hourCycleInput, this.durationStyleInput].forEach(input => {
+            input.addEventListener('change', () => this.handleChange());
+        });
+    }
+
+    static defaults() {
+        return {
+            // Empty = follow the browser
+            language: '',
+            // '' = the language's usual clock, 'h12' or 'h23'
+            hourCycle: '',
+            // 'clock' (7:30) or 'units' (7h 30m)
+            durationStyle: 'clock'
+        };
+    }
+
+    static loadSettings() {
+        try {
+            return { ...LocaleSettingsForm.defaults(), ...JSON.parse(profileStorage.getItem('localeSettings')) };
+        } catch (error) {
+            return LocaleSettingsForm.defaults();
+        }
+    }
+
+    read() {
+        return {
+            language: this.languageInput.value,
+            hourCycle: this.hourCycleInput.value,
+            durationStyle: this.durationStyleInput.value
+        };
+    }
+
+    /**
+     * Translate the page and let the parser read the language's month names
+     */
+    applyLanguage() {
+        this.localizer.translatePage();
+        TimestampParser.addMonthLocales([this.localizer.locale]);
+    }
+
+    handleChange() {
+        this.settings = this.read();
+        profileStorage.setItem('localeSettings', JSON.stringify(this.settings));
+
+        this.localizer.settings = this.settings;
+        this.applyLanguage();
+
+        this.onChange();
+    }
+}
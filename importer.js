@@ -0,0 +1,137 @@
+// ===================================
+// CLIPBOARD & FILE IMPORT
+// ===================================
+
+export class LogImporter {
+    constructor({ i18n, onImport, onError }) {
+        this.i18n = i18n;
+        this.onImport = onImport;
+        this.onError = onError;
+
+        this.dropTarget = document.getElementById('calculatorForm');
+        this.pasteButton = document.getElementById('pasteButton');
+
+        if (!navigator.clipboard || (!navigator.clipboard.read && !navigator.clipboard.readText)) {
+            this.pasteButton.style.display = 'none';
+        }
+
+        this.pasteButton.addEventListener('click', () => this.pasteFromClipboard());
+
+        this.dropTarget.addEventListener('dragover', (e) => {
+            if (e.dataTransfer && [...e.dataTransfer.types].includes('Files')) {
+                e.preventDefault();
+                e.dataTransfer.dropEffect = 'copy';
+                this.dropTarget.classList.add('drag-over');
+            }
+        });
+        this.dropTarget.addEventListener('dragleave', (e) => {
+            if (!this.dropTarget.contains(e.relatedTarget)) {
+                this.dropTarget.classList.remove('drag-over');
+            }
+        });
+        this.dropTarget.addEventListener('drop', (e) => {
+            this.dropTarget.classList.remove('drag-over');
+            if (e.dataTransfer && e.dataTransfer.files.length > 0) {
+                e.preventDefault();
+                this.importFile(e.dataTransfer.files[0]);
+            }
+        });
+    }
+
+    /**
+     * Read the clipboard, preferring the HTML flavour
+     * A table copied from the attendance portal comes through as HTML;
+     * its cells give cleaner rows than the plain-text copy.
+     */
+    async pasteFromClipboard() {
+        try {
+            if (navigator.clipboard.read) {
+                const items = await navigator.clipboard.read();
+                let plain = null;
+
+                for (const item of items) {
+                    if (item.types.includes('text/html')) {
+                        const text = LogImporter.htmlToText(await (await item.getType('text/html')).text());
+                        if (text) {
+                            this.onImport(text);
+                            return;
+                        }
+                    }
+                    if (plain === null && item.types.includes('text/plain')) {
+                        plain = await (await item.getType('text/plain')).text();
+                    }
+                }
+
+                this.importText(plain);
+            } else {
+                this.importText(await navigator.clipboard.readText());
+            }
+        } catch (error) {
+            this.onError(this.i18n.t('import.clipboardFailed'));
+        }
+    }
+
+    async importFile(file) {
+        const isHtml = /\.html?$/i.test(file.name) || file.type === 'text/html';
+
+        if (!isHtml && !/\.(txt|csv|tsv|log)$/i.test(file.name) && !/^text\//.test(file.type)) {
+            this.onError(this.i18n.t('import.unsupported', { file: file.name }));
+            return;
+        }
+
+        try {
+            const content = await file.text();
+            this.importText(isHtml ? LogImporter.htmlToText(content) || LogImporter.htmlBodyText(content) : content);
+        } catch (error) {
+            this.onError(this.i18n.t('import.readFailed', { file: file.name }));
+        }
+    }
+
+    importText(text) {
+        if (!text || !text.trim()) {
+            this.onError(this.i18n.t('import.empty'));
+            return;
+        }
+        this.onImport(text);
+    }
+
+    /**
+     * Rows of the tables in an HTML fragment, as tab-separated lines
+     * Returns '' when the HTML holds no table.
+     */
+    static htmlToText(html) {
+        const doc = new DOMParser().parseFromString(html, 'text/html');
+        const rows = [...doc.querySelectorAll('tr')].map(row =>
+            [...row.cells].map(cell => cell.textContent)
+        );
+
+        return LogImporter.rowsToText(rows);
+    }
+
+    /**
+     * Visible text of an HTML page without tables, one block per line
+     */
+    static htmlBodyText(html) {
+        const doc = new DOMParser().parseFromString(html, 'text/html');
+        doc.querySelectorAll('script, style').forEach(element => element.remove());
+        return doc.body ? doc.body.innerText || doc.body.textContent : '';
+    }
+
+    /**
+     * Join table cells into tab-separated lines the CSV format reads
+     * Whitespace inside a cell collapses to single spaces. Empty rows are
+     * left out, and so are one-cell rows (titles, "Total") of a table
+     * that has columns.
+     */
+    static rowsToText(rows) {
+        const filled = rows
+            .map(cells => cells.map(cell => cell.replace(/\s+/g, ' ').trim()))
+            .filter(cells => cells.some(Boolean));
+        const hasColumns = filled.some(cells => cells.filter(Boolean).length > 1);
+
+        return filled
+            .filter(cells => !hasColumns || cells.filter(Boolean).length > 1)
+            .map(cells => cells.join('\t'))
+            .join('\n');
+    }
+}
@@ -0,0 +1,173 @@
+// ===================================
+// LIVE STATUS (tab title, favicon, mini window)
+// ===================================
+
+// Keeps the countdown visible outside the result card: in the tab title,
+// as a progress ring in the favicon and, where the browser supports
+// Document Picture-in-Picture, in a small always-on-top window.
+
+const FAVICON_SIZE = 64;
+
+export class LiveStatus {
+    constructor() {
+        this.favicon = document.querySelector('link[rel="icon"]');
+        this.miniWindowButton = document.getElementById('miniWindowButton');
+
+        this.baseTitle = document.title;
+        this.baseFavicon = this.favicon ? this.favicon.href : null;
+        this.status = null;
+        this.miniWindow = null;
+
+        // Only Chromium browsers have documentPictureInPicture so far
+        this.miniWindowButton.hidden = !LiveStatus.supportsMiniWindow();
+        this.miniWindowButton.addEventListener('click', () => this.toggleMiniWindow());
+    }
+
+    static supportsMiniWindow() {
+        return 'documentPictureInPicture' in window;
+    }
+
+    /**
+     * Show a live day
+     * status: { title, countdown, logout, state, progressPercent, isComplete }
+     * with every text already formatted. Pass null for a past day or no
+     * result; title and favicon go back to the page's own.
+     */
+    update(status) {
+        this.status = status;
+
+        document.title = status ? `${status.title} · ${this.baseTitle}` : this.baseTitle;
+        this.drawFavicon(status);
+        this.renderMiniWindow();
+    }
+
+    // ===================================
+    // FAVICON
+    // ===================================
+
+    drawFavicon(status) {
+        if (!this.favicon) {
+            return;
+        }
+
+        const canvas = document.createElement('canvas');
+        canvas.width = FAVICON_SIZE;
+        canvas.height = FAVICON_SIZE;
+        const context = status ? canvas.getContext('2d') : null;
+
+        // No canvas support: keep the logo
+        if (!context) {
+            this.favicon.href = this.baseFavicon;
+            return;
+        }
+
+        const center = FAVICON_SIZE / 2;
+        const radius = center - 6;
+        const progress = Math.min(100, Math.max(0, status.progressPercent)) / 100;
+        const colors = LiveStatus.colors();
+
+        context.lineWidth = 10;
+        context.lineCap = 'round';
+
+        context.strokeStyle = 'rgba(128, 128, 128, 0.35)';
+        context.beginPath();
+        context.arc(center, center, radius, 0, Math.PI * 2);
+        context.stroke();
+
+        // Clockwise from twelve o'clock
+        context.strokeStyle = status.isComplete ? colors.complete : colors.accent;
+        context.beginPath();
+        context.arc(center, center, radius, -Math.PI / 2, -Math.PI / 2 + progress * Math.PI * 2);
+        context.stroke();
+
+        this.favicon.href = canvas.toDataURL('image/png');
+    }
+
+    /**
+     * The current theme's colours, read from its CSS variables
+     */
+    static colors() {
+        const style = getComputedStyle(document.documentElement);
+        const read = (name, fallback) => style.getPropertyValue(name).trim() || fallback;
+
+        return {
+            accent: read('--color-accent-purple', '#667eea'),
+            complete: read('--color-accent-green', '#43e97b'),
+            background: read('--color-bg-primary', '#0a0e27'),
+            text: read('--color-text-primary', '#ffffff')
+        };
+    }
+
+    // ===================================
+    // MINI WINDOW (Document Picture-in-Picture)
+    // ===================================
+
+    async toggleMiniWindow() {
+        if (this.miniWindow) {
+            this.miniWindow.close();
+            return;
+        }
+
+        try {
+            this.miniWindow = await window.documentPictureInPicture.requestWindow({ width: 260, height: 150 });
+        } catch (error) {
+            // Refused, e.g. without a user gesture
+            this.miniWindow = null;
+            return;
+        }
+
+        this.miniWindow.addEventListener('pagehide', () => {
+            this.miniWindow = null;
+            this.miniWindowButton.setAttribute('aria-pressed', 'false');
+        });
+        this.miniWindowButton.setAttribute('aria-pressed', 'true');
+
+        const miniDocument = this.miniWindow.document;
+        const style = miniDocument.createElement('style');
+        style.textContent = LiveStatus.miniWindowStyles(LiveStatus.colors());
+        miniDocument.head.appendChild(style);
+        miniDocument.body.innerHTML = `
+            <p class="mini-state"></p>
+            <p class="mini-countdown"></p>
+            <div class="mini-bar"><div class="mini-fill"></div></div>
+            <p class="mini-logout"></p>`;
+
+        this.renderMiniWindow();
+    }
+
+    renderMiniWindow() {
+        if (!this.miniWindow) {
+            return;
+        }
+
+        const miniDocument = this.miniWindow.document;
+        const status = this.status;
+        const set = (selector, text) => {
+            miniDocument.querySelector(selector).textContent = text;
+        };
+
+        miniDocument.body.classList.toggle('complete', Boolean(status && status.isComplete));
+        set('.mini-state', status ? status.state : '');
+        set('.mini-countdown', status ? status.countdown : '--:--');
+        set('.mini-logout', status ? status.logout : '');
+        miniDocument.querySelector('.mini-fill').style.width = `${status ? status.progressPercent : 0}%`;
+    }
+
+    static miniWindowStyles(colors) {
+        return `
+            body {
+                margin: 0;
+                padding: 12px 16px;
+                font-family: system-ui, sans-serif;
+                background: ${colors.background};
+                color: ${colors.text};
+            }
+            p { margin: 0; }
+            .mini-state { font-size: 0.75rem; text-transform: uppercase; letter-spacing: 0.05em; opacity: 0.7; }
+            .mini-countdown { font-size: 2.25rem; font-weight: 700; font-variant-numeric: tabular-nums; }
+            .mini-logout { font-size: 0.85rem; opacity: 0.8; }
+            .mini-bar { height: 6px; margin: 6px 0; border-radius: 3px; background: rgba(128, 128, 128, 0.35); overflow: hidden; }
+            .mini-fill { height: 100%; background: ${colors.accent}; }
+            .complete .mini-fill { background: ${colors.complete}; }`;
+    }
+}
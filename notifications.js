@@ -0,0 +1,221 @@
+import { profileStorage } from './profiles.js';
+
+// ===================================
+// LOGOUT NOTIFICATIONS
+// ===================================
+
+export class LogoutNotifier {
+    constructor({ i18n }) {
+        this.i18n = i18n;
+        this.settings = LogoutNotifier.loadSettings();
+        this.timers = [];
+        this.scheduledFor = null; // Projected logout the timers were set for
+        this.firedAlarms = new Set();
+        this.notifiedBreaks = new Set();
+    }
+
+    static isSupported() {
+        return typeof Notification !== 'undefined';
+    }
+
+    static defaults() {
+        return {
+            enabled: false,
+            // Minutes before the projected logout; 0 = at logout time
+            offsets: [15, 5, 0],
+            // Alert when an ongoing break passes this many minutes (0 = off)
+            breakLimitMinutes: 0
+        };
+    }
+
+    static loadSettings() {
+        try {
+            return { ...LogoutNotifier.defaults(), ...JSON.parse(profileStorage.getItem('notificationSettings')) };
+        } catch (error) {
+            return LogoutNotifier.defaults();
+        }
+    }
+
+    /**
+     * Store new settings; asks for permission when alerts are switched on
+     * Resolves to false if the browser refused.
+     */
+    async updateSettings(settings) {
+        this.settings = settings;
+        profileStorage.setItem('notificationSettings', JSON.stringify(settings));
+
+        // Force the timers to be rebuilt with the new offsets
+        this.scheduledFor = null;
+
+        if (settings.enabled && LogoutNotifier.isSupported() && Notification.permission === 'default') {
+            await Notification.requestPermission();
+        }
+
+        return this.canNotify() || !settings.enabled;
+    }
+
+    /**
+     * Settings another tab saved; the timers are rebuilt on the next schedule
+     */
+    reloadSettings() {
+        this.settings = LogoutNotifier.loadSettings();
+        this.scheduledFor = null;
+    }
+
+    canNotify() {
+        return this.settings.enabled &&
+            LogoutNotifier.isSupported() &&
+            Notification.permission === 'granted';
+    }
+
+    /**
+     * (Re)schedule the alarms for a projected logout time
+     * Called on every recalculation; timers are only rebuilt when the
+     * projection actually moved. Pass null to cancel everything.
+     */
+    schedule(projectedLogout) {
+        const minuteKey = projectedLogout ? Math.floor(projectedLogout.getTime() / 60000) : null;
+
+        if (minuteKey === this.scheduledFor) {
+            return;
+        }
+
+        this.cancel();
+        this.scheduledFor = minuteKey;
+
+        if (!projectedLogout || !this.canNotify()) {
+            return;
+        }
+
+        const now = Date.now();
+
+        this.settings.offsets.forEach(offset => {
+            const fireAt = projectedLogout.getTime() - offset * 60000;
+            const alarmKey = `${offset}|${minuteKey}`;
+
+            if (fireAt <= now || this.firedAlarms.has(alarmKey)) {
+                return;
+            }
+
+            this.timers.push(setTimeout(() => {
+                this.firedAlarms.add(alarmKey);
+                this.notify(
+                    offset > 0
+                        ? this.i18n.t('notify.before', { duration: this.i18n.formatDuration(offset) })
+                        : this.i18n.t('notify.now'),
+                    this.i18n.t('notify.projected', { time: this.i18n.formatTime(projectedLogout) }),
+                    `logout-${offset}`
+                );
+            }, fireAt - now));
+        });
+    }
+
+    cancel() {
+        this.timers.forEach(timer => clearTimeout(timer));
+        this.timers = [];
+        this.scheduledFor = null;
+    }
+
+    /**
+     * Alert once per break when an ongoing break runs past the limit
+     */
+    checkBreaks(breaks) {
+        const limit = this.settings.breakLimitMinutes;
+        if (!limit || !this.canNotify()) {
+            return;
+        }
+
+        breaks
+            .filter(period => period.ongoing && period.minutes >= limit)
+            .forEach(period => {
+                const breakKey = period.start.getTime();
+                if (this.notifiedBreaks.has(breakKey)) {
+                    return;
+                }
+
+                this.notifiedBreaks.add(breakKey);
+                this.notify(
+                    this.i18n.t('notify.longBreak'),
+                    this.i18n.t('notify.onBreakSince', {
+                        time: this.i18n.formatTime(period.start),
+                        duration: this.i18n.formatDuration(period.minutes)
+                    }),
+                    'break-limit'
+                );
+            });
+    }
+
+    notify(title, body, tag) {
+        try {
+            new Notification(title, { body: body, tag: tag, icon: 'logo.png' });
+        } catch (error) {
+            // Some mobile browsers only allow notifications from a service worker
+            console.warn('Notification failed', error);
+        }
+    }
+}
+
+// ===================================
+// NOTIFICATION SETTINGS
+// ===================================
+
+export class NotificationSettingsForm {
+    constructor(notifier, { i18n, onChange }) {
+        this.notifier = notifier;
+        this.i18n = i18n;
+        this.onChange = onChange;
+
+        this.enabledInput = document.getElementById('notifyEnabled');
+        this.offsetsInput = document.getElementById('notifyOffsets');
+        this.breakLimitInput = document.getElementById('notifyBreakLimit');
+        this.statusText = document.getElementById('notifyStatus');
+
+        this.fill(notifier.settings);
+
+        if (!LogoutNotifier.isSupported()) {
+            this.enabledInput.disabled = true;
+            this.statusText.textContent = this.i18n.t('notify.unsupported');
+        }
+
+        [this.enabledInput, this.offsetsInput, this.breakLimitInput].forEach(input => {
+            input.addEventListener('change', () => this.handleChange());
+        });
+    }
+
+    fill({ enabled, offsets, breakLimitMinutes }) {
+        this.enabledInput.checked = enabled;
+        this.offsetsInput.value = offsets.join(', ');
+        this.breakLimitInput.value = breakLimitMinutes;
+    }
+
+    /**
+     * Pick up settings another tab saved
+     */
+    reload() {
+        this.notifier.reloadSettings();
+        this.fill(this.notifier.settings);
+    }
+
+    read() {
+        const offsets = this.offsetsInput.value
+            .split(/[\s,]+/)
+            .map(value => parseInt(value))
+            .filter(value => !isNaN(value) && value >= 0);
+
+        return {
+            enabled: this.enabledInput.checked,
+            offsets: [...new Set(offsets)].sort((a, b) => b - a),
+            breakLimitMinutes: parseInt(this.breakLimitInput.value) || 0
+        };
+    }
+
+    async handleChange() {
+        const allowed = await this.notifier.updateSettings(this.read());
+
+        this.statusText.textContent = allowed
+            ? ''
+            : this.i18n.t('notify.blocked');
+
+        this.onChange();
+    }
+}
@@ -0,0 +1,231 @@
+import { TimestampParser } from './core.js';
+import { profileStorage } from './profiles.js';
+
+// ===================================
+// PLANNER FORM
+// ===================================
+
+export class PlannerForm {
+    constructor({ i18n, onChange }) {
+        this.i18n = i18n;
+        this.onChange = onChange;
+
+        this.breakList = document.getElementById('plannedBreakList');
+        this.addButton = document.getElementById('addPlannedBreak');
+        this.leaveAtInput = document.getElementById('leaveAtInput');
+
+        this.plan = PlannerForm.load();
+        this.fill(this.plan);
+
+        this.addButton.addEventListener('click', () => {
+            this.addRow({ label: '', start: '', end: '' }).querySelector('input').focus();
+        });
+        this.leaveAtInput.addEventListener('input', () => this.handleChange());
+    }
+
+    /**
+     * The plan only holds for the day it was made
+     */
+    static load() {
+        const empty = { breaks: [], leaveAt: '' };
+
+        try {
+            const saved = JSON.parse(profileStorage.getItem('whatIfPlan'));
+            return saved && saved.date === TimestampParser.dateKey(new Date())
+                ? { breaks: saved.breaks || [], leaveAt: saved.leaveAt || '' }
+                : empty;
+        } catch (error) {
+            return empty;
+        }
+    }
+
+    static save(plan) {
+        profileStorage.setItem('whatIfPlan', JSON.stringify({
+            date: TimestampParser.dateKey(new Date()),
+            ...plan
+        }));
+    }
+
+    fill(plan) {
+        this.breakList.innerHTML = '';
+        plan.breaks.forEach(planned => this.addRow(planned));
+        this.leaveAtInput.value = plan.leaveAt;
+    }
+
+    /**
+     * Pick up a plan another tab saved
+     */
+    reload() {
+        this.plan = PlannerForm.load();
+        this.fill(this.plan);
+    }
+
+    /**
+     * Rebuild the rows as they stand, e.g. in another language
+     */
+    render() {
+        this.fill(this.read());
+    }
+
+    addRow(planned) {
+        const row = document.createElement('div');
+        row.className = 'planned-break';
+
+        const label = document.createElement('input');
+        label.type = 'text';
+        label.className = 'form-input planned-break-label';
+        label.placeholder = this.i18n.t('planner.namePlaceholder');
+        label.setAttribute('aria-label', this.i18n.t('planner.name'));
+        label.value = planned.label;
+
+        const start = document.createElement('input');
+        start.type = 'time';
+        start.className = 'form-input';
+        start.setAttribute('aria-label', this.i18n.t('planner.start'));
+        start.value = planned.start;
+
+        const end = document.createElement('input');
+        end.type = 'time';
+        end.className = 'form-input';
+        end.setAttribute('aria-label', this.i18n.t('planner.end'));
+        end.value = planned.end;
+
+        const remove = document.createElement('button');
+        remove.type = 'button';
+        remove.className = 'planned-break-remove';
+        remove.textContent = '×';
+        remove.setAttribute('aria-label', this.i18n.t('planner.remove'));
+        remove.addEventListener('click', () => {
+            row.remove();
+            this.handleChange();
+        });
+
+        [label, start, end].forEach(input => {
+            input.addEventListener('input', () => this.handleChange());
+        });
+
+        row.append(label, start, end, remove);
+        this.breakList.appendChild(row);
+        return row;
+    }
+
+    read() {
+        return {
+            breaks: [...this.breakList.querySelectorAll('.planned-break')].map(row => {
+                const [label, start, end] = row.querySelectorAll('input');
+                return { label: label.value.trim(), start: start.value, end: end.value };
+            }),
+            leaveAt: this.leaveAtInput.value
+        };
+    }
+
+    handleChange() {
+        this.plan = this.read();
+        PlannerForm.save(this.plan);
+        this.onChange(this.plan);
+    }
+}
+
+// ===================================
+// MANUAL BREAK FORM
+// ===================================
+
+export class ManualBreakForm {
+    constructor({ i18n, onChange }) {
+        this.i18n = i18n;
+        this.onChange = onChange;
+
+        this.breakList = document.getElementById('manualBreakList');
+        this.addButton = document.getElementById('addManualBreak');
+        this.statusText = document.getElementById('manualBreakStatus');
+
+        this.addButton.addEventListener('click', () => {
+            this.addRow({ start: '', end: '', minutes: '' }).querySelector('input').focus();
+        });
+    }
+
+    addRow(entry) {
+        const row = document.createElement('div');
+        row.className = 'planned-break';
+
+        const start = document.createElement('input');
+        start.type = 'time';
+        start.className = 'form-input';
+        start.setAttribute('aria-label', this.i18n.t('manual.breakStart'));
+        start.value = entry.start;
+
+        const end = document.createElement('input');
+        end.type = 'time';
+        end.className = 'form-input';
+        end.setAttribute('aria-label', this.i18n.t('manual.breakEnd'));
+        end.value = entry.end || '';
+
+        const or = document.createElement('span');
+        or.className = 'form-hint';
+        or.textContent = this.i18n.t('manual.or');
+
+        const minutes = document.createElement('input');
+        minutes.type = 'number';
+        minutes.className = 'form-input';
+        minutes.min = '0';
+        minutes.max = '480';
+        minutes.step = '5';
+        minutes.placeholder = this.i18n.t('manual.minutesPlaceholder');
+        minutes.setAttribute('aria-label', this.i18n.t('manual.breakMinutes'));
+        minutes.value = entry.minutes || '';
+
+        const remove = document.createElement('button');
+        remove.type = 'button';
+        remove.className = 'planned-break-remove';
+        remove.textContent = '×';
+        remove.setAttribute('aria-label', this.i18n.t('manual.removeBreak'));
+        remove.addEventListener('click', () => {
+            row.remove();
+            this.onChange();
+        });
+
+        [start, end, minutes].forEach(input => {
+            input.addEventListener('input', () => this.onChange());
+        });
+
+        row.append(start, end, or, minutes, remove);
+        this.breakList.appendChild(row);
+        return row;
+    }
+
+    /**
+     * Breaks as entered: [{ start, end, minutes }], see WorkdayCalculator.manualBreaks
+     */
+    read() {
+        return [...this.breakList.querySelectorAll('.planned-break')].map(row => {
+            const [start, end, minutes] = row.querySelectorAll('input');
+            return { start: start.value, end: end.value, minutes: parseInt(minutes.value) || 0 };
+        });
+    }
+
+    set(breaks) {
+        this.breakList.innerHTML = '';
+        breaks.forEach(entry => this.addRow(entry));
+    }
+
+    /**
+     * Rebuild the rows as they stand, e.g. in another language
+     */
+    render() {
+        this.set(this.read());
+    }
+
+    /**
+     * Flag the rows (indexes as in read) the calculation left out
+     */
+    markRejected(indexes, message) {
+        [...this.breakList.querySelectorAll('.planned-break')].forEach((row, index) => {
+            const rejected = indexes.includes(index);
+            row.classList.toggle('invalid', rejected);
+            row.querySelectorAll('input')[1].setAttribute('aria-invalid', String(rejected));
+        });
+
+        this.statusText.textContent = indexes.length > 0 ? message : '';
+        this.statusText.style.display = indexes.length > 0 ? 'block' : 'none';
+    }
+}
@@ -0,0 +1,151 @@
+// ===================================
+// WORK POLICY
+// ===================================
+
+// Pure rules, no storage or DOM: the calculator core and the CLI use them
+// as they are. Saving a policy is up to PolicyEditor (policyeditor.js).
+
+export class WorkPolicy {
+    /**
+     * Default policy: every rule off except the daily maximum warning,
+     * so results match the plain "required hours" calculation
+     */
+    static defaults() {
+        return {
+            // Deduct a break after this much work, even if it was not taken
+            mandatoryBreak: { enabled: false, afterMinutes: 6 * 60, minutes: 30 },
+            // Breaks shorter than this count as work (0 = off)
+            minBreakMinutes: 0,
+            // Presence expected between these times
+            coreHours: { enabled: false, start: '10:00', end: '16:00' },
+            // Warn past this much active work per day (0 = off)
+            maxDailyMinutes: 10 * 60
+        };
+    }
+
+    /**
+     * Turn "HH:MM" into a Date on the same day as the given date
+     */
+    static timeOnDay(date, time) {
+        const [hours, minutes] = time.split(':').map(Number);
+        const result = new Date(date);
+        result.setHours(hours, minutes, 0, 0);
+        return result;
+    }
+
+    /**
+     * Apply the policy to one day's calculateBreaksAlternating result
+     * options: { targetMinutes, referenceTime, isToday }
+     * Returns the credited active time, the remaining time to the target
+     * (including any mandatory break still to be deducted), the earliest
+     * allowed logout and a list of warnings, each { type, key, params }
+     * for Localizer.describe.
+     */
+    static apply(calculation, policy, { targetMinutes, referenceTime, isToday }) {
+        const { workPeriods, breaks } = calculation;
+        const warnings = [];
+
+        let activeMinutes = workPeriods.reduce((sum, period) => sum + period.minutes, 0);
+        let breakMinutes = breaks.reduce((sum, period) => sum + period.minutes, 0);
+
+        // 1. Short breaks count as work
+        let shortBreakMinutes = 0;
+        const shortBreaks = breaks.filter(period =>
+            !period.ongoing && period.minutes < policy.minBreakMinutes
+        );
+
+        shortBreaks.forEach(period => {
+            shortBreakMinutes += period.minutes;
+        });
+        activeMinutes += shortBreakMinutes;
+        breakMinutes -= shortBreakMinutes;
+
+        // 2. Mandatory break: deducted from work past the threshold, so the
+        // credited time stalls for the missing break minutes
+        let deductedMinutes = 0;
+        let pendingDeductionMinutes = 0;
+
+        if (policy.mandatoryBreak.enabled) {
+            const { afterMinutes, minutes } = policy.mandatoryBreak;
+            const shortfall = Math.max(0, minutes - breakMinutes);
+
+            deductedMinutes = Math.min(shortfall, Math.max(0, activeMinutes - afterMinutes));
+
+            if (targetMinutes > afterMinutes) {
+                pendingDeductionMinutes = shortfall - deductedMinutes;
+            }
+
+            if (deductedMinutes > 0) {
+                warnings.push({
+                    type: 'mandatory-break',
+                    key: 'policy.breakDeducted',
+                    params: { deducted: Math.round(deductedMinutes), required: minutes, after: { minutes: afterMinutes } }
+                });
+            } else if (isToday && pendingDeductionMinutes > 0) {
+                warnings.push({
+                    type: 'mandatory-break',
+                    key: 'policy.breakPending',
+                    params: { pending: Math.round(pendingDeductionMinutes), after: { minutes: afterMinutes } }
+                });
+            }
+        }
+
+        const creditedMinutes = activeMinutes - deductedMinutes;
+        const remainingMinutes = Math.max(0, targetMinutes - creditedMinutes + pendingDeductionMinutes);
+
+        // 3. Core hours: no logout before they end
+        let earliestLogout = null;
+        const firstPeriod = workPeriods[0] || breaks[0];
+
+        if (policy.coreHours.enabled && firstPeriod) {
+            const coreStart = WorkPolicy.timeOnDay(firstPeriod.start, policy.coreHours.start);
+            const coreEnd = WorkPolicy.timeOnDay(firstPeriod.start, policy.coreHours.end);
+
+            if (firstPeriod.start > coreStart) {
+                warnings.push({
+                    type: 'core-hours',
+                    key: 'policy.lateArrival',
+                    params: { time: coreStart }
+                });
+            }
+
+            if (isToday) {
+                earliestLogout = coreEnd;
+            } else if (referenceTime < coreEnd) {
+                warnings.push({
+                    type: 'core-hours',
+                    key: 'policy.earlyLeave',
+                    params: { time: coreEnd }
+                });
+            }
+        }
+
+        // 4. Daily maximum
+        if (policy.maxDailyMinutes > 0) {
+            if (creditedMinutes > policy.maxDailyMinutes) {
+                warnings.push({
+                    type: 'max-daily',
+                    key: 'policy.overMaximum',
+                    params: { maximum: { minutes: policy.maxDailyMinutes } }
+                });
+            } else if (isToday && targetMinutes + pendingDeductionMinutes > policy.maxDailyMinutes) {
+                warnings.push({
+                    type: 'max-daily',
+                    key: 'policy.targetOverMaximum',
+                    params: { maximum: { minutes: policy.maxDailyMinutes } }
+                });
+            }
+        }
+
+        return {
+            activeMinutes: Math.round(creditedMinutes),
+            breakMinutes: Math.round(breakMinutes),
+            remainingMinutes: remainingMinutes,
+            shortBreaks: shortBreaks,
+            deductedMinutes: Math.round(deductedMinutes),
+            pendingDeductionMinutes: Math.round(pendingDeductionMinutes),
+            earliestLogout: earliestLogout,
+            warnings: warnings
+        };
+    }
+}
@@ -0,0 +1,97 @@
+import { WorkPolicy } from './policy.js';
+import { profileStorage } from './profiles.js';
+
+// ===================================
+// POLICY EDITOR
+// ===================================
+
+export class PolicyEditor {
+    constructor({ onChange }) {
+        this.onChange = onChange;
+
+        this.mandatoryBreakEnabled = document.getElementById('policyMandatoryBreak');
+        this.mandatoryBreakAfter = document.getElementById('policyMandatoryAfter');
+        this.mandatoryBreakMinutes = document.getElementById('policyMandatoryMinutes');
+        this.minBreakMinutes = document.getElementById('policyMinBreak');
+        this.coreHoursEnabled = document.getElementById('policyCoreHours');
+        this.coreHoursStart = document.getElementById('policyCoreStart');
+        this.coreHoursEnd = document.getElementById('policyCoreEnd');
+        this.maxDailyHours = document.getElementById('policyMaxDaily');
+
+        this.policy = PolicyEditor.load();
+        this.fill(this.policy);
+
+        [
+            this.mandatoryBreakEnabled, this.mandatoryBreakAfter, this.mandatoryBreakMinutes,
+            this.minBreakMinutes, this.coreHoursEnabled, this.coreHoursStart,
+            this.coreHoursEnd, this.maxDailyHours
+        ].forEach(input => input.addEventListener('change', () => this.handleChange()));
+    }
+
+    /**
+     * The active profile's saved policy, filled up with the defaults
+     */
+    static load() {
+        const defaults = WorkPolicy.defaults();
+
+        try {
+            const saved = JSON.parse(profileStorage.getItem('workPolicy')) || {};
+            return {
+                mandatoryBreak: { ...defaults.mandatoryBreak, ...saved.mandatoryBreak },
+                minBreakMinutes: saved.minBreakMinutes ?? defaults.minBreakMinutes,
+                coreHours: { ...defaults.coreHours, ...saved.coreHours },
+                maxDailyMinutes: saved.maxDailyMinutes ?? defaults.maxDailyMinutes
+            };
+        } catch (error) {
+            return defaults;
+        }
+    }
+
+    static save(policy) {
+        profileStorage.setItem('workPolicy', JSON.stringify(policy));
+    }
+
+    /**
+     * Pick up a policy another tab saved
+     */
+    reload() {
+        this.policy = PolicyEditor.load();
+        this.fill(this.policy);
+    }
+
+    fill(policy) {
+        this.mandatoryBreakEnabled.checked = policy.mandatoryBreak.enabled;
+        this.mandatoryBreakAfter.value = policy.mandatoryBreak.afterMinutes / 60;
+        this.mandatoryBreakMinutes.value = policy.mandatoryBreak.minutes;
+        this.minBreakMinutes.value = policy.minBreakMinutes;
+        this.coreHoursEnabled.checked = policy.coreHours.enabled;
+        this.coreHoursStart.value = policy.coreHours.start;
+        this.coreHoursEnd.value = policy.coreHours.end;
+        this.maxDailyHours.value = policy.maxDailyMinutes / 60;
+    }
+
+    read() {
+        const defaults = WorkPolicy.defaults();
+
+        return {
+            mandatoryBreak: {
+                enabled: this.mandatoryBreakEnabled.checked,
+                afterMinutes: (parseFloat(this.mandatoryBreakAfter.value) || 0) * 60,
+                minutes: parseInt(this.mandatoryBreakMinutes.value) || 0
+            },
+            minBreakMinutes: parseInt(this.minBreakMinutes.value) || 0,
+            coreHours: {
+                enabled: this.coreHoursEnabled.checked,
+                start: this.coreHoursStart.value || defaults.coreHours.start,
+                end: this.coreHoursEnd.value || defaults.coreHours.end
+            },
+            maxDailyMinutes: (parseFloat(this.maxDailyHours.value) || 0) * 60
+        };
+    }
+
+    handleChange() {
+        this.policy = this.read();
+        PolicyEditor.save(this.policy);
+        this.onChange(this.policy);
+    }
+}
@@ -0,0 +1,373 @@
+import { TimesheetExporter } from './export.js';
+
+// ===================================
+// PROFILES
+// ===================================
+
+// Every setting lives in localStorage under "profile:<id>:<key>", and
+// every profile's history in its own IndexedDB database. The default
+// profile keeps the plain keys and database it always had, so data from
+// before profiles existed stays where it is.
+
+const DEFAULT_PROFILE = 'default';
+const DEFAULT_DATABASE = 'logout-calculator';
+
+// Stored name of the default profile until it is renamed; shown translated
+const DEFAULT_PROFILE_NAME = 'Default';
+
+// Global keys that belong to no profile
+const PROFILE_LIST_KEY = 'profiles';
+const ACTIVE_PROFILE_KEY = 'activeProfile';
+
+// Keys the app keeps per profile; add new settings here so they are
+// exported and deleted with the profile
+const SETTINGS_KEYS = [
+    'workHours',
+    'useHourBank',
+    'workPolicy',
+    'workCalendar',
+    'whatIfPlan',
+    'notificationSettings',
+    'shiftSettings',
+    'localeSettings',
+    'theme',
+    'customThemes'
+];
+
+// Profile this page works in, read once per page load: another tab
+// switching profiles must not carry this one's settings along
+let pageProfileId = null;
+
+// Bump when the export layout changes
+const PROFILE_EXPORT_VERSION = 1;
+
+/**
+ * Thrown by ProfileStore.parseExport; key names the i18n message for it
+ */
+export class ProfileImportError extends Error {
+    constructor(message, key) {
+        super(message);
+        this.key = key;
+    }
+}
+
+export class ProfileStore {
+    /**
+     * All profiles as [{ id, name }], the default one first
+     */
+    static list() {
+        try {
+            const saved = JSON.parse(localStorage.getItem(PROFILE_LIST_KEY));
+            if (Array.isArray(saved) && saved.some(profile => profile.id === DEFAULT_PROFILE)) {
+                return saved;
+            }
+        } catch (error) {
+            // Fall through to the default list
+        }
+        return [{ id: DEFAULT_PROFILE, name: DEFAULT_PROFILE_NAME }];
+    }
+
+    static saveList(profiles) {
+        localStorage.setItem(PROFILE_LIST_KEY, JSON.stringify(profiles));
+    }
+
+    /**
+     * Profile of this page; the stored choice is read on first use and
+     * only this tab's setActive changes it afterwards
+     */
+    static get activeId() {
+        if (pageProfileId === null) {
+            const id = localStorage.getItem(ACTIVE_PROFILE_KEY);
+            pageProfileId = ProfileStore.list().some(profile => profile.id === id) ? id : DEFAULT_PROFILE;
+        }
+        return pageProfileId;
+    }
+
+    static get active() {
+        return ProfileStore.list().find(profile => profile.id === ProfileStore.activeId);
+    }
+
+    static setActive(id) {
+        localStorage.setItem(ACTIVE_PROFILE_KEY, id);
+        pageProfileId = id;
+    }
+
+    /**
+     * localStorage key of a setting in a profile (the active one by default)
+     */
+    static key(key, id = ProfileStore.activeId) {
+        return id === DEFAULT_PROFILE ? key : `profile:${id}:${key}`;
+    }
+
+    /**
+     * IndexedDB database that holds a profile's attendance history
+     */
+    static databaseName(id = ProfileStore.activeId) {
+        return id === DEFAULT_PROFILE ? DEFAULT_DATABASE : `${DEFAULT_DATABASE}-${id}`;
+    }
+
+    /**
+     * Add a profile; a name already in use gets a number
+     * Returns the new { id, name }.
+     */
+    static create(name) {
+        const profiles = ProfileStore.list();
+        const base = name.trim() || 'Profile';
+        const names = new Set(profiles.map(profile => profile.name));
+
+        let uniqueName = base;
+        for (let n = 2; names.has(uniqueName); n++) {
+            uniqueName = `${base} (${n})`;
+        }
+
+        const slug = base.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'profile';
+        let id = slug;
+        for (let n = 2; id === DEFAULT_PROFILE || profiles.some(profile => profile.id === id); n++) {
+            id = `${slug}-${n}`;
+        }
+
+        const profile = { id: id, name: uniqueName };
+        ProfileStore.saveList([...profiles, profile]);
+        return profile;
+    }
+
+    static rename(id, name) {
+        ProfileStore.saveList(ProfileStore.list().map(profile => (
+            profile.id === id && name.trim() ? { ...profile, name: name.trim() } : profile
+        )));
+    }
+
+    /**
+     * Settings of a profile as { key: stored string }
+     * Only the app's own keys count: the default profile shares the plain
+     * keys with anything else on the same origin.
+     */
+    static settings(id) {
+        const settings = {};
+
+        SETTINGS_KEYS.forEach(key => {
+            const value = localStorage.getItem(ProfileStore.key(key, id));
+            if (value !== null) {
+                settings[key] = value;
+            }
+        });
+
+        return settings;
+    }
+
+    /**
+     * Drop a profile with its settings and history
+     * The default profile can't be removed.
+     */
+    static remove(id) {
+        if (id === DEFAULT_PROFILE) {
+            return;
+        }
+
+        const prefix = ProfileStore.key('', id);
+        const storageKeys = [];
+        for (let i = 0; i < localStorage.length; i++) {
+            if (localStorage.key(i).startsWith(prefix)) {
+                storageKeys.push(localStorage.key(i));
+            }
+        }
+        storageKeys.forEach(storageKey => localStorage.removeItem(storageKey));
+        ProfileStore.saveList(ProfileStore.list().filter(profile => profile.id !== id));
+
+        if (typeof indexedDB !== 'undefined') {
+            indexedDB.deleteDatabase(ProfileStore.databaseName(id));
+        }
+        if (localStorage.getItem(ACTIVE_PROFILE_KEY) === id) {
+            ProfileStore.setActive(DEFAULT_PROFILE);
+        }
+    }
+
+    /**
+     * A profile as a JSON file: its name, settings and stored days
+     */
+    static toExport(profile, settings, history) {
+        return JSON.stringify({
+            version: PROFILE_EXPORT_VERSION,
+            name: profile.name,
+            settings: settings,
+            history: history
+        }, null, 2);
+    }
+
+    /**
+     * Read a file written by toExport
+     * Returns { name, settings, history }; throws when the file is not a
+     * profile export.
+     */
+    static parseExport(json) {
+        let data;
+        try {
+            data = JSON.parse(json);
+        } catch (error) {
+            throw new ProfileImportError('The file is not JSON', 'profile.notJson');
+        }
+
+        if (!data || data.version !== PROFILE_EXPORT_VERSION || typeof data.name !== 'string' ||
+            !data.settings || typeof data.settings !== 'object') {
+            throw new ProfileImportError('The file is not a profile export', 'profile.notExport');
+        }
+
+        return {
+            name: data.name,
+            // Stored values are strings; anything else, or a key the app
+            // doesn't use, is dropped
+            settings: Object.fromEntries(Object.entries(data.settings).filter(([key, value]) => (
+                SETTINGS_KEYS.includes(key) && typeof value === 'string'
+            ))),
+            history: Array.isArray(data.history)
+                ? data.history.filter(record => record && typeof record.date === 'string' && Array.isArray(record.punches))
+                : []
+        };
+    }
+}
+
+/**
+ * localStorage, scoped to the active profile
+ * Modules keep their own keys ("workPolicy", "theme", ...) and read and
+ * write them through this.
+ */
+export const profileStorage = {
+    getItem(key) {
+        return localStorage.getItem(ProfileStore.key(key));
+    },
+
+    setItem(key, value) {
+        localStorage.setItem(ProfileStore.key(key), value);
+    },
+
+    removeItem(key) {
+        localStorage.removeItem(ProfileStore.key(key));
+    }
+};
+
+// ===================================
+// PROFILE SWITCHER
+// ===================================
+
+export class ProfileSwitcher {
+    /**
+     * i18n: the Localizer for names and messages; historyStore: the active
+     * profile's AttendanceStore, or null without IndexedDB;
+     * createStore(databaseName) opens another profile's.
+     */
+    constructor({ i18n, historyStore, createStore }) {
+        this.i18n = i18n;
+        this.historyStore = historyStore;
+        this.createStore = createStore;
+
+        this.select = document.getElementById('profileSelect');
+        this.nameInput = document.getElementById('profileName');
+        this.newButton = document.getElementById('profileNew');
+        this.deleteButton = document.getElementById('profileDelete');
+        this.exportButton = document.getElementById('profileExport');
+        this.importInput = document.getElementById('profileImport');
+        this.statusText = document.getElementById('profileStatus');
+
+        this.render();
+
+        this.select.addEventListener('change', () => this.switchTo(this.select.value));
+        this.nameInput.addEventListener('change', () => {
+            ProfileStore.rename(ProfileStore.activeId, this.nameInput.value);
+            this.render();
+        });
+        this.newButton.addEventListener('click', () => this.switchTo(ProfileStore.create(this.i18n.t('profile.newName')).id));
+        this.deleteButton.addEventListener('click', () => this.deleteActive());
+        this.exportButton.addEventListener('click', () => this.exportActive());
+        this.importInput.addEventListener('change', () => this.importFile(this.importInput.files[0]));
+    }
+
+    /**
+     * The default profile's stock name in the page language
+     */
+    displayName(profile) {
+        return profile.id === DEFAULT_PROFILE && profile.name === DEFAULT_PROFILE_NAME
+            ? this.i18n.t('profile.default')
+            : profile.name;
+    }
+
+    render() {
+        const active = ProfileStore.active;
+
+        this.select.innerHTML = '';
+        ProfileStore.list().forEach(profile => {
+            const option = document.createElement('option');
+            option.value = profile.id;
+            option.textContent = this.displayName(profile);
+            this.select.appendChild(option);
+        });
+
+        this.select.value = active.id;
+        this.nameInput.value = this.displayName(active);
+        this.deleteButton.disabled = active.id === DEFAULT_PROFILE;
+    }
+
+    /**
+     * Every form reads its settings once, so a fresh page load is the
+     * simplest way to bring the whole app over to another profile
+     */
+    switchTo(id) {
+        ProfileStore.setActive(id);
+        window.location.reload();
+    }
+
+    deleteActive() {
+        const active = ProfileStore.active;
+        if (active.id === DEFAULT_PROFILE ||
+            !window.confirm(this.i18n.t('profile.confirmDelete', { name: active.name }))) {
+            return;
+        }
+
+        ProfileStore.remove(active.id);
+        this.switchTo(DEFAULT_PROFILE);
+    }
+
+    async exportActive() {
+        const active = ProfileStore.active;
+        const history = this.historyStore ? await this.historyStore.getAll() : [];
+        const filename = `logout-calculator-profile-${active.id}.json`;
+
+        TimesheetExporter.download(
+            filename,
+            ProfileStore.toExport(active, ProfileStore.settings(active.id), history),
+            'application/json'
+        );
+    }
+
+    /**
+     * Add the exported profile as a new one and switch to it
+     */
+    async importFile(file) {
+        if (!file) {
+            return;
+        }
+
+        try {
+            const imported = ProfileStore.parseExport(await file.text());
+            const profile = ProfileStore.create(imported.name || this.i18n.t('profile.newName'));
+
+            Object.entries(imported.settings).forEach(([key, value]) => {
+                localStorage.setItem(ProfileStore.key(key, profile.id), value);
+            });
+
+            if (imported.history.length > 0 && this.createStore) {
+                const store = this.createStore(ProfileStore.databaseName(profile.id));
+                for (const record of imported.history) {
+                    await store.saveDay(record);
+                }
+            }
+
+            this.switchTo(profile.id);
+        } catch (error) {
+            this.statusText.textContent = this.i18n.t('profile.importFailed', {
+                file: file.name,
+                reason: error instanceof ProfileImportError ? this.i18n.t(error.key) : error.message
+            });
+            this.importInput.value = '';
+        }
+    }
+}
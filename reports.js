@@ -0,0 +1,196 @@
+import { TimestampParser } from './core.js';
+
+// ===================================
+// HOUR BANK
+// ===================================
+
+export class HourBank {
+    /**
+     * Parse a "YYYY-MM-DD" key into a local Date at midnight
+     */
+    static parseKey(key) {
+        const [year, month, day] = key.split('-').map(Number);
+        return new Date(year, month - 1, day);
+    }
+
+    /**
+     * Monday of the week a date falls in
+     */
+    static weekStart(date) {
+        const offset = (date.getDay() + 6) % 7; // Monday = 0
+        return new Date(date.getFullYear(), date.getMonth(), date.getDate() - offset);
+    }
+
+    /**
+     * Roll daily records up into weekly or monthly totals
+     * records: [{ date: 'YYYY-MM-DD', activeMinutes, requiredMinutes }, ...]
+     * Required time only counts days that were actually worked, so the
+     * balance reads "hours worked minus target × days".
+     * Returns periods oldest first, each with the running balance so far.
+     */
+    static summarize(records, period = 'week') {
+        const periods = new Map();
+
+        records.forEach(record => {
+            const date = HourBank.parseKey(record.date);
+            const start = period === 'month'
+                ? new Date(date.getFullYear(), date.getMonth(), 1)
+                : HourBank.weekStart(date);
+            const key = TimestampParser.dateKey(start);
+
+            if (!periods.has(key)) {
+                periods.set(key, {
+                    key: key,
+                    start: start,
+                    days: 0,
+                    requiredMinutes: 0,
+                    workedMinutes: 0,
+                    balanceMinutes: 0
+                });
+            }
+
+            const summary = periods.get(key);
+            summary.days += 1;
+            summary.requiredMinutes += record.requiredMinutes;
+            summary.workedMinutes += record.activeMinutes;
+            summary.balanceMinutes += record.activeMinutes - record.requiredMinutes;
+        });
+
+        let runningMinutes = 0;
+
+        return [...periods.values()]
+            .sort((a, b) => a.start - b.start)
+            .map(summary => {
+                runningMinutes += summary.balanceMinutes;
+                return { ...summary, runningMinutes: runningMinutes };
+            });
+    }
+
+    /**
+     * Balance banked earlier in today's week
+     * Returns null when nothing was worked this week before today, otherwise
+     * { balanceMinutes, topDay } where topDay is the day that contributed
+     * most in the direction of the balance.
+     */
+    static todayAdjustment(records, todayKey) {
+        const weekKey = TimestampParser.dateKey(HourBank.weekStart(HourBank.parseKey(todayKey)));
+
+        const earlierDays = records
+            .filter(record => record.date < todayKey)
+            .filter(record => TimestampParser.dateKey(HourBank.weekStart(HourBank.parseKey(record.date))) === weekKey)
+            .map(record => ({
+                date: record.date,
+                balanceMinutes: record.activeMinutes - record.requiredMinutes
+            }));
+
+        if (earlierDays.length === 0) {
+            return null;
+        }
+
+        const balanceMinutes = earlierDays.reduce((sum, day) => sum + day.balanceMinutes, 0);
+        const direction = balanceMinutes < 0 ? -1 : 1;
+        const topDay = earlierDays.reduce((top, day) =>
+            day.balanceMinutes * direction > top.balanceMinutes * direction ? day : top
+        );
+
+        return {
+            balanceMinutes: Math.round(balanceMinutes),
+            topDay: topDay
+        };
+    }
+}
+
+// ===================================
+// REPORTS PANEL
+// ===================================
+
+export class ReportsPanel {
+    constructor({ i18n }) {
+        this.i18n = i18n;
+
+        this.reportsCard = document.getElementById('reportsCard');
+        this.reportsContent = document.getElementById('reportsContent');
+        this.periodButtons = document.querySelectorAll('.report-period');
+
+        this.period = 'week';
+        this.records = [];
+
+        this.periodButtons.forEach(button => {
+            button.addEventListener('click', () => {
+                this.period = button.dataset.period;
+                this.render(this.records);
+            });
+        });
+    }
+
+    render(records) {
+        this.records = records;
+
+        if (records.length === 0) {
+            this.reportsCard.style.display = 'none';
+            return;
+        }
+
+        this.reportsCard.style.display = 'block';
+        this.reportsContent.innerHTML = '';
+
+        this.periodButtons.forEach(button => {
+            button.classList.toggle('active', button.dataset.period === this.period);
+        });
+
+        const formatDuration = (totalMinutes, options) => this.i18n.formatDuration(totalMinutes, options);
+
+        const table = document.createElement('table');
+        table.className = 'day-table report-table';
+
+        const head = table.createTHead().insertRow();
+        [
+            this.period === 'month' ? 'report.month' : 'report.week',
+            'summary.days', 'summary.required', 'report.worked', 'summary.balance', 'report.bank'
+        ].forEach(key => {
+            const th = document.createElement('th');
+            th.textContent = this.i18n.t(key);
+            head.appendChild(th);
+        });
+
+        const body = table.createTBody();
+
+        // Newest first; the bank column still runs oldest to newest
+        HourBank.summarize(records, this.period).reverse().forEach(summary => {
+            const row = body.insertRow();
+            row.className = 'day-row';
+
+            [
+                this.periodLabel(summary.start),
+                String(summary.days),
+                formatDuration(summary.requiredMinutes),
+                formatDuration(summary.workedMinutes),
+                formatDuration(summary.balanceMinutes, { signed: true }),
+                formatDuration(summary.runningMinutes, { signed: true })
+            ].forEach((text, index) => {
+                const cell = row.insertCell();
+                cell.textContent = text;
+
+                if (index >= 4) {
+                    const minutes = index === 4 ? summary.balanceMinutes : summary.runningMinutes;
+                    cell.className = minutes < 0 ? 'balance negative' : 'balance positive';
+                }
+            });
+        });
+
+        this.reportsContent.appendChild(table);
+    }
+
+    /**
+     * "March 2026" for a month, "02 Mar – 08 Mar" for a week
+     */
+    periodLabel(start) {
+        if (this.period === 'month') {
+            return this.i18n.formatDate(start, { month: 'long', year: 'numeric' });
+        }
+
+        const end = new Date(start.getFullYear(), start.getMonth(), start.getDate() + 6);
+        const format = (date) => this.i18n.formatDate(date, { day: '2-digit', month: 'short' });
+        return `${format(start)} – ${format(end)}`;
+    }
+}
@@ -1,245 +1,35 @@
-// ===================================
-// TIMESTAMP PARSER
-// ===================================
-
-class TimestampParser {
-    /**
-     * Parse timestamps from the input text
-     * Expected format:
-     * 11:01:55 am
-     * 03 Feb 2026
-     * KGIT database new
-     * Info
-     * 12:49:32 pm
-     * ...
-     */
-    static parseTimestamps(text) {
-        if (!text || !text.trim()) {
-            return [];
-        }
-
-        const lines = text.split('\n').map(line => line.trim()).filter(line => line);
-        const timestamps = [];
-
-        // Regex to match time patterns like "11:01:55 am", "12:49:32 pm", or "13:45:01"
-        const timeRegex = /(\d{1,2}):(\d{2}):(\d{2})(?:\s*(am|pm))?/i;
-
-        // Regex to match date patterns like "03 Feb 2026"
-        const dateRegex = /(\d{1,2})\s+([A-Za-z]+)\s+(\d{4})/;
-
-        let currentDate = null;
-
-        for (let i = 0; i < lines.length; i++) {
-            const line = lines[i];
-
-            // Check if this line is a time
-            const timeMatch = line.match(timeRegex);
-            if (timeMatch) {
-                let hours = parseInt(timeMatch[1]);
-                const minutes = parseInt(timeMatch[2]);
-                const seconds = parseInt(timeMatch[3]);
-                const meridiem = timeMatch[4] ? timeMatch[4].toLowerCase() : null;
-
-                // Convert to 24-hour format if meridiem is present
-                if (meridiem) {
-                    if (meridiem === 'pm' && hours < 12) {
-                        hours += 12;
-                    } else if (meridiem === 'am' && hours === 12) {
-                        hours = 0;
-                    }
-                }
-                // If no meridiem, assume hours is already in 24h format (0-23)
-                // If meridiem is present but hours > 12 (like 13:45 pm), 
-                // we treat it as already 24h and don't add 12 again.
-
-                // Look ahead for the date on the next line
-                if (i + 1 < lines.length) {
-                    const nextLine = lines[i + 1];
-                    const dateMatch = nextLine.match(dateRegex);
-
-                    if (dateMatch) {
-                        const day = parseInt(dateMatch[1]);
-                        const monthStr = dateMatch[2];
-                        const year = parseInt(dateMatch[3]);
-
-                        // Parse month
-                        const monthMap = {
-                            'jan': 0, 'january': 0,
-                            'feb': 1, 'february': 1,
-                            'mar': 2, 'march': 2,
-                            'apr': 3, 'april': 3,
-                            'may': 4,
-                            'jun': 5, 'june': 5,
-                            'jul': 6, 'july': 6,
-                            'aug': 7, 'august': 7,
-                            'sep': 8, 'september': 8,
-                            'oct': 9, 'october': 9,
-                            'nov': 10, 'november': 10,
-                            'dec': 11, 'december': 11
-                        };
-
-                        const month = monthMap[monthStr.toLowerCase()];
-
-                        if (month !== undefined) {
-                            currentDate = new Date(year, month, day, hours, minutes, seconds);
-                            timestamps.push(currentDate);
-                        }
-                    }
-                } else if (currentDate) {
-                    // If no date found, use the current date context
-                    const newDate = new Date(currentDate);
-                    newDate.setHours(hours, minutes, seconds);
-                    timestamps.push(newDate);
-                }
-            }
-        }
-
-        return timestamps.sort((a, b) => a - b);
-    }
-
-    /**
-     * Calculate breaks and active time using alternating IN/OUT pattern
-     * Pattern: Login (IN), OUT, IN, OUT, IN, OUT, IN, ...
-     * - First timestamp: Login (IN)
-     * - Odd indices (1, 3, 5...): OUT (break start)
-     * - Even indices (2, 4, 6...): IN (break end)
-     */
-    static calculateBreaksAlternating(timestamps, referenceTime = new Date()) {
-        if (timestamps.length === 0) {
-            return {
-                breaks: [],
-                totalBreakMinutes: 0,
-                activeMinutes: 0,
-                workPeriods: []
-            };
-        }
-
-        const breaks = [];
-        const workPeriods = [];
-        let totalBreakMinutes = 0;
-        let totalActiveMinutes = 0;
-
-        // Process all intervals between timestamps
-        for (let i = 0; i < timestamps.length - 1; i++) {
-            const start = timestamps[i];
-            const end = timestamps[i + 1];
-            const minutes = (end - start) / (1000 * 60);
-
-            if (i % 2 === 0) {
-                // Even index interval (0-1, 2-3...): Work
-                workPeriods.push({
-                    start: start,
-                    end: end,
-                    minutes: minutes
-                });
-                totalActiveMinutes += minutes;
-            } else {
-                // Odd index interval (1-2, 3-4...): Break
-                breaks.push({
-                    start: start,
-                    end: end,
-                    minutes: minutes
-                });
-                totalBreakMinutes += minutes;
-            }
-        }
-
-        // Handle the ongoing period from the last timestamp to the reference time
-        const lastTS = timestamps[timestamps.length - 1];
-
-        // Only add ongoing period if reference time is after last timestamp
-        if (referenceTime > lastTS) {
-            const lastMinutes = (referenceTime - lastTS) / (1000 * 60);
-
-            if (timestamps.length % 2 === 1) {
-                // Odd number of timestamps: Last period is ongoing Work
-                workPeriods.push({
-                    start: lastTS,
-                    end: referenceTime,
-                    minutes: lastMinutes,
-                    ongoing: true
-                });
-                totalActiveMinutes += lastMinutes;
-            } else {
-                // Even number of timestamps: Last period is ongoing Break
-                breaks.push({
-                    start: lastTS,
-                    end: referenceTime,
-                    minutes: lastMinutes,
-                    ongoing: true
-                });
-                totalBreakMinutes += lastMinutes;
-            }
-        }
-
-        return {
-            breaks,
-            totalBreakMinutes: Math.round(totalBreakMinutes),
-            activeMinutes: Math.round(totalActiveMinutes),
-            workPeriods
-        };
-    }
-
-    /**
-     * Calculate breaks between timestamps (legacy method for gaps)
-     * Assumes gaps > 5 minutes are breaks
-     */
-    static calculateBreaks(timestamps, minBreakMinutes = 5) {
-        if (timestamps.length < 2) {
-            return { breaks: [], totalBreakMinutes: 0 };
-        }
-
-        const breaks = [];
-        let totalBreakMinutes = 0;
-
-        for (let i = 0; i < timestamps.length - 1; i++) {
-            const current = timestamps[i];
-            const next = timestamps[i + 1];
-            const gapMinutes = (next - current) / (1000 * 60);
-
-            if (gapMinutes >= minBreakMinutes) {
-                breaks.push({
-                    start: current,
-                    end: next,
-                    minutes: Math.round(gapMinutes)
-                });
-                totalBreakMinutes += gapMinutes;
-            }
-        }
-
-        return { breaks, totalBreakMinutes: Math.round(totalBreakMinutes) };
-    }
-
-    /**
-     * Calculate active work time (excluding breaks)
-     */
-    static calculateActiveTime(timestamps, breaks) {
-        if (timestamps.length === 0) {
-            return 0;
-        }
-
-        const now = new Date();
-        const loginTime = timestamps[0];
-        const lastTimestamp = timestamps[timestamps.length - 1];
-
-        // Total time from login to now or last timestamp
-        const endTime = now > lastTimestamp ? now : lastTimestamp;
-        const totalMinutes = (endTime - loginTime) / (1000 * 60);
-
-        // Subtract breaks
-        const breakMinutes = breaks.reduce((sum, b) => sum + b.minutes, 0);
-        const activeMinutes = totalMinutes - breakMinutes;
-
-        return Math.max(0, activeMinutes);
-    }
-}
+import { TimestampParser, ParsedLogCache, PunchValidator, WorkdayCalculator, systemClock } from './core.js';
+import { AttendanceStore, HistoryPanel } from './history.js';
+import { PolicyEditor } from './policyeditor.js';
+import { HourBank, ReportsPanel } from './reports.js';
+import { TimesheetExporter } from './export.js';
+import { LogoutNotifier, NotificationSettingsForm } from './notifications.js';
+import { DayTimeline } from './timeline.js';
+import { PlannerForm, ManualBreakForm } from './planner.js';
+import { ShiftSettingsForm } from './shifts.js';
+import { ShareLink } from './share.js';
+import { LogImporter } from './importer.js';
+import { ThemeEngine, ThemeEditor } from './themes.js';
+import { LocaleSettingsForm } from './i18n.js';
+import { CalendarEditor } from './calendar.js';
+import { ProfileStore, ProfileSwitcher, profileStorage } from './profiles.js';
+import { LiveStatus } from './livestatus.js';
+import { TabSync } from './tabsync.js';
+
+// Days are saved once the log has stopped changing for this long, so a
+// half-pasted or half-edited log never becomes a day's record
+const HISTORY_SAVE_DELAY_MS = 2000;
 
 // ===================================
 // CALCULATOR LOGIC
 // ===================================
 
 class LogoutCalculator {
-    constructor() {
+    constructor({ clock = systemClock } = {}) {
+        // All the math lives in core.js; this class only reads the form and renders
+        this.clock = clock;
+        this.core = new WorkdayCalculator({ clock });
+
         this.form = document.getElementById('calculatorForm');
         this.resultCard = document.getElementById('resultCard');
         this.resultTime = document.getElementById('resultTime');
@@ -251,16 +41,95 @@ class LogoutCalculator {
         this.progressText = document.getElementById('progressText');
 
         this.timestampInput = document.getElementById('timestampInput');
+        this.timestampBackdrop = document.getElementById('timestampBackdrop');
+        this.inputError = document.getElementById('inputError');
+        this.parseIssueList = document.getElementById('parseIssueList');
+        this.formatHint = document.getElementById('formatHint');
         this.loginTimeInput = document.getElementById('loginTime');
-        this.breakMinutesInput = document.getElementById('breakMinutes');
         this.workHoursInput = document.getElementById('workHours');
 
+        this.anomalyList = document.getElementById('anomalyList');
+
         this.currentData = null; // Store current calculation data
+        this.parsedLogs = new ParsedLogCache(); // Last parse of the textarea
+        this.liveUpdateTimer = null;
+        this.renderPending = false; // A hidden tab skipped drawing the last result
+        this.punchFixes = []; // Fixes accepted from the anomaly list
+        this.ignoredIssues = new Set();
+
+        // Saved days (IndexedDB), one database per profile
+        this.attendanceStore = AttendanceStore.isSupported()
+            ? new AttendanceStore(ProfileStore.databaseName())
+            : null;
+        this.historyPanel = null;
+        this.historyRecords = [];
+        this.savedHistorySignature = null; // Days as last written
+        this.pendingHistorySave = null; // { timer, save } while a save waits
+
+        // Weekly/monthly reports and the hour bank
+        this.reportsPanel = null;
+        this.useHourBankInput = document.getElementById('useHourBank');
+        this.bankNote = document.getElementById('bankNote');
+
+        // Work policy (mandatory breaks, core hours, ...)
+        this.policyEditor = null;
+        this.policyWarnings = document.getElementById('policyWarnings');
+
+        // Timesheet export (CSV, JSON, iCalendar)
+        this.exportSection = document.getElementById('exportSection');
+        this.exportData = null;
+
+        // "Here's my day" links; a day opened from one is not saved or alarmed
+        this.shareLinkRow = document.getElementById('shareLinkRow');
+        this.shareLinkInput = document.getElementById('shareLink');
+        this.shareStatus = document.getElementById('shareStatus');
+        this.sharePunches = [];
+        this.viewingSharedDay = false;
+
+        // Alarms ahead of the projected logout
+        this.notifier = null;
+
+        // Countdown in the tab title, favicon ring and mini window
+        this.liveStatus = new LiveStatus();
+
+        // Work/break blocks drawn to scale
+        this.timeline = null;
+
+        // Planned breaks and "must leave at" (what-if planner)
+        this.plannerForm = null;
+        this.plannerNote = document.getElementById('plannerNote');
+
+        // Holidays, leave and per-weekday targets
+        this.calendarEditor = null;
+        this.calendarNote = document.getElementById('calendarNote');
 
         this.init();
     }
 
     init() {
+        // Language, clock and duration formats; everything below renders through this.i18n
+        this.localeForm = new LocaleSettingsForm({
+            onChange: () => {
+                // Another language may read more month names
+                this.parsedLogs.clear();
+                this.calendarEditor.render();
+                this.profileSwitcher.render();
+                this.plannerForm.render();
+                this.manualBreakForm.render();
+                this.themeEngine.renderOptions();
+                this.themeEditor.renderChecks();
+                if (this.historyPanel) {
+                    this.historyPanel.refresh();
+                }
+                this.handleRealTimeCalculation();
+            }
+        });
+        this.i18n = this.localeForm.localizer;
+
+        this.reportsPanel = new ReportsPanel({ i18n: this.i18n });
+        this.notifier = new LogoutNotifier({ i18n: this.i18n });
+        this.timeline = new DayTimeline({ i18n: this.i18n });
+
         // Set default login time to current time
         this.setDefaultLoginTime();
 
@@ -268,10 +137,105 @@ class LogoutCalculator {
         this.form.addEventListener('submit', (e) => this.handleSubmit(e));
 
         // Real-time calculation on input change
-        this.timestampInput.addEventListener('input', () => this.handleRealTimeCalculation());
-        this.loginTimeInput.addEventListener('input', () => this.handleRealTimeCalculation());
-        this.breakMinutesInput.addEventListener('input', () => this.handleRealTimeCalculation());
-        this.workHoursInput.addEventListener('input', () => this.handleRealTimeCalculation());
+        this.timestampInput.addEventListener('input', () => {
+            // Accepted fixes belong to the text they were made for
+            this.punchFixes = [];
+            this.ignoredIssues.clear();
+            this.viewingSharedDay = false;
+            this.handleRealTimeCalculation();
+            this.broadcastInput();
+        });
+        this.timestampInput.addEventListener('scroll', () => {
+            this.timestampBackdrop.scrollTop = this.timestampInput.scrollTop;
+        });
+        this.loginTimeInput.addEventListener('input', () => {
+            this.viewingSharedDay = false;
+            this.handleRealTimeCalculation();
+            this.broadcastInput();
+        });
+        // Each profile keeps its own target hours
+        const savedWorkHours = profileStorage.getItem('workHours');
+        if (savedWorkHours) {
+            this.workHoursInput.value = savedWorkHours;
+        }
+        this.workHoursInput.addEventListener('input', () => {
+            profileStorage.setItem('workHours', this.workHoursInput.value);
+            this.handleRealTimeCalculation();
+            this.broadcastInput();
+        });
+
+        // Other tabs of this profile share their edits
+        this.tabSync = new TabSync(`logout-calculator:${ProfileStore.activeId}`, {
+            onReceive: (state) => this.applySyncedInput(state),
+            onSettingsChange: () => this.reloadSettings(),
+            onHistoryChange: () => {
+                if (this.historyPanel) {
+                    this.historyPanel.refresh();
+                }
+            }
+        });
+
+        // Export buttons
+        this.exportSection.querySelectorAll('[data-export]').forEach(button => {
+            button.addEventListener('click', () => this.handleExport(button.dataset.export));
+        });
+        document.getElementById('shareButton').addEventListener('click', () => this.handleShare());
+
+        // Paste button and dropped export files fill the textarea like a manual paste
+        new LogImporter({
+            i18n: this.i18n,
+            onImport: (text) => {
+                this.timestampInput.value = text;
+                this.timestampInput.dispatchEvent(new Event('input'));
+            },
+            onError: (message) => this.showError(message)
+        });
+
+        // Work policy, edited in the Advanced section
+        this.policyEditor = new PolicyEditor({
+            onChange: () => this.handleSettingsChange()
+        });
+
+        // What-if planner
+        this.plannerForm = new PlannerForm({
+            i18n: this.i18n,
+            onChange: () => this.handleSettingsChange()
+        });
+
+        // Manual-mode breaks, edited in the Advanced section
+        this.manualBreakForm = new ManualBreakForm({
+            i18n: this.i18n,
+            onChange: () => {
+                this.viewingSharedDay = false;
+                this.handleRealTimeCalculation();
+                this.broadcastInput();
+            }
+        });
+
+        // Notification settings, edited in the Advanced section
+        this.notificationForm = new NotificationSettingsForm(this.notifier, {
+            i18n: this.i18n,
+            onChange: () => this.handleSettingsChange()
+        });
+
+        // Holiday/leave calendar, which sets each day's target
+        this.calendarEditor = new CalendarEditor({
+            i18n: this.i18n,
+            onChange: () => this.handleSettingsChange()
+        });
+
+        // Night shifts and the log's time zone
+        this.shiftForm = new ShiftSettingsForm({
+            i18n: this.i18n,
+            onChange: () => this.handleSettingsChange()
+        });
+
+        // Hour bank preference
+        this.useHourBankInput.checked = profileStorage.getItem('useHourBank') !== 'false';
+        this.useHourBankInput.addEventListener('change', () => {
+            profileStorage.setItem('useHourBank', this.useHourBankInput.checked);
+            this.handleSettingsChange();
+        });
 
         // Advanced toggle
         const advancedToggle = document.getElementById('advancedToggle');
@@ -286,24 +250,82 @@ class LogoutCalculator {
             }
         });
 
-        // Theme selection
-        const themeSelect = document.getElementById('themeSelect');
-        const savedTheme = localStorage.getItem('theme') || 'office-light';
-        document.documentElement.setAttribute('data-theme', savedTheme);
-        themeSelect.value = savedTheme;
+        // Theme selection and the custom theme editor
+        this.themeEngine = new ThemeEngine({ i18n: this.i18n });
+        this.themeEditor = new ThemeEditor(this.themeEngine, { i18n: this.i18n });
+
+        // Attendance history
+        if (this.attendanceStore) {
+            this.historyPanel = new HistoryPanel(this.attendanceStore, {
+                i18n: this.i18n,
+                onOpen: (record) => this.openHistoryDay(record),
+                onChange: (records) => this.handleHistoryChange(records),
+                onDelete: () => this.tabSync.postHistoryChange()
+            });
+            window.addEventListener('pagehide', () => this.flushHistorySave());
+        }
 
-        themeSelect.addEventListener('change', () => {
-            const newTheme = themeSelect.value;
-            document.documentElement.setAttribute('data-theme', newTheme);
-            localStorage.setItem('theme', newTheme);
+        // Header profile switcher and the profile section
+        this.profileSwitcher = new ProfileSwitcher({
+            i18n: this.i18n,
+            historyStore: this.attendanceStore,
+            createStore: (databaseName) => new AttendanceStore(databaseName)
         });
 
+        // A day shared through a link
+        this.openSharedDay();
+        window.addEventListener('hashchange', () => this.openSharedDay());
+
         // Start live time remaining update
         this.startLiveUpdate();
     }
 
+    /**
+     * Restore the day in a #share= link, then drop the fragment so a reload
+     * goes back to the user's own data. Past days show in history mode.
+     */
+    openSharedDay() {
+        const shared = ShareLink.decode(window.location.hash);
+        if (!shared) {
+            return;
+        }
+
+        this.timestampInput.value = shared.punches.length > 0
+            ? TimestampParser.formatPunches(shared.punches, { timeZone: this.shiftForm.timeZone })
+            : '';
+        this.workHoursInput.value = shared.workHours;
+        this.loginTimeInput.value = shared.loginTime;
+        this.manualBreakForm.set(shared.breaks);
+        this.punchFixes = [];
+        this.ignoredIssues.clear();
+        this.viewingSharedDay = true;
+
+        history.replaceState(null, '', window.location.pathname + window.location.search);
+        this.calculate();
+    }
+
+    async handleShare() {
+        const url = ShareLink.toURL(window.location.href, {
+            punches: this.sharePunches,
+            workHours: parseFloat(this.workHoursInput.value) || 6,
+            loginTime: this.loginTimeInput.value,
+            breaks: this.manualBreakForm.read()
+        });
+
+        this.shareLinkRow.style.display = 'block';
+        this.shareLinkInput.value = url;
+        this.shareLinkInput.select();
+
+        try {
+            await navigator.clipboard.writeText(url);
+            this.shareStatus.textContent = this.i18n.t('share.copied');
+        } catch (error) {
+            this.shareStatus.textContent = this.i18n.t('share.copy');
+        }
+    }
+
     setDefaultLoginTime() {
-        const now = new Date();
+        const now = this.clock.now();
         const hours = String(now.getHours()).padStart(2, '0');
         const minutes = String(now.getMinutes()).padStart(2, '0');
         this.loginTimeInput.value = `${hours}:${minutes}`;
@@ -318,169 +340,533 @@ class LogoutCalculator {
         this.calculate();
     }
 
+    /**
+     * A stored setting changed: recalculate and have the other tabs reload it
+     */
+    handleSettingsChange() {
+        this.handleRealTimeCalculation();
+        this.tabSync.postSettingsChange();
+    }
+
+    broadcastInput() {
+        this.tabSync.post({
+            timestamps: this.timestampInput.value,
+            loginTime: this.loginTimeInput.value,
+            workHours: this.workHoursInput.value,
+            manualBreaks: this.manualBreakForm.read(),
+            punchFixes: this.punchFixes,
+            ignoredIssues: [...this.ignoredIssues]
+        });
+    }
+
+    /**
+     * Take over an edit made in another tab, as if it was typed here
+     */
+    applySyncedInput({ timestamps, loginTime, workHours, manualBreaks, punchFixes, ignoredIssues }) {
+        this.timestampInput.value = timestamps;
+        this.loginTimeInput.value = loginTime;
+        this.workHoursInput.value = workHours;
+        this.manualBreakForm.set(manualBreaks);
+        this.punchFixes = punchFixes;
+        this.ignoredIssues = new Set(ignoredIssues);
+        this.viewingSharedDay = false;
+        this.calculate();
+    }
+
+    /**
+     * Another tab of this profile stored new settings
+     */
+    reloadSettings() {
+        this.policyEditor.reload();
+        this.plannerForm.reload();
+        this.notificationForm.reload();
+        this.calendarEditor.reload();
+        this.shiftForm.reload();
+        this.useHourBankInput.checked = profileStorage.getItem('useHourBank') !== 'false';
+        this.calculate();
+    }
+
     calculate() {
         const timestampText = this.timestampInput.value.trim();
 
+        // Only a log that still calculates gets saved (see saveHistory)
+        this.cancelHistorySave();
+        this.renderPending = false;
+
         // Determine which mode to use
         if (timestampText) {
-            this.calculateFromTimestamps(timestampText);
+            // Untrimmed, so diagnostics point at the lines as shown
+            this.manualBreakForm.markRejected([]);
+            this.calculateFromTimestamps(this.timestampInput.value);
         } else {
+            this.updateFormatHint(null);
+            this.sharePunches = [];
+            this.displayParseIssues([]);
+            this.clearError();
+            this.displayAnomalies([]);
+            this.displayBankNote(null);
+            this.displayPlannerNote(null);
             this.calculateManual();
         }
     }
 
+    updateFormatHint(format) {
+        this.formatHint.textContent = format
+            ? this.i18n.t('input.detectedFormat', { name: this.i18n.formatName(format) })
+            : this.i18n.t('input.hint');
+    }
+
     calculateFromTimestamps(timestampText) {
-        // Parse timestamps
-        const timestamps = TimestampParser.parseTimestamps(timestampText);
+        // Parse punches (time plus device label and IN/OUT direction),
+        // then apply any fixes accepted from the anomaly list
+        const { timeZone, dayStartMinutes } = this.shiftForm;
+        const log = this.parsedLogs.get(timestampText, timeZone);
+        const punches = PunchValidator.applyFixes(log.punches, this.punchFixes);
+
+        this.updateFormatHint(log.format);
+        this.displayParseIssues(log.diagnostics);
 
-        if (timestamps.length === 0) {
-            this.showError('No valid timestamps found. Please check your input format.');
+        this.sharePunches = punches;
+
+        if (punches.length === 0) {
+            this.displayAnomalies([]);
+            this.liveStatus.update(null);
+            this.showError(this.i18n.t(log.diagnostics.length > 0 ? 'error.rejectedLines' : 'error.noTimestamps'));
             return;
         }
+        this.clearError();
+
+        const now = this.clock.now();
+
+        // Get required work hours; the calendar may set another target per day
+        const requiredWorkHours = parseFloat(this.workHoursInput.value) || 6;
+        const requiredWorkMinutes = requiredWorkHours * 60;
+        const dayTarget = this.dayTarget();
+
+        // Split the log per working day and run the IN/OUT calculation once per day
+        const policy = this.policyEditor.policy;
+        const days = this.core.calculateDays(punches, {
+            requiredMinutes: requiredWorkMinutes,
+            policy,
+            dayStartMinutes,
+            dayTarget
+        }, now);
+        const currentDay = days[days.length - 1];
+
+        // Stored and pasted days together feed the reports and the hour bank
+        const bankRecords = this.getBankRecords(days);
+        const bank = currentDay.isToday && this.useHourBankInput.checked
+            ? HourBank.todayAdjustment(bankRecords, currentDay.key)
+            : null;
+
+        const plan = this.plannerForm.plan;
+        const summary = this.core.summarize(days, {
+            policy,
+            bankMinutes: bank ? bank.balanceMinutes : 0,
+            plannedBreaks: plan.breaks,
+            leaveAt: plan.leaveAt
+        }, now);
+        const { isToday, policyResult, projection, projectedLogout, result } = summary;
+        const { referenceTime, breaks, workPeriods } = currentDay;
+        const onBreak = breaks.some(period => period.ongoing);
+
+        // Remember every calculated day
+        if (!this.viewingSharedDay) {
+            this.saveHistory(days, policy);
+        }
 
-        // Determine if this is "Live" (today) or "History" (past/yesterday)
-        const now = new Date();
-        const lastTimestamp = timestamps[timestamps.length - 1];
+        // Move the alarms along with the projection; someone else's day rings none
+        this.notifier.schedule(this.viewingSharedDay ? null : projectedLogout);
+        this.notifier.checkBreaks(isToday && !this.viewingSharedDay ? breaks : []);
 
-        // If the last timestamp is not from today, we treat it as a finished history record
-        const isToday = lastTimestamp.getDate() === now.getDate() &&
-            lastTimestamp.getMonth() === now.getMonth() &&
-            lastTimestamp.getFullYear() === now.getFullYear();
+        // Store data for live updates (only if it's today)
+        this.currentCalculation = isToday ? {
+            mode: 'timestamp',
+            timestamps: currentDay.timestamps,
+            breaks,
+            requiredWorkMinutes: summary.targetMinutes,
+            loginTime: currentDay.timestamps[0],
+            workPeriods,
+            result,
+            onBreak,
+            calculatedAt: now
+        } : null;
 
-        // Use current time as reference for live today calculations, 
-        // otherwise use the last timestamp for history records.
-        const referenceTime = isToday ? now : lastTimestamp;
+        if (this.isRenderingPaused()) {
+            this.updateLiveStatus(result, onBreak);
+            this.renderPending = true;
+            return;
+        }
 
-        // Calculate breaks and active time using alternating IN/OUT pattern
-        const { breaks, totalBreakMinutes, activeMinutes, workPeriods } =
-            TimestampParser.calculateBreaksAlternating(timestamps, referenceTime);
+        // Flag missed or doubled punches before they flip the IN/OUT pairing
+        this.displayAnomalies(PunchValidator.validate(
+            punches, now, dayTarget(TimestampParser.dayKey(now, dayStartMinutes)), dayStartMinutes
+        ));
+        this.displayCalendarNote(currentDay);
+        this.reportsPanel.render(bankRecords);
+        this.displayBankNote(bank);
 
-        // Get required work hours
-        const requiredWorkHours = parseFloat(this.workHoursInput.value) || 6;
-        const requiredWorkMinutes = requiredWorkHours * 60;
+        // Update UI
+        this.updateResults(result, { onBreak });
+        this.displayPlannerNote(summary.leave, policyResult.earliestLogout);
+
+        // Display breakdown (planned items only when there is something planned)
+        const planned = projection && projection.breaks.length > 0 ? projection : null;
+        this.displayBreakdown(workPeriods, breaks, policyResult.shortBreaks, planned);
+        this.timeline.render({
+            workPeriods,
+            breaks,
+            shortBreaks: policyResult.shortBreaks,
+            referenceTime,
+            isToday,
+            remainingMinutes: result.remainingMinutes,
+            projectedLogout,
+            planned: projection
+        });
 
-        let logoutTimeFormatted = "--:--";
-        let remainingActiveMinutes = 0;
-        let isComplete = false;
+        // Display per-day table when more than one date was pasted
+        this.displayDaySummary(days);
 
-        if (isToday) {
-            // Live mode: calculate when to logout
-            remainingActiveMinutes = Math.max(0, requiredWorkMinutes - activeMinutes);
-            const logoutDate = new Date(now.getTime() + remainingActiveMinutes * 60000);
+        // Keep what the export buttons need
+        this.setExportData({ days, requiredMinutes: currentDay.requiredMinutes, projectedLogout });
+    }
 
-            const logoutHours = String(logoutDate.getHours()).padStart(2, '0');
-            const logoutMinutes = String(logoutDate.getMinutes()).padStart(2, '0');
-            logoutTimeFormatted = `${logoutHours}:${logoutMinutes}`;
-            isComplete = remainingActiveMinutes <= 0;
+    /**
+     * Answer "I must leave at ..." under the result
+     */
+    displayPlannerNote(leave, earliestLogout = null) {
+        if (!leave) {
+            this.plannerNote.style.display = 'none';
+            return;
+        }
+
+        const { t, formatTime, formatDuration } = this.formatters();
+        const params = {
+            time: formatTime(leave.leaveDate),
+            short: formatDuration(leave.shortMinutes),
+            allowance: formatDuration(leave.breakAllowanceMinutes),
+            planned: leave.plannedBreakMinutes > 0
+                ? t('leave.planned', { duration: formatDuration(leave.plannedBreakMinutes) })
+                : ''
+        };
+        let message;
+
+        if (leave.shortMinutes > 0 && leave.shortWithoutBreaksMinutes === 0) {
+            message = t('leave.shortKeepBreaks', params);
+        } else if (leave.shortMinutes > 0) {
+            message = t('leave.short', params);
+            if (leave.plannedBreakMinutes > 0) {
+                message += t('leave.shortWithoutBreaks', { duration: formatDuration(leave.shortWithoutBreaksMinutes) });
+            }
         } else {
-            // History mode: just show what was worked
-            const lastHours = String(lastTimestamp.getHours()).padStart(2, '0');
-            const lastMinutes = String(lastTimestamp.getMinutes()).padStart(2, '0');
-            logoutTimeFormatted = `${lastHours}:${lastMinutes} (End)`;
-            remainingActiveMinutes = 0;
-            isComplete = true; // It's in the past, so it's "complete"
+            message = t('leave.works', params);
         }
 
-        // Calculate total office time (from first to reference time)
-        const loginTime = timestamps[0];
-        const totalOfficeMinutes = Math.max(0, (referenceTime - loginTime) / (1000 * 60));
+        if (earliestLogout && leave.leaveDate < earliestLogout) {
+            message += t('leave.coreHours', { time: formatTime(earliestLogout) });
+        }
 
-        // Calculate progress
-        const progressPercent = Math.min(100, Math.max(0, (activeMinutes / requiredWorkMinutes) * 100));
+        this.plannerNote.textContent = message;
+        this.plannerNote.className = leave.shortMinutes > 0 ? 'bank-note negative' : 'bank-note positive';
+        this.plannerNote.style.display = 'block';
+    }
 
-        // Update UI
-        this.updateResults({
-            logoutTime: logoutTimeFormatted,
-            activeMinutes: activeMinutes,
-            breakMinutes: totalBreakMinutes,
-            remainingMinutes: remainingActiveMinutes,
-            progressPercent: progressPercent,
-            totalOfficeMinutes: totalOfficeMinutes,
-            isComplete: isComplete,
-            breakCount: breaks.length,
-            isHistory: !isToday
+    /**
+     * Merge stored history with the days just calculated
+     * Pasted days win over stored ones for the same date, and today counts
+     * with its live active time. Stored days take their target from the
+     * calendar as it is now, so marking a past holiday fixes its balance.
+     */
+    getBankRecords(days) {
+        const byDate = new Map();
+
+        this.historyRecords.forEach(record => {
+            byDate.set(record.date, {
+                date: record.date,
+                activeMinutes: record.activeMinutes,
+                requiredMinutes: this.calendarEditor.targetMinutes(record.date, record.requiredMinutes)
+            });
         });
 
-        // Display breakdown
-        this.displayBreakdown(workPeriods, breaks);
+        days.forEach(day => {
+            byDate.set(day.key, {
+                date: day.key,
+                activeMinutes: day.activeMinutes,
+                requiredMinutes: day.requiredMinutes
+            });
+        });
 
-        // Store data for live updates (only if it's today)
-        this.currentCalculation = isToday ? {
-            mode: 'timestamp',
-            timestamps,
-            breaks,
-            requiredWorkMinutes,
-            loginTime,
-            workPeriods
-        } : null;
+        return [...byDate.values()].sort((a, b) => a.date.localeCompare(b.date));
     }
 
-    calculateManual() {
-        // Get form values
-        const loginTime = this.loginTimeInput.value;
-        const workHours = parseFloat(this.workHoursInput.value) || 6;
-        const breakMinutes = parseInt(this.breakMinutesInput.value) || 0;
+    handleHistoryChange(records) {
+        this.historyRecords = records;
 
-        if (!loginTime) {
-            return; // Don't show error, just don't calculate
+        if (this.timestampInput.value.trim()) {
+            // Re-run so the hour bank and reports pick up the change
+            this.calculate();
+        } else {
+            this.reportsPanel.render(this.getBankRecords([]));
+        }
+    }
+
+    /**
+     * Required minutes per date: the work hours input, adjusted by the calendar
+     */
+    dayTarget() {
+        const requiredMinutes = (parseFloat(this.workHoursInput.value) || 6) * 60;
+        return (dateKey) => this.calendarEditor.targetMinutes(dateKey, requiredMinutes);
+    }
+
+    /**
+     * Say when the calendar changed the day's target
+     */
+    displayCalendarNote(day) {
+        const marked = day ? this.calendarEditor.entry(day.key) : null;
+        const usual = (parseFloat(this.workHoursInput.value) || 6) * 60;
+
+        if (!day || (!marked && day.requiredMinutes === usual)) {
+            this.calendarNote.style.display = 'none';
+            return;
+        }
+
+        const { t, formatDuration } = this.formatters();
+        const name = marked ? marked.name || t(`calendar.${marked.type}`) : '';
+
+        this.calendarNote.textContent = day.requiredMinutes === 0
+            ? t(marked ? 'calendar.noWork' : 'calendar.weekdayNoWork', { name })
+            : t(marked ? 'calendar.markedTarget' : 'calendar.weekdayTarget', {
+                name,
+                target: formatDuration(day.requiredMinutes)
+            });
+        this.calendarNote.className = 'bank-note positive';
+        this.calendarNote.style.display = 'block';
+    }
+
+    displayBankNote(bank) {
+        if (!bank || bank.balanceMinutes === 0) {
+            this.bankNote.style.display = 'none';
+            return;
         }
 
-        // Parse login time
-        const [loginHours, loginMinutes] = loginTime.split(':').map(Number);
-        const loginDate = new Date();
-        loginDate.setHours(loginHours, loginMinutes, 0, 0);
+        const params = {
+            amount: this.i18n.formatDuration(Math.abs(bank.balanceMinutes)),
+            weekday: this.i18n.formatDate(HourBank.parseKey(bank.topDay.date), { weekday: 'long' })
+        };
 
-        // Calculate total minutes to work
-        const workMinutes = workHours * 60;
-        const totalMinutes = workMinutes + breakMinutes;
+        this.bankNote.textContent = this.i18n.t(bank.balanceMinutes > 0 ? 'bank.early' : 'bank.late', params);
+        this.bankNote.className = bank.balanceMinutes > 0 ? 'bank-note positive' : 'bank-note negative';
+        this.bankNote.style.display = 'block';
+    }
 
-        // Calculate logout time
-        const logoutDate = new Date(loginDate.getTime() + totalMinutes * 60000);
+    saveHistory(days, policy) {
+        if (!this.attendanceStore) {
+            return;
+        }
 
-        // Format logout time
-        const logoutHours = String(logoutDate.getHours()).padStart(2, '0');
-        const logoutMinutesFormatted = String(logoutDate.getMinutes()).padStart(2, '0');
-        const logoutTimeFormatted = `${logoutHours}:${logoutMinutesFormatted}`;
+        const records = days.map(day => AttendanceStore.toRecord(day, day.requiredMinutes, policy));
+        const signature = records.map(record => `${record.date}:${record.signature}`).join('\n');
 
-        // Calculate time remaining
-        const now = new Date();
-        const remainingMs = logoutDate - now;
-        const remainingMinutes = Math.max(0, Math.floor(remainingMs / 60000));
+        // A newer state replaces a waiting one; live updates of an
+        // unchanged log write nothing
+        this.cancelHistorySave();
+        if (signature === this.savedHistorySignature) {
+            return;
+        }
 
-        // Calculate active time so far
-        const elapsedMs = now - loginDate;
-        const elapsedMinutes = Math.max(0, elapsedMs / 60000);
-        const activeMinutes = Math.max(0, elapsedMinutes - breakMinutes);
+        const save = () => {
+            this.pendingHistorySave = null;
+            this.savedHistorySignature = signature;
 
-        // Calculate progress
-        const progressPercent = Math.min(100, Math.max(0, (activeMinutes / workMinutes) * 100));
+            Promise.all(records.map(record => this.attendanceStore.saveDay(record)))
+                .then(written => {
+                    if (written.some(Boolean) && this.historyPanel) {
+                        this.historyPanel.refresh();
+                        this.tabSync.postHistoryChange();
+                    }
+                })
+                .catch(error => console.warn('Could not save attendance history', error));
+        };
 
-        // Calculate total office time
-        const totalOfficeMinutes = elapsedMinutes;
+        this.pendingHistorySave = { timer: setTimeout(save, HISTORY_SAVE_DELAY_MS), save };
+    }
 
-        // Update UI
-        this.updateResults({
-            logoutTime: logoutTimeFormatted,
-            activeMinutes: activeMinutes,
-            breakMinutes: breakMinutes,
-            remainingMinutes: remainingMinutes,
-            progressPercent: progressPercent,
-            totalOfficeMinutes: totalOfficeMinutes,
-            isComplete: remainingMs <= 0,
-            breakCount: breakMinutes > 0 ? 1 : 0
+    cancelHistorySave() {
+        if (this.pendingHistorySave) {
+            clearTimeout(this.pendingHistorySave.timer);
+            this.pendingHistorySave = null;
+        }
+    }
+
+    /**
+     * Write a waiting save now, e.g. when the page is closed
+     */
+    flushHistorySave() {
+        if (this.pendingHistorySave) {
+            clearTimeout(this.pendingHistorySave.timer);
+            this.pendingHistorySave.save();
+        }
+    }
+
+    openHistoryDay(record) {
+        this.timestampInput.value = TimestampParser.formatPunches(AttendanceStore.toPunches(record), {
+            timeZone: this.shiftForm.timeZone
+        });
+        this.punchFixes = [];
+        this.ignoredIssues.clear();
+        this.calculate();
+        this.timestampInput.scrollIntoView({ behavior: 'smooth', block: 'center' });
+    }
+
+    calculateManual() {
+        const manual = this.core.calculateManual({
+            loginTime: this.loginTimeInput.value,
+            requiredMinutes: (parseFloat(this.workHoursInput.value) || 6) * 60,
+            breaks: this.manualBreakForm.read(),
+            policy: this.policyEditor.policy,
+            dayTarget: this.dayTarget()
         });
 
+        if (!manual) {
+            this.displayCalendarNote(null);
+            this.manualBreakForm.markRejected([]);
+            this.liveStatus.update(null);
+            return; // Don't show error, just don't calculate
+        }
+        // The login and breaks were turned into punches, so the day
+        // displays like a punched one
+        const { day, policyResult, projection, result } = manual;
+
+        this.notifier.schedule(this.viewingSharedDay ? null : manual.logoutDate);
+        this.notifier.checkBreaks(manual.isToday && !this.viewingSharedDay ? day.breaks : []);
+
         // Store data for live updates
+        const onBreak = day.breaks.some(period => period.ongoing);
         this.currentCalculation = {
             mode: 'manual',
-            loginDate,
-            logoutDate,
-            workMinutes,
-            breakMinutes
+            loginDate: manual.loginDate,
+            logoutDate: manual.logoutDate,
+            workMinutes: manual.workMinutes,
+            workPeriods: day.workPeriods,
+            breaks: day.breaks,
+            result,
+            onBreak,
+            calculatedAt: this.clock.now()
         };
+
+        if (this.isRenderingPaused()) {
+            this.updateLiveStatus(result, onBreak);
+            this.renderPending = true;
+            return;
+        }
+
+        this.displayCalendarNote(day);
+        this.manualBreakForm.markRejected(manual.rejectedBreaks, this.i18n.t('manual.breakReversed'));
+
+        this.updateResults(result, { onBreak });
+        this.displayBreakdown(day.workPeriods, day.breaks, policyResult.shortBreaks,
+            projection && projection.breaks.length > 0 ? projection : null);
+        this.timeline.render({
+            workPeriods: day.workPeriods,
+            breaks: day.breaks,
+            shortBreaks: policyResult.shortBreaks,
+            referenceTime: day.referenceTime,
+            isToday: manual.isToday,
+            remainingMinutes: result.remainingMinutes,
+            projectedLogout: manual.logoutDate,
+            planned: projection
+        });
+        this.displayDaySummary(null);
+
+        // Manual days are not saved; the export holds the projected logout and the periods so far
+        this.setExportData({ days: manual.days, requiredMinutes: manual.workMinutes, projectedLogout: manual.logoutDate });
+    }
+
+    setExportData(exportData) {
+        this.exportData = exportData;
+        this.exportSection.style.display = 'block';
     }
 
-    displayBreakdown(workPeriods, breaks) {
+    handleExport(format) {
+        if (!this.exportData) {
+            return;
+        }
+
+        const { days, requiredMinutes, projectedLogout } = this.exportData;
+        const dateKeys = days.map(day => day.key);
+        const today = TimestampParser.dateKey(this.clock.now());
+        const range = dateKeys.length > 1
+            ? `${dateKeys[0]}_${dateKeys[dateKeys.length - 1]}`
+            : (dateKeys[0] || today);
+
+        if (format === 'csv') {
+            TimesheetExporter.download(`timesheet-${range}.csv`, TimesheetExporter.toCSV(days), 'text/csv');
+        } else if (format === 'json') {
+            TimesheetExporter.download(
+                `timesheet-${range}.json`,
+                TimesheetExporter.toJSON(days, { requiredMinutes, projectedLogout }),
+                'application/json'
+            );
+        } else if (format === 'ics') {
+            TimesheetExporter.download(
+                `workday-${range}.ics`,
+                TimesheetExporter.toICS(days, { projectedLogout }),
+                'text/calendar'
+            );
+        }
+    }
+
+    displayAnomalies(issues) {
+        const visibleIssues = issues.filter(issue => !this.ignoredIssues.has(issue.id));
+
+        this.anomalyList.innerHTML = '';
+        this.anomalyList.style.display = visibleIssues.length > 0 ? 'flex' : 'none';
+
+        visibleIssues.forEach(issue => {
+            const item = document.createElement('div');
+            item.className = `anomaly-item ${issue.type}`;
+
+            const message = document.createElement('p');
+            message.className = 'anomaly-message';
+            message.textContent = this.i18n.describe(issue);
+
+            const actions = document.createElement('div');
+            actions.className = 'anomaly-actions';
+
+            const fixButton = document.createElement('button');
+            fixButton.type = 'button';
+            fixButton.className = 'anomaly-fix';
+            fixButton.textContent = this.i18n.describe(issue.fix);
+            fixButton.addEventListener('click', () => {
+                this.punchFixes.push(...issue.fix.changes);
+                this.calculate();
+                this.broadcastInput();
+            });
+
+            const ignoreButton = document.createElement('button');
+            ignoreButton.type = 'button';
+            ignoreButton.className = 'anomaly-ignore';
+            ignoreButton.textContent = this.i18n.t('anomaly.ignore');
+            ignoreButton.addEventListener('click', () => {
+                this.ignoredIssues.add(issue.id);
+                this.calculate();
+                this.broadcastInput();
+            });
+
+            actions.appendChild(fixButton);
+            actions.appendChild(ignoreButton);
+            item.appendChild(message);
+            item.appendChild(actions);
+            this.anomalyList.appendChild(item);
+        });
+    }
+
+    /**
+     * List work periods and breaks in time order
+     * planned: projection from BreakPlanner.project; its periods are listed
+     * after the punched ones and marked as planned.
+     */
+    displayBreakdown(workPeriods, breaks, shortBreaks = [], planned = null) {
         const breakdownSection = document.getElementById('breakdownSection');
         const breakdownContent = document.getElementById('breakdownContent');
 
@@ -492,12 +878,7 @@ class LogoutCalculator {
         breakdownSection.style.display = 'block';
         breakdownContent.innerHTML = '';
 
-        // Helper function to format time
-        const formatTime = (date) => {
-            const hours = String(date.getHours()).padStart(2, '0');
-            const minutes = String(date.getMinutes()).padStart(2, '0');
-            return `${hours}:${minutes}`;
-        };
+        const { t, formatTime, formatDuration } = this.formatters();
 
         // Combine work periods and breaks, then sort by start time
         const allPeriods = [];
@@ -508,7 +889,10 @@ class LogoutCalculator {
                 start: period.start,
                 end: period.end,
                 minutes: period.minutes,
-                index: index + 1
+                index: index + 1,
+                label: period.label,
+                corrected: period.corrected,
+                ongoing: period.ongoing
             });
         });
 
@@ -519,18 +903,23 @@ class LogoutCalculator {
                 end: breakPeriod.end,
                 minutes: breakPeriod.minutes,
                 index: index + 1,
-                ongoing: breakPeriod.ongoing
+                label: breakPeriod.label,
+                corrected: breakPeriod.corrected,
+                ongoing: breakPeriod.ongoing,
+                countedAsWork: shortBreaks.includes(breakPeriod)
             });
         });
 
-        allPeriods.sort((a, b) => a.start - b.start);
+        if (planned) {
+            planned.workPeriods.forEach(period => {
+                allPeriods.push({ type: 'work', ...period });
+            });
+            planned.breaks.forEach(period => {
+                allPeriods.push({ type: 'break', ...period });
+            });
+        }
 
-        // Helper function to format duration to HH:mm
-        const formatDuration = (totalMinutes) => {
-            const h = Math.floor(Math.abs(totalMinutes) / 60);
-            const m = Math.round(Math.abs(totalMinutes) % 60);
-            return `${h}:${String(m).padStart(2, '0')}`;
-        };
+        allPeriods.sort((a, b) => a.start - b.start);
 
         // Display periods
         allPeriods.forEach(period => {
@@ -540,11 +929,25 @@ class LogoutCalculator {
             const label = document.createElement('span');
             label.className = 'breakdown-item-label';
 
-            if (period.type === 'work') {
-                label.textContent = `Work Period ${period.index}: ${formatTime(period.start)} - ${formatTime(period.end)}`;
+            const params = { index: period.index, start: formatTime(period.start), end: formatTime(period.end) };
+
+            if (period.planned) {
+                item.classList.add('planned');
+                label.textContent = t(period.type === 'work' ? 'breakdown.plannedWork' : 'breakdown.plannedBreak', params);
+            } else if (period.type === 'work') {
+                label.textContent = t('breakdown.work', params);
             } else {
-                const ongoingText = period.ongoing ? ' (ongoing)' : '';
-                label.textContent = `Break ${period.index}: ${formatTime(period.start)} - ${formatTime(period.end)}${ongoingText}`;
+                const ongoingText = period.ongoing ? t('breakdown.ongoing') : '';
+                const policyText = period.countedAsWork ? t('breakdown.countedAsWork') : '';
+                label.textContent = `${t('breakdown.break', params)}${ongoingText}${policyText}`;
+            }
+
+            // Device/door the period started at, as named in the log
+            if (period.label || period.corrected) {
+                const source = document.createElement('span');
+                source.className = 'breakdown-item-source';
+                source.textContent = period.label || t('breakdown.corrected');
+                label.appendChild(source);
             }
 
             const value = document.createElement('span');
@@ -557,56 +960,162 @@ class LogoutCalculator {
         });
     }
 
-    updateResults(data) {
+    displayDaySummary(days) {
+        const summarySection = document.getElementById('daySummarySection');
+        const summaryContent = document.getElementById('daySummaryContent');
+
+        if (!days || days.length < 2) {
+            summarySection.style.display = 'none';
+            return;
+        }
+
+        summarySection.style.display = 'block';
+        summaryContent.innerHTML = '';
+
+        const { t, formatTime, formatDuration } = this.formatters();
+        const formatDate = (date) => this.i18n.formatDate(date, {
+            weekday: 'short',
+            day: '2-digit',
+            month: 'short'
+        });
+
+        const table = document.createElement('table');
+        table.className = 'day-table';
+
+        const head = table.createTHead().insertRow();
+        ['date', 'in', 'out', 'active', 'break', 'balance'].forEach(title => {
+            const th = document.createElement('th');
+            th.textContent = t(`summary.${title}`);
+            head.appendChild(th);
+        });
+
+        const body = table.createTBody();
+        let totalActiveMinutes = 0;
+        let totalBreakMinutes = 0;
+        let totalRequiredMinutes = 0;
+
+        days.forEach(day => {
+            const firstIn = day.timestamps[0];
+            const lastOut = day.isToday ? null : day.timestamps[day.timestamps.length - 1];
+            const balance = day.activeMinutes - day.requiredMinutes;
+            const marked = this.calendarEditor.entry(day.key);
+
+            totalActiveMinutes += day.activeMinutes;
+            totalRequiredMinutes += day.requiredMinutes;
+            totalBreakMinutes += day.totalBreakMinutes;
+
+            const row = body.insertRow();
+            row.className = day.isToday ? 'day-row today' : 'day-row';
+
+            [
+                marked ? `${formatDate(day.date)} · ${marked.name || t(`calendar.${marked.type}`)}` : formatDate(day.date),
+                formatTime(firstIn),
+                lastOut ? formatTime(lastOut) : t('summary.now'),
+                formatDuration(day.activeMinutes),
+                formatDuration(day.totalBreakMinutes),
+                formatDuration(balance, { signed: true })
+            ].forEach((text, index) => {
+                const cell = row.insertCell();
+                cell.textContent = text;
+                if (index === 5) {
+                    cell.className = balance < 0 ? 'balance negative' : 'balance positive';
+                }
+            });
+        });
+
+        summaryContent.appendChild(table);
+
+        // Weekly sum against each day's target
+        const totalBalance = totalActiveMinutes - totalRequiredMinutes;
+
+        const totals = document.createElement('div');
+        totals.className = 'day-totals';
+
+        [
+            ['days', String(days.length)],
+            ['totalActive', formatDuration(totalActiveMinutes)],
+            ['totalBreak', formatDuration(totalBreakMinutes)],
+            ['required', formatDuration(totalRequiredMinutes)],
+            ['balance', formatDuration(totalBalance, { signed: true })]
+        ].forEach(([key, valueText]) => {
+            const item = document.createElement('div');
+            item.className = 'breakdown-item';
+
+            const label = document.createElement('span');
+            label.className = 'breakdown-item-label';
+            label.textContent = t(`summary.${key}`);
+
+            const value = document.createElement('span');
+            value.className = 'breakdown-item-value';
+            value.textContent = valueText;
+
+            if (key === 'balance') {
+                item.classList.add(totalBalance < 0 ? 'negative' : 'positive');
+            }
+
+            item.appendChild(label);
+            item.appendChild(value);
+            totals.appendChild(item);
+        });
+
+        summaryContent.appendChild(totals);
+    }
+
+    /**
+     * onBreak: a break is running right now (live days only)
+     */
+    updateResults(data, { onBreak = false } = {}) {
         // Activate result card
         this.resultCard.classList.add('active');
 
+        const { t, formatTime, formatDuration } = this.formatters();
+
         // Update logout time or History label
         const resultHeader = this.resultCard.querySelector('.result-header h3');
         if (data.isHistory) {
-            resultHeader.textContent = 'Shift Summary (Past)';
-            this.resultTime.textContent = data.logoutTime; // This will show "HH:MM (End)"
+            resultHeader.textContent = t('result.pastTitle');
+            this.resultTime.textContent = t('result.end', { time: formatTime(data.logoutDate) });
         } else {
-            resultHeader.textContent = 'Your Logout Time';
-            this.resultTime.textContent = data.logoutTime;
+            resultHeader.textContent = t('result.title');
+            this.resultTime.textContent = formatTime(data.logoutDate);
         }
 
-        // Helper to format HH:mm
-        const toHHMM = (totalMinutes) => {
-            const h = Math.floor(totalMinutes / 60);
-            const m = Math.round(totalMinutes % 60);
-            return `${h}:${String(m).padStart(2, '0')}`;
-        };
-
         // Update details
-        this.activeWorkTime.textContent = toHHMM(data.activeMinutes);
+        this.activeWorkTime.textContent = formatDuration(data.activeMinutes);
 
         // Update break time
-        this.breakTime.textContent = toHHMM(data.breakMinutes);
+        this.breakTime.textContent = formatDuration(data.breakMinutes);
 
         // Update time remaining
         const remainingLabel = this.resultCard.querySelector('.detail-item:nth-child(3) .detail-label');
         if (data.isHistory) {
-            remainingLabel.textContent = 'Status';
-            this.timeRemaining.textContent = 'Shift Processed';
+            remainingLabel.textContent = t('result.status');
+            this.timeRemaining.textContent = t('result.processed');
             this.timeRemaining.style.color = 'var(--color-text-secondary)';
         } else if (data.isComplete) {
-            remainingLabel.textContent = 'Time Remaining';
-            this.timeRemaining.textContent = 'Work Complete! 🎉';
+            remainingLabel.textContent = t('result.remaining');
+            this.timeRemaining.textContent = t('result.complete');
             this.timeRemaining.style.color = 'var(--color-accent-green)';
         } else {
-            remainingLabel.textContent = 'Time Remaining';
-            this.timeRemaining.textContent = toHHMM(data.remainingMinutes);
+            remainingLabel.textContent = t('result.remaining');
+            this.timeRemaining.textContent = formatDuration(data.remainingMinutes);
             this.timeRemaining.style.color = 'var(--color-text-primary)';
         }
 
         // Update total office time
-        this.totalOfficeTime.textContent = toHHMM(data.totalOfficeMinutes);
+        this.totalOfficeTime.textContent = formatDuration(data.totalOfficeMinutes);
+
+        // Work policy warnings
+        this.displayPolicyWarnings(data.warnings || []);
 
         // Update progress bar
         this.progressFill.style.width = `${data.progressPercent}%`;
-        const progressPrefix = data.isHistory ? 'Shift work' : 'Day progress';
-        this.progressText.textContent = `${progressPrefix}: ${Math.round(data.progressPercent)}%`;
+        this.progressText.textContent = t(data.isHistory ? 'result.shiftProgress' : 'result.dayProgress', {
+            percent: this.i18n.formatPercent(Math.round(data.progressPercent))
+        });
+
+        // Tab title, favicon and mini window
+        this.updateLiveStatus(data, onBreak);
 
         // Store current data
         this.currentData = data;
@@ -622,13 +1131,134 @@ class LogoutCalculator {
 
 
 
+    updateLiveStatus(data, onBreak) {
+        if (data.isHistory) {
+            this.liveStatus.update(null);
+            return;
+        }
+
+        const { t, formatTime, formatDuration } = this.formatters();
+        const time = formatTime(data.logoutDate);
+        const remaining = formatDuration(data.remainingMinutes);
+
+        this.liveStatus.update({
+            title: data.isComplete ? t('live.done', { time }) : t('live.title', { remaining, time }),
+            countdown: remaining,
+            logout: t('live.logout', { time }),
+            state: t(data.isComplete ? 'live.complete' : onBreak ? 'live.onBreak' : 'live.working'),
+            progressPercent: data.progressPercent,
+            isComplete: data.isComplete
+        });
+    }
+
+    /**
+     * t, formatTime and formatDuration of the current locale, ready to destructure
+     */
+    formatters() {
+        return {
+            t: (key, params) => this.i18n.t(key, params),
+            formatTime: (date) => this.i18n.formatTime(date),
+            formatDuration: (totalMinutes, options) => this.i18n.formatDuration(totalMinutes, options)
+        };
+    }
+
+    displayPolicyWarnings(warnings) {
+        this.policyWarnings.innerHTML = '';
+        this.policyWarnings.style.display = warnings.length > 0 ? 'flex' : 'none';
+
+        warnings.forEach(warning => {
+            const item = document.createElement('div');
+            item.className = `policy-warning ${warning.type}`;
+            item.textContent = this.i18n.describe(warning);
+            this.policyWarnings.appendChild(item);
+        });
+    }
+
+    /**
+     * Recalculate a live day as each minute starts, so the countdown
+     * ticks with the clock. A hidden tab pauses that and only moves the
+     * title, favicon, mini window and alerts along (see tickHidden); it
+     * recalculates and redraws the page when it is shown again.
+     */
     startLiveUpdate() {
-        // Update every 30 seconds
-        setInterval(() => {
-            if (this.currentCalculation) {
-                this.calculate();
+        document.addEventListener('visibilitychange', () => {
+            if (!document.hidden) {
+                this.liveUpdate();
             }
-        }, 30000);
+        });
+
+        this.scheduleLiveUpdate();
+    }
+
+    /**
+     * Nobody sees the result card, timeline or reports of a hidden tab,
+     * so a calculation there (an edit synced from another tab) stops
+     * short of drawing them and leaves renderPending set for liveUpdate
+     */
+    isRenderingPaused() {
+        return document.hidden;
+    }
+
+    liveUpdate() {
+        if (document.hidden) {
+            this.tickHidden();
+        } else if (this.currentCalculation || this.renderPending) {
+            this.calculate();
+        }
+        this.scheduleLiveUpdate();
+    }
+
+    /**
+     * Carry the last live result forward by the minutes since it was
+     * calculated, without parsing, saving or drawing anything: working
+     * time counts down the remaining minutes, an ongoing break pushes the
+     * logout back. Close enough for the tab title and the alerts until
+     * the tab is shown and recalculates.
+     */
+    tickHidden() {
+        if (!this.currentCalculation) {
+            return;
+        }
+
+        const { result, onBreak, breaks, calculatedAt } = this.currentCalculation;
+        const elapsedMinutes = Math.max(0, (this.clock.now() - calculatedAt) / 60000);
+        let data = result;
+        let currentBreaks = breaks;
+
+        if (onBreak) {
+            data = { ...result, logoutDate: new Date(result.logoutDate.getTime() + elapsedMinutes * 60000) };
+            currentBreaks = breaks.map(period => (
+                period.ongoing ? { ...period, minutes: period.minutes + elapsedMinutes } : period
+            ));
+        } else if (!result.isComplete) {
+            const targetMinutes = result.activeMinutes + result.remainingMinutes;
+            const activeMinutes = result.activeMinutes + elapsedMinutes;
+            const remainingMinutes = Math.max(0, result.remainingMinutes - elapsedMinutes);
+
+            data = {
+                ...result,
+                activeMinutes,
+                remainingMinutes,
+                isComplete: remainingMinutes <= 0,
+                progressPercent: Math.min(100, (activeMinutes / targetMinutes) * 100)
+            };
+        }
+
+        if (!this.viewingSharedDay) {
+            this.notifier.schedule(data.logoutDate);
+            this.notifier.checkBreaks(currentBreaks);
+        }
+        this.updateLiveStatus(data, onBreak);
+        this.renderPending = true;
+    }
+
+    scheduleLiveUpdate() {
+        clearTimeout(this.liveUpdateTimer);
+
+        // A few milliseconds past the boundary, so the new minute has begun
+        const now = this.clock.now();
+        const untilNextMinute = 60000 - (now.getSeconds() * 1000 + now.getMilliseconds()) + 20;
+        this.liveUpdateTimer = setTimeout(() => this.liveUpdate(), untilNextMinute);
     }
 
     celebrate() {
@@ -668,8 +1298,64 @@ class LogoutCalculator {
         }
     }
 
+    /**
+     * Mark the lines the parser rejected and list why
+     * diagnostics: from TimestampParser.parseLog; each entry selects its
+     * line in the textarea when clicked.
+     */
+    displayParseIssues(diagnostics) {
+        const text = this.timestampInput.value;
+        const lines = text.split('\n');
+        const rejected = new Set(diagnostics.map(issue => issue.line));
+
+        this.timestampBackdrop.innerHTML = '';
+        if (diagnostics.length > 0) {
+            lines.forEach((line, index) => {
+                if (rejected.has(index + 1)) {
+                    const mark = document.createElement('mark');
+                    mark.textContent = line;
+                    this.timestampBackdrop.appendChild(mark);
+                } else {
+                    this.timestampBackdrop.appendChild(document.createTextNode(line));
+                }
+                this.timestampBackdrop.appendChild(document.createTextNode('\n'));
+            });
+            this.timestampBackdrop.scrollTop = this.timestampInput.scrollTop;
+        }
+
+        this.parseIssueList.innerHTML = '';
+        this.parseIssueList.style.display = diagnostics.length > 0 ? 'flex' : 'none';
+
+        diagnostics.forEach(issue => {
+            const item = document.createElement('li');
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.className = 'parse-issue';
+            button.textContent = this.i18n.t('input.line', {
+                line: issue.line,
+                text: issue.text,
+                message: this.i18n.describe(issue)
+            });
+            button.addEventListener('click', () => {
+                // Offset of the line's first character
+                const start = lines.slice(0, issue.line - 1).reduce((sum, line) => sum + line.length + 1, 0);
+                this.timestampInput.focus();
+                this.timestampInput.setSelectionRange(start, start + lines[issue.line - 1].length);
+            });
+
+            item.appendChild(button);
+            this.parseIssueList.appendChild(item);
+        });
+    }
+
     showError(message) {
-        alert(message);
+        this.inputError.textContent = message;
+        this.inputError.style.display = 'block';
+    }
+
+    clearError() {
+        this.inputError.textContent = '';
+        this.inputError.style.display = 'none';
     }
 }
 
@@ -698,6 +1384,14 @@ document.addEventListener('DOMContentLoaded', () => {
     window.calculator = new LogoutCalculator();
 });
 
+// Offline support: cache the app shell so it keeps working without a connection
+if ('serviceWorker' in navigator) {
+    window.addEventListener('load', () => {
+        navigator.serviceWorker.register('sw.js')
+            .catch(error => console.warn('Service worker registration failed', error));
+    });
+}
+
 // ===================================
 // UTILITY FUNCTIONS
 // ===================================
@@ -0,0 +1,106 @@
+// ===================================
+// SHARE LINK
+// ===================================
+
+// The day travels in the URL fragment (#share=...), which browsers never
+// send to a server, so sharing works offline and stays private.
+
+// Bump when the payload layout changes; older links then no longer open
+const SHARE_VERSION = 2;
+
+export class ShareLink {
+    /**
+     * Pack a day into the fragment, without the leading "#"
+     * state: { punches, workHours, loginTime, breaks }
+     * breaks are the manual-mode entries, see ManualBreakForm.read
+     * Punch times are stored as seconds after the first punch, labels once
+     * each, and only explicit directions.
+     */
+    static encode({ punches = [], workHours, loginTime = '', breaks = [] }) {
+        const labels = [...new Set(punches.map(punch => punch.label).filter(Boolean))];
+        const first = punches.length > 0 ? Math.floor(punches[0].time.getTime() / 1000) : 0;
+
+        const payload = {
+            v: SHARE_VERSION,
+            h: workHours,
+            m: [loginTime, breaks.map(entry => [entry.start, entry.end || '', entry.minutes || 0])],
+            t: first,
+            l: labels,
+            p: punches.map(punch => {
+                const entry = [
+                    Math.floor(punch.time.getTime() / 1000) - first,
+                    punch.label ? labels.indexOf(punch.label) : -1,
+                    punch.direction && !punch.inferred ? punch.direction[0] : ''
+                ];
+
+                // Drop the fields a plain punch doesn't need
+                while (entry.length > 1 && (entry[entry.length - 1] === '' || entry[entry.length - 1] === -1)) {
+                    entry.pop();
+                }
+                return entry;
+            })
+        };
+
+        return `share=${ShareLink.toBase64Url(JSON.stringify(payload))}`;
+    }
+
+    /**
+     * Read a fragment written by encode
+     * Returns { punches, workHours, loginTime, breaks }, or null when
+     * the fragment holds no (readable) shared day.
+     */
+    static decode(hash) {
+        const match = (hash || '').match(/^#?share=([A-Za-z0-9_-]+)$/);
+        if (!match) {
+            return null;
+        }
+
+        try {
+            const payload = JSON.parse(ShareLink.fromBase64Url(match[1]));
+            if (payload.v !== SHARE_VERSION || !Array.isArray(payload.p)) {
+                return null;
+            }
+
+            const punches = payload.p.map(([offset, labelIndex = -1, direction = '']) => ({
+                time: new Date((payload.t + offset) * 1000),
+                label: payload.l[labelIndex] || null,
+                direction: direction === 'i' ? 'in' : direction === 'o' ? 'out' : null
+            }));
+
+            if (punches.some(punch => isNaN(punch.time))) {
+                return null;
+            }
+
+            return {
+                punches: punches,
+                workHours: Number(payload.h) || 6,
+                loginTime: String(payload.m[0] || ''),
+                breaks: (payload.m[1] || []).map(([start, end, minutes]) => ({
+                    start: String(start || ''),
+                    end: String(end || ''),
+                    minutes: Number(minutes) || 0
+                }))
+            };
+        } catch (error) {
+            return null;
+        }
+    }
+
+    /**
+     * Full link to the page at href with the day in its fragment
+     */
+    static toURL(href, state) {
+        return `${href.split('#')[0]}#${ShareLink.encode(state)}`;
+    }
+
+    static toBase64Url(text) {
+        const bytes = new TextEncoder().encode(text);
+        const binary = Array.from(bytes, byte => String.fromCharCode(byte)).join('');
+        return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+    }
+
+    static fromBase64Url(code) {
+        const binary = atob(code.replace(/-/g, '+').replace(/_/g, '/'));
+        return new TextDecoder().decode(Uint8Array.from(binary, char => char.charCodeAt(0)));
+    }
+}
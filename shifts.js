@@ -0,0 +1,110 @@
+import { TimestampParser } from './core.js';
+import { profileStorage } from './profiles.js';
+
+// ===================================
+// SHIFT & TIME ZONE SETTINGS
+// ===================================
+
+export class ShiftSettingsForm {
+    constructor({ i18n, onChange }) {
+        this.i18n = i18n;
+        this.onChange = onChange;
+
+        this.nightShiftInput = document.getElementById('nightShift');
+        this.dayStartInput = document.getElementById('dayStart');
+        this.timeZoneInput = document.getElementById('logTimeZone');
+        this.timeZoneList = document.getElementById('timeZoneList');
+        this.statusText = document.getElementById('shiftStatus');
+
+        this.settings = ShiftSettingsForm.loadSettings();
+        this.fill(this.settings);
+
+        // Suggest the zones the browser knows about
+        if (typeof Intl.supportedValuesOf === 'function') {
+            Intl.supportedValuesOf('timeZone').forEach(zone => {
+                const option = document.createElement('option');
+                option.value = zone;
+                this.timeZoneList.appendChild(option);
+            });
+        }
+
+        [this.nightShiftInput, this.dayStartInput, this.timeZoneInput].forEach(input => {
+            input.addEventListener('change', () => this.handleChange());
+        });
+    }
+
+    static defaults() {
+        return {
+            nightShift: false,
+            // With night shifts on, punches before this time belong to the previous day
+            dayStart: '12:00',
+            // IANA zone the punch log was written in; empty = this device's zone
+            timeZone: ''
+        };
+    }
+
+    static loadSettings() {
+        try {
+            return { ...ShiftSettingsForm.defaults(), ...JSON.parse(profileStorage.getItem('shiftSettings')) };
+        } catch (error) {
+            return ShiftSettingsForm.defaults();
+        }
+    }
+
+    /**
+     * Minutes after midnight at which a working day starts (0 = midnight)
+     */
+    get dayStartMinutes() {
+        if (!this.settings.nightShift) {
+            return 0;
+        }
+        const [hours, minutes] = this.settings.dayStart.split(':').map(Number);
+        return (hours * 60 + minutes) || 0;
+    }
+
+    /**
+     * The log's time zone, or null for the device's own
+     */
+    get timeZone() {
+        return this.settings.timeZone || null;
+    }
+
+    fill(settings) {
+        this.nightShiftInput.checked = settings.nightShift;
+        this.dayStartInput.value = settings.dayStart;
+        this.dayStartInput.disabled = !settings.nightShift;
+        this.timeZoneInput.value = settings.timeZone;
+    }
+
+    /**
+     * Pick up settings another tab saved
+     */
+    reload() {
+        this.settings = ShiftSettingsForm.loadSettings();
+        this.fill(this.settings);
+        this.statusText.textContent = '';
+    }
+
+    read() {
+        const timeZone = this.timeZoneInput.value.trim();
+
+        return {
+            nightShift: this.nightShiftInput.checked,
+            dayStart: this.dayStartInput.value || ShiftSettingsForm.defaults().dayStart,
+            // An unknown zone falls back to the device's instead of breaking the parser
+            timeZone: TimestampParser.isValidTimeZone(timeZone) ? timeZone : ''
+        };
+    }
+
+    handleChange() {
+        this.settings = this.read();
+        profileStorage.setItem('shiftSettings', JSON.stringify(this.settings));
+
+        this.dayStartInput.disabled = !this.settings.nightShift;
+        this.statusText.textContent = this.timeZoneInput.value.trim() && !this.settings.timeZone
+            ? this.i18n.t('shift.unknownZone', { zone: this.timeZoneInput.value.trim() })
+            : '';
+
+        this.onChange();
+    }
+}
@@ -0,0 +1,128 @@
+// ===================================
+// SERVICE WORKER (offline support)
+// ===================================
+
+// Bump when the app shell changes so old caches are dropped
+const CACHE_VERSION = 'logout-calculator-v17';
+const FONT_CACHE = 'logout-calculator-fonts';
+
+const APP_SHELL = [
+    './',
+    'index.html',
+    'index.css',
+    'theme.css',
+    'core.js',
+    'history.js',
+    'policy.js',
+    'policyeditor.js',
+    'reports.js',
+    'export.js',
+    'notifications.js',
+    'timeline.js',
+    'planner.js',
+    'shifts.js',
+    'share.js',
+    'importer.js',
+    'themes.js',
+    'i18n.js',
+    'calendar.js',
+    'profiles.js',
+    'livestatus.js',
+    'tabsync.js',
+    'script.js',
+    'logo.png',
+    'manifest.webmanifest'
+];
+
+const FONT_HOSTS = ['fonts.googleapis.com', 'fonts.gstatic.com'];
+
+self.addEventListener('install', (event) => {
+    event.waitUntil(
+        caches.open(CACHE_VERSION)
+            .then(cache => cache.addAll(APP_SHELL))
+            .then(() => self.skipWaiting())
+    );
+});
+
+self.addEventListener('activate', (event) => {
+    event.waitUntil(
+        caches.keys()
+            .then(keys => Promise.all(
+                keys
+                    .filter(key => key !== CACHE_VERSION && key !== FONT_CACHE)
+                    .map(key => caches.delete(key))
+            ))
+            .then(() => self.clients.claim())
+    );
+});
+
+self.addEventListener('fetch', (event) => {
+    const request = event.request;
+    if (request.method !== 'GET') {
+        return;
+    }
+
+    const url = new URL(request.url);
+
+    if (FONT_HOSTS.includes(url.hostname)) {
+        event.respondWith(cacheFirst(request, FONT_CACHE));
+    } else if (url.origin === self.location.origin) {
+        event.respondWith(staleWhileRevalidate(request));
+    }
+});
+
+/**
+ * Fonts never change for a given URL: serve from cache once fetched
+ * Offline without a cached copy, the CSS falls back to local fonts.
+ */
+async function cacheFirst(request, cacheName) {
+    const cache = await caches.open(cacheName);
+    const cached = await cache.match(request);
+    if (cached) {
+        return cached;
+    }
+
+    try {
+        const response = await fetch(request);
+        if (response.ok || response.type === 'opaque') {
+            cache.put(request, response.clone());
+        }
+        return response;
+    } catch (error) {
+        return new Response('', { status: 503, statusText: 'Offline' });
+    }
+}
+
+/**
+ * App files: answer from cache straight away and refresh it in the
+ * background, so the next load picks up a new version
+ */
+async function staleWhileRevalidate(request) {
+    const cache = await caches.open(CACHE_VERSION);
+    const cached = await cache.match(request, { ignoreSearch: request.mode === 'navigate' });
+
+    const network = fetch(request)
+        .then(response => {
+            if (response.ok) {
+                cache.put(request, response.clone());
+            }
+            return response;
+        })
+        .catch(() => null);
+
+    if (cached) {
+        return cached;
+    }
+
+    const response = await network;
+    if (response) {
+        return response;
+    }
+
+    // Offline navigation to a URL we never cached: fall back to the app
+    if (request.mode === 'navigate') {
+        return cache.match('index.html');
+    }
+
+    return new Response('', { status: 503, statusText: 'Offline' });
+}
@@ -0,0 +1,67 @@
+// ===================================
+// TAB SYNC
+// ===================================
+
+// Open tabs of the same profile stay in step through a BroadcastChannel:
+// what is typed into the form goes over as it is, while a changed setting
+// or history only tells the other tabs to read it back from storage.
+// Language and theme stay per tab until it is reloaded. Nothing leaves
+// the browser.
+
+export class TabSync {
+    /**
+     * channelName: tabs on the same channel sync
+     * onReceive(state): another tab's form, see post
+     * onSettingsChange(), onHistoryChange(): another tab stored new
+     * settings or changed the saved days
+     */
+    constructor(channelName, { onReceive, onSettingsChange, onHistoryChange }) {
+        this.channel = TabSync.isSupported() ? new BroadcastChannel(channelName) : null;
+
+        if (this.channel) {
+            this.channel.addEventListener('message', (event) => {
+                const type = event.data && event.data.type;
+                if (type === 'input') {
+                    onReceive(event.data.state);
+                } else if (type === 'settings') {
+                    onSettingsChange();
+                } else if (type === 'history') {
+                    onHistoryChange();
+                }
+            });
+        }
+    }
+
+    static isSupported() {
+        return typeof BroadcastChannel !== 'undefined';
+    }
+
+    /**
+     * Tell the other tabs about an edit
+     * state: { timestamps, loginTime, workHours, manualBreaks, punchFixes,
+     * ignoredIssues }, the form as it stands
+     */
+    post(state) {
+        this.send({ type: 'input', state: state });
+    }
+
+    postSettingsChange() {
+        this.send({ type: 'settings' });
+    }
+
+    postHistoryChange() {
+        this.send({ type: 'history' });
+    }
+
+    send(message) {
+        if (this.channel) {
+            this.channel.postMessage(message);
+        }
+    }
+
+    close() {
+        if (this.channel) {
+            this.channel.close();
+        }
+    }
+}
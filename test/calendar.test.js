@@ -0,0 +1,100 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { WorkCalendar } from '../calendar.js';
+
+const calendar = {
+    days: [
+        { date: '2026-02-02', type: 'holiday', name: 'Founders Day' },
+        { date: '2026-02-03', type: 'leave', name: '' },
+        { date: '2026-02-05', type: 'half', name: '' },
+        { date: '2026-02-06', type: 'target', name: 'Offsite', minutes: 180 }
+    ],
+    // Fridays are short
+    weekdays: { 5: 240 }
+};
+
+test('marked days and weekday rules set the target', () => {
+    const target = (date) => WorkCalendar.targetMinutes(calendar, date, 480);
+
+    assert.equal(target('2026-02-02'), 0);
+    assert.equal(target('2026-02-03'), 0);
+    assert.equal(target('2026-02-04'), 480);
+    assert.equal(target('2026-02-05'), 240);
+    // A marked date wins over its weekday rule
+    assert.equal(target('2026-02-06'), 180);
+    assert.equal(target('2026-02-13'), 240);
+});
+
+test('half days halve the weekday rule', () => {
+    const halfFriday = WorkCalendar.merge(calendar, [{ date: '2026-02-13', type: 'half', name: '' }]);
+    assert.equal(WorkCalendar.targetMinutes(halfFriday, '2026-02-13', 480), 120);
+});
+
+test('merging replaces a date and keeps the days in order', () => {
+    const merged = WorkCalendar.merge(calendar, [
+        { date: '2026-02-01', type: 'holiday', name: 'New' },
+        { date: '2026-02-03', type: 'half', name: 'Changed' }
+    ]);
+
+    assert.deepEqual(merged.days.map(day => day.date), ['2026-02-01', '2026-02-02', '2026-02-03', '2026-02-05', '2026-02-06']);
+    assert.equal(WorkCalendar.entry(merged, '2026-02-03').type, 'half');
+    assert.deepEqual(merged.weekdays, calendar.weekdays);
+});
+
+test('an .ics file marks every date its events cover', () => {
+    const ics = [
+        'BEGIN:VCALENDAR',
+        'BEGIN:VEVENT',
+        'DTSTART;VALUE=DATE:20261224',
+        'DTEND;VALUE=DATE:20261227',
+        'SUMMARY:Christmas\\, Boxing Day',
+        'END:VEVENT',
+        'BEGIN:VEVENT',
+        'DTSTART:20260814T080000Z',
+        'SUMMARY:Summer vaca',
+        ' tion',
+        'END:VEVENT',
+        'BEGIN:VEVENT',
+        'DTSTART;VALUE=DATE:20261231',
+        'SUMMARY:New Year\'s Eve (half day)',
+        'END:VEVENT',
+        'END:VCALENDAR'
+    ].join('\r\n');
+
+    assert.deepEqual(WorkCalendar.parseICS(ics), [
+        { date: '2026-12-24', type: 'holiday', name: 'Christmas, Boxing Day' },
+        { date: '2026-12-25', type: 'holiday', name: 'Christmas, Boxing Day' },
+        { date: '2026-12-26', type: 'holiday', name: 'Christmas, Boxing Day' },
+        { date: '2026-08-14', type: 'leave', name: 'Summer vacation' },
+        { date: '2026-12-31', type: 'half', name: 'New Year\'s Eve (half day)' }
+    ]);
+});
+
+test('UTC times in an .ics file count on the local day', () => {
+    // An all-day event exported in UTC from a calendar in Berlin
+    const zone = process.env.TZ;
+    process.env.TZ = 'Europe/Berlin';
+
+    try {
+        const ics = [
+            'BEGIN:VCALENDAR',
+            'BEGIN:VEVENT',
+            'DTSTART:20261224T230000Z',
+            'DTEND:20261225T230000Z',
+            'SUMMARY:Christmas Day',
+            'END:VEVENT',
+            'END:VCALENDAR'
+        ].join('\r\n');
+
+        assert.deepEqual(WorkCalendar.parseICS(ics), [
+            { date: '2026-12-25', type: 'holiday', name: 'Christmas Day' }
+        ]);
+    } finally {
+        if (zone === undefined) {
+            delete process.env.TZ;
+        } else {
+            process.env.TZ = zone;
+        }
+    }
+});
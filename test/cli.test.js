@@ -0,0 +1,88 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { spawnSync } from 'node:child_process';
+import { fileURLToPath } from 'node:url';
+
+const cli = fileURLToPath(new URL('../bin/logout-calc.js', import.meta.url));
+
+const log = [
+    '09:00:00 am', '03 Feb 2026', 'Main door',
+    '12:00:00 pm', '03 Feb 2026',
+    '12:30:00 pm', '03 Feb 2026'
+].join('\n');
+
+const run = (args, input = log, env = process.env) => spawnSync(process.execPath, [cli, ...args], { input, env, encoding: 'utf8' });
+
+test('prints the logout, totals and breakdown for a log on stdin', () => {
+    const { status, stdout } = run(['--at', '13:00']);
+
+    assert.equal(status, 0);
+    assert.match(stdout, /^Logout time:\s+15:30$/m);
+    assert.match(stdout, /^Active work:\s+3:30$/m);
+    assert.match(stdout, /^ {2}Work {3}09:00 - 12:00 {3}3:00 {2}Main door$/m);
+    assert.match(stdout, /^ {2}Work {3}12:30 - 13:00 {3}0:30 {2}\(ongoing\)$/m);
+});
+
+test('--hours and --json', () => {
+    const { status, stdout } = run(['--hours', '8', '--json', '--at=13:00']);
+    const result = JSON.parse(stdout);
+
+    assert.equal(status, 0);
+    assert.equal(result.logoutTime, '17:30');
+    assert.equal(result.remainingMinutes, 270);
+    assert.equal(result.isHistory, false);
+    assert.deepEqual(result.periods.map(period => period.type), ['work', 'break', 'work']);
+});
+
+test('a reference time on a later day summarises the log as history', () => {
+    const { stdout } = run(['--json', '--at', '2026-02-04T09:00']);
+    const result = JSON.parse(stdout);
+
+    assert.equal(result.isHistory, true);
+    assert.equal(result.logoutTime, '12:30');
+    assert.equal(result.projectedLogout, null);
+});
+
+test('input without punches and bad options fail', () => {
+    assert.equal(run([], 'nothing here').status, 1);
+    assert.equal(run(['--hours', 'many']).status, 2);
+    assert.equal(run(['--nope']).status, 2);
+    assert.equal(run(['/no/such/file']).status, 2);
+});
+
+test('--tz and --day-start', () => {
+    const night = [
+        '10:00:00 pm', '28 Mar 2026',
+        '06:00:00 am', '29 Mar 2026'
+    ].join('\n');
+
+    // The machine runs in another zone than the log; days are still split on its clock
+    const { status, stdout } = run(
+        ['--json', '--tz', 'Europe/Berlin', '--day-start', '12:00', '--at', '2026-03-29T12:00:00Z'],
+        night,
+        { ...process.env, TZ: 'America/New_York' }
+    );
+    const result = JSON.parse(stdout);
+
+    assert.equal(status, 0);
+    assert.equal(result.date, '2026-03-28');
+    assert.equal(result.activeMinutes, 420);
+
+    // A bare --at time is read on the log's clock too
+    const bare = JSON.parse(run(
+        ['--json', '--tz', 'Europe/Berlin', '--at', '13:00'],
+        '09:00:00 am\n03 Feb 2026',
+        { ...process.env, TZ: 'America/New_York' }
+    ).stdout);
+    assert.equal(bare.referenceTime, '2026-02-03T12:00:00.000Z');
+    assert.equal(bare.activeMinutes, 240);
+
+    assert.equal(run(['--tz', 'Mars/Olympus']).status, 2);
+    assert.equal(run(['--day-start', '25:00']).status, 2);
+});
+
+test('lines the parser rejected are listed', () => {
+    const { stdout } = run(['--at', '13:00'], `${log}\n05:00:00 pm\n03 Fbr 2026`);
+
+    assert.match(stdout, /^Skipped line 9: Unknown month "Fbr" \("03 Fbr 2026"\)$/m);
+});
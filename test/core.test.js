@@ -0,0 +1,267 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { TimestampParser, PunchValidator, WorkdayCalculator } from '../core.js';
+import { WorkPolicy } from '../policy.js';
+
+const at = (hours, minutes, day = 3) => new Date(2026, 1, day, hours, minutes);
+const fixedClock = (date) => ({ now: () => new Date(date) });
+
+const log = [
+    '09:00:00 am', '03 Feb 2026',
+    '12:00:00 pm', '03 Feb 2026',
+    '12:30:00 pm', '03 Feb 2026'
+].join('\n');
+
+const options = (extra = {}) => ({ requiredMinutes: 360, policy: WorkPolicy.defaults(), ...extra });
+
+test('live: today projects the logout from the clock', () => {
+    const calculator = new WorkdayCalculator({ clock: fixedClock(at(13, 0)) });
+    const summary = calculator.calculate(TimestampParser.parsePunches(log), options());
+
+    assert.equal(summary.isToday, true);
+    assert.deepEqual(summary.projectedLogout, at(15, 30));
+    assert.deepEqual(summary.result, {
+        logoutDate: at(15, 30),
+        activeMinutes: 210,
+        breakMinutes: 30,
+        remainingMinutes: 150,
+        progressPercent: 210 / 360 * 100,
+        totalOfficeMinutes: 240,
+        isComplete: false,
+        breakCount: 1,
+        isHistory: false,
+        warnings: []
+    });
+});
+
+test('live: an ongoing break moves the logout as the clock runs', () => {
+    const punches = TimestampParser.parsePunches(log).slice(0, 2);
+    const calculator = new WorkdayCalculator({ clock: fixedClock(at(12, 45)) });
+    const summary = calculator.calculate(punches, options());
+
+    assert.deepEqual(summary.result.logoutDate, at(15, 45));
+    assert.equal(summary.result.breakMinutes, 45);
+    assert.equal(summary.day.breaks[0].ongoing, true);
+});
+
+test('live: reaching the target completes the day', () => {
+    const calculator = new WorkdayCalculator({ clock: fixedClock(at(16, 0)) });
+    const summary = calculator.calculate(TimestampParser.parsePunches(log), options());
+
+    assert.equal(summary.result.isComplete, true);
+    assert.equal(summary.result.remainingMinutes, 0);
+    assert.equal(summary.result.progressPercent, 100);
+});
+
+test('history: a past day is summarised up to its last punch', () => {
+    const calculator = new WorkdayCalculator({ clock: fixedClock(at(10, 0, 5)) });
+    const summary = calculator.calculate(TimestampParser.parsePunches(log), options());
+
+    assert.equal(summary.isToday, false);
+    assert.equal(summary.projectedLogout, null);
+    assert.deepEqual(summary.result.logoutDate, at(12, 30));
+    assert.equal(summary.result.isHistory, true);
+    assert.equal(summary.result.isComplete, true);
+    assert.equal(summary.result.remainingMinutes, 0);
+    assert.equal(summary.result.activeMinutes, 180);
+    assert.equal(summary.result.totalOfficeMinutes, 210);
+});
+
+test('a multi-day log summarises its last day and keeps the others', () => {
+    const text = [
+        '09:00:00 am', '02 Feb 2026',
+        '05:00:00 pm', '02 Feb 2026',
+        log
+    ].join('\n');
+    const calculator = new WorkdayCalculator({ clock: fixedClock(at(13, 0)) });
+    const summary = calculator.calculate(TimestampParser.parsePunches(text), options());
+
+    assert.deepEqual(summary.days.map(day => day.key), ['2026-02-02', '2026-02-03']);
+    assert.equal(summary.days[0].isToday, false);
+    assert.equal(summary.days[0].activeMinutes, 480);
+    assert.deepEqual(summary.result.logoutDate, at(15, 30));
+});
+
+test('a day target gives each day its own required minutes', () => {
+    const text = [
+        '09:00:00 am', '02 Feb 2026',
+        '05:00:00 pm', '02 Feb 2026',
+        log
+    ].join('\n');
+    // The 2nd was a holiday, the 3rd is a short day
+    const dayTarget = (key) => (key === '2026-02-02' ? 0 : 240);
+    const summary = new WorkdayCalculator({ clock: fixedClock(at(13, 0)) })
+        .calculate(TimestampParser.parsePunches(text), options({ dayTarget }));
+
+    assert.deepEqual(summary.days.map(day => day.requiredMinutes), [0, 240]);
+    assert.equal(summary.targetMinutes, 240);
+    assert.deepEqual(summary.result.logoutDate, at(13, 30));
+
+    const manual = new WorkdayCalculator({ clock: fixedClock(at(11, 0)) }).calculateManual({
+        loginTime: '09:00',
+        requiredMinutes: 360,
+        policy: WorkPolicy.defaults(),
+        dayTarget
+    });
+    assert.equal(manual.workMinutes, 240);
+    assert.deepEqual(manual.logoutDate, at(13, 0));
+});
+
+test('banked minutes shorten today only', () => {
+    const punches = TimestampParser.parsePunches(log);
+
+    const today = new WorkdayCalculator({ clock: fixedClock(at(13, 0)) })
+        .calculate(punches, options({ bankMinutes: 60 }));
+    assert.equal(today.targetMinutes, 300);
+    assert.deepEqual(today.result.logoutDate, at(14, 30));
+
+    const past = new WorkdayCalculator({ clock: fixedClock(at(13, 0, 4)) })
+        .calculate(punches, options({ bankMinutes: 60 }));
+    assert.equal(past.targetMinutes, 360);
+});
+
+test('planned breaks push the logout back and answer "must leave at"', () => {
+    const calculator = new WorkdayCalculator({ clock: fixedClock(at(13, 0)) });
+    const summary = calculator.calculate(TimestampParser.parsePunches(log), options({
+        plannedBreaks: [{ label: 'Coffee', start: '14:00', end: '14:15' }],
+        leaveAt: '15:30'
+    }));
+
+    assert.deepEqual(summary.result.logoutDate, at(15, 45));
+    assert.equal(summary.projection.breaks.length, 1);
+    assert.ok(summary.projection.breaks.every(period => period.planned));
+    assert.equal(summary.leave.shortMinutes, 15);
+    assert.equal(summary.leave.shortWithoutBreaksMinutes, 0);
+});
+
+test('core hours hold the logout until they end', () => {
+    const policy = { ...WorkPolicy.defaults(), coreHours: { enabled: true, start: '10:00', end: '16:00' } };
+    const calculator = new WorkdayCalculator({ clock: fixedClock(at(13, 0)) });
+    const summary = calculator.calculate(TimestampParser.parsePunches(log), options({ policy }));
+
+    assert.deepEqual(summary.result.logoutDate, at(16, 0));
+    assert.equal(summary.result.remainingMinutes, 150);
+});
+
+test('no punches gives no result', () => {
+    assert.equal(new WorkdayCalculator().calculate([], options()), null);
+});
+
+test('manual mode counts from the login time on the clock\'s day', () => {
+    const calculator = new WorkdayCalculator({ clock: fixedClock(at(11, 0)) });
+    const manual = calculator.calculateManual({
+        loginTime: '09:00',
+        requiredMinutes: 360,
+        breaks: [],
+        policy: WorkPolicy.defaults()
+    });
+
+    assert.deepEqual(manual.loginDate, at(9, 0));
+    assert.deepEqual(manual.logoutDate, at(15, 0));
+    assert.deepEqual(manual.result.logoutDate, at(15, 0));
+    assert.equal(manual.result.remainingMinutes, 240);
+    assert.equal(manual.result.activeMinutes, 120);
+    assert.equal(manual.result.breakCount, 0);
+    assert.equal(manual.result.isComplete, false);
+
+    assert.equal(calculator.calculateManual({ loginTime: '', requiredMinutes: 360, breaks: [], policy: WorkPolicy.defaults() }), null);
+});
+
+test('manual breaks: taken ones count as breaks, later ones are planned', () => {
+    const calculator = new WorkdayCalculator({ clock: fixedClock(at(13, 0)) });
+    const manual = calculator.calculateManual({
+        loginTime: '09:00',
+        requiredMinutes: 360,
+        breaks: [
+            { start: '12:00', end: '12:30' },
+            { start: '14:00', minutes: 15 },
+            { start: '', end: '16:00' }
+        ],
+        policy: WorkPolicy.defaults()
+    });
+
+    assert.equal(manual.result.activeMinutes, 210);
+    assert.equal(manual.result.breakMinutes, 30);
+    assert.equal(manual.result.breakCount, 1);
+    assert.deepEqual(manual.day.workPeriods.map(period => [period.start, period.end]), [
+        [at(9, 0), at(12, 0)],
+        [at(12, 30), at(13, 0)]
+    ]);
+    assert.equal(manual.day.breaks[0].minutes, 30);
+    assert.deepEqual(manual.projection.breaks.map(period => period.start), [at(14, 0)]);
+    assert.deepEqual(manual.logoutDate, at(15, 45));
+});
+
+test('manual breaks: a running break holds the logout until it ends', () => {
+    const calculator = new WorkdayCalculator({ clock: fixedClock(at(12, 15)) });
+    const manual = calculator.calculateManual({
+        loginTime: '09:00',
+        requiredMinutes: 360,
+        breaks: [{ start: '12:00', end: '12:45' }],
+        policy: WorkPolicy.defaults()
+    });
+
+    assert.equal(manual.day.breaks[0].ongoing, true);
+    assert.equal(manual.result.activeMinutes, 180);
+    assert.deepEqual(manual.logoutDate, at(15, 45));
+});
+
+test('manual breaks: overlapping entries merge', () => {
+    const intervals = WorkdayCalculator.manualBreaks(at(9, 0), [
+        { start: '12:30', end: '13:00' },
+        { start: '12:00', minutes: 45 }
+    ]);
+
+    assert.deepEqual(intervals.map(interval => [interval.start, interval.end]), [[at(12, 0), at(13, 0)]]);
+});
+
+test('manual breaks: one that ends before it starts is left out and reported', () => {
+    const calculator = new WorkdayCalculator({ clock: fixedClock(at(13, 0)) });
+    const manual = calculator.calculateManual({
+        loginTime: '09:00',
+        requiredMinutes: 360,
+        breaks: [
+            { start: '12:30', end: '12:00' },
+            { start: '23:30', end: '00:15' }
+        ],
+        policy: WorkPolicy.defaults()
+    });
+
+    assert.deepEqual(manual.rejectedBreaks, [0]);
+    assert.equal(manual.result.breakCount, 0);
+    assert.deepEqual(manual.logoutDate, at(15, 0));
+});
+
+test('night shift: a day start keeps a shift past midnight on one day', () => {
+    const text = [
+        '10:00:00 pm', '03 Feb 2026',
+        '02:00:00 am', '04 Feb 2026',
+        '02:30:00 am', '04 Feb 2026'
+    ].join('\n');
+    const punches = TimestampParser.parsePunches(text);
+    const calculator = new WorkdayCalculator({ clock: fixedClock(at(3, 0, 4)) });
+    const summary = calculator.calculate(punches, options({ dayStartMinutes: 12 * 60 }));
+
+    assert.deepEqual(summary.days.map(day => day.key), ['2026-02-03']);
+    assert.equal(summary.isToday, true);
+    assert.equal(summary.result.activeMinutes, 270);
+    assert.deepEqual(summary.result.logoutDate, at(4, 30, 4));
+
+    assert.equal(PunchValidator.validate(punches, at(3, 0, 4), 360, 12 * 60)
+        .some(issue => issue.type === 'midnight'), false);
+});
+
+test('manual mode takes a login time far ahead of the clock as yesterday\'s', () => {
+    const calculator = new WorkdayCalculator({ clock: fixedClock(at(2, 0)) });
+    const manual = calculator.calculateManual({
+        loginTime: '22:00',
+        requiredMinutes: 360,
+        breaks: [],
+        policy: WorkPolicy.defaults()
+    });
+
+    assert.deepEqual(manual.loginDate, at(22, 0, 2));
+    assert.deepEqual(manual.logoutDate, at(4, 0));
+    assert.equal(manual.result.activeMinutes, 240);
+});
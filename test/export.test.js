@@ -0,0 +1,80 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { TimesheetExporter } from '../export.js';
+
+const at = (hours, minutes) => new Date(2026, 1, 3, hours, minutes);
+
+const day = (label) => ({
+    key: '2026-02-03',
+    activeMinutes: 210,
+    totalBreakMinutes: 30,
+    workPeriods: [
+        { start: at(9, 0), end: at(12, 0), minutes: 180, label: label },
+        { start: at(12, 30), end: at(13, 0), minutes: 30, ongoing: true }
+    ],
+    breaks: [{ start: at(12, 0), end: at(12, 30), minutes: 30 }]
+});
+
+test('CSV lists every period in time order', () => {
+    const lines = TimesheetExporter.toCSV([day('Main door')]).split('\r\n');
+
+    assert.deepEqual(lines, [
+        'Date,Type,Start,End,Minutes,Ongoing,Label',
+        '2026-02-03,work,09:00:00,12:00:00,180,no,Main door',
+        '2026-02-03,break,12:00:00,12:30:00,30,no,',
+        '2026-02-03,work,12:30:00,13:00:00,30,yes,',
+        ''
+    ]);
+});
+
+test('CSV quotes separators and keeps formulas from running', () => {
+    const labelOf = (label) => TimesheetExporter.toCSV([day(label)]).split('\r\n')[1].replace(/^(?:[^,]*,){6}/, '');
+
+    assert.equal(labelOf('Gate, "north"'), '"Gate, ""north"""');
+    assert.equal(labelOf('=HYPERLINK("http://example.com")'), '"\'=HYPERLINK(""http://example.com"")"');
+    assert.equal(labelOf('+1'), "'+1");
+    assert.equal(labelOf('-2'), "'-2");
+    assert.equal(labelOf('@SUM(A1)'), "'@SUM(A1)");
+    assert.equal(labelOf('Door - west'), 'Door - west');
+    assert.equal(labelOf('Gate\rnorth'), '"Gate\rnorth"');
+});
+
+test('iCalendar writes UTC times and escapes text', () => {
+    assert.equal(TimesheetExporter.icsDate(new Date('2026-02-03T05:31:55.123Z')), '20260203T053155Z');
+    assert.equal(TimesheetExporter.icsText('a;b,c\\d\ne'), 'a\\;b\\,c\\\\d\\ne');
+
+    const ics = TimesheetExporter.toICS([day('Gate; north')], { projectedLogout: at(15, 0) });
+    const lines = ics.split('\r\n');
+
+    assert.equal(lines[0], 'BEGIN:VCALENDAR');
+    assert.equal(lines[lines.length - 2], 'END:VCALENDAR');
+    // Two work periods and the logout
+    assert.equal(lines.filter(line => line === 'BEGIN:VEVENT').length, 3);
+    assert.ok(lines.includes(`DTSTART:${TimesheetExporter.icsDate(at(9, 0))}`));
+    assert.ok(lines.includes('LOCATION:Gate\\; north'));
+    assert.ok(lines.includes('SUMMARY:Work (ongoing)'));
+    assert.ok(lines.includes('SUMMARY:Logout time'));
+});
+
+test('iCalendar lines longer than 75 characters are folded', () => {
+    const line = `LOCATION:${'x'.repeat(160)}`;
+    const folded = TimesheetExporter.icsFold(line).split('\r\n');
+
+    assert.deepEqual(folded.map(part => part.length), [75, 75, 21]);
+    assert.ok(folded.slice(1).every(part => part.startsWith(' ')));
+    assert.equal(folded.map((part, index) => (index === 0 ? part : part.slice(1))).join(''), line);
+    assert.equal(TimesheetExporter.icsFold('SHORT'), 'SHORT');
+});
+
+test('iCalendar folds by UTF-8 octets and keeps characters whole', () => {
+    const line = `SUMMARY:${'Büro '.repeat(20)}😀😀`;
+    const folded = TimesheetExporter.icsFold(line).split('\r\n');
+    const octets = (text) => new TextEncoder().encode(text).length;
+
+    assert.ok(folded.length > 1);
+    assert.ok(folded.every(part => octets(part) <= 75));
+    assert.ok(folded[0].length < 75);
+    assert.ok(folded.every(part => !/[\uD800-\uDBFF]$/.test(part)));
+    assert.equal(folded.map((part, index) => (index === 0 ? part : part.slice(1))).join(''), line);
+});
@@ -0,0 +1,59 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { Localizer } from '../i18n.js';
+import { PunchValidator, TimestampParser } from '../core.js';
+import { WorkPolicy } from '../policy.js';
+
+const afternoon = new Date(2026, 1, 3, 14, 5);
+const morning = new Date(2026, 1, 3, 9, 5);
+
+test('strings fill their placeholders and fall back to English', () => {
+    const german = new Localizer({ language: 'de-AT', hourCycle: '', durationStyle: 'clock' });
+
+    assert.equal(german.t('result.end', { time: '17:00' }), '17:00 (Ende)');
+    assert.equal(new Localizer({ language: 'ja', hourCycle: '', durationStyle: 'clock' }).t('result.end', { time: '17:00' }),
+        '17:00 (End)');
+    assert.equal(german.t('no.such.key'), 'no.such.key');
+});
+
+test('times follow the language unless a clock is chosen', () => {
+    const times = (language, hourCycle) => {
+        const localizer = new Localizer({ language, hourCycle, durationStyle: 'clock' });
+        return [localizer.formatTime(morning), localizer.formatTime(afternoon)];
+    };
+
+    assert.deepEqual(times('de', ''), ['09:05', '14:05']);
+    assert.deepEqual(times('en-US', ''), ['9:05 AM', '2:05 PM']);
+    assert.deepEqual(times('en-US', 'h23'), ['09:05', '14:05']);
+    assert.deepEqual(times('de', 'h12').map(time => time.replace(/\s/g, ' ')), ['9:05 AM', '2:05 PM']);
+});
+
+test('durations show as a clock or with units', () => {
+    const clock = new Localizer({ language: 'en', hourCycle: '', durationStyle: 'clock' });
+    const units = new Localizer({ language: 'en', hourCycle: '', durationStyle: 'units' });
+
+    assert.equal(clock.formatDuration(450), '7:30');
+    assert.equal(clock.formatDuration(-75, { signed: true }), '-1:15');
+    assert.equal(clock.formatDuration(0.4, { signed: true }), '+0:00');
+    assert.equal(units.formatDuration(450), '7h 30m');
+    assert.equal(units.formatDuration(120), '2h');
+    assert.equal(units.formatDuration(45, { signed: true }), '+45m');
+});
+
+test('messages from the core are worded and formatted here', () => {
+    const german = new Localizer({ language: 'de', hourCycle: '', durationStyle: 'clock' });
+    const english = new Localizer({ language: 'en-GB', hourCycle: 'h12', durationStyle: 'units' });
+
+    const [issue] = PunchValidator.validate([morning, new Date(2026, 1, 3, 9, 5, 30)], afternoon);
+    assert.equal(german.describe(issue), 'Stempelungen um 09:05 und 09:05:30 liegen 30 s auseinander (doppelt gestempelt?)');
+    assert.equal(english.describe(issue.fix), 'Remove the 9:05:30 am punch');
+
+    const policy = { ...WorkPolicy.defaults(), maxDailyMinutes: 90 };
+    const calculation = TimestampParser.calculateBreaksAlternating([morning], afternoon);
+    const [warning] = WorkPolicy.apply(calculation, policy, { targetMinutes: 60, referenceTime: afternoon, isToday: false }).warnings;
+    assert.equal(english.describe(warning), 'Worked past the daily maximum of 1h 30m');
+
+    assert.equal(german.formatName(TimestampParser.formats.find(format => format.id === 'csv')), 'CSV-Export');
+    assert.equal(german.formatName({ id: 'plugin', name: 'My log' }), 'My log');
+});
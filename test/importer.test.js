@@ -0,0 +1,30 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { TimestampParser } from '../core.js';
+import { LogImporter } from '../importer.js';
+
+const at = (hours, minutes, seconds = 0) => new Date(2026, 1, 3, hours, minutes, seconds);
+
+test('table cells become tab-separated lines without title or empty rows', () => {
+    const text = LogImporter.rowsToText([
+        ['Attendance  February'],
+        ['Time', 'Date', 'Device'],
+        ['', '', ''],
+        ['11:01:55 am', ' 03 Feb\n 2026 ', 'KGIT database new']
+    ]);
+
+    assert.equal(text, 'Time\tDate\tDevice\n11:01:55 am\t03 Feb 2026\tKGIT database new');
+});
+
+test('a copied portal table parses with the time cell before the date cell', () => {
+    const text = LogImporter.rowsToText([
+        ['11:01:55 am', '03 Feb 2026', 'Main door', 'IN'],
+        ['12:49:32 pm', '03 Feb 2026', 'Main door', 'OUT']
+    ]);
+    const punches = TimestampParser.parsePunches(text);
+
+    assert.deepEqual(punches.map(punch => punch.time), [at(11, 1, 55), at(12, 49, 32)]);
+    assert.equal(punches[0].label, 'Main door · IN');
+    assert.deepEqual(punches.map(punch => punch.direction), ['in', 'out']);
+});
@@ -0,0 +1,293 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { ParsedLogCache, TimestampParser } from '../core.js';
+
+const at = (hours, minutes, seconds = 0) => new Date(2026, 1, 3, hours, minutes, seconds);
+const reason = (issue) => [issue.key, issue.params];
+
+test('12 am is midnight and 12 pm is noon', () => {
+    const punches = TimestampParser.parsePunches([
+        '12:05:00 am', '03 Feb 2026',
+        '12:30:00 pm', '03 Feb 2026',
+        '01:15:00 pm', '03 Feb 2026'
+    ].join('\n'));
+
+    assert.deepEqual(punches.map(punch => punch.time), [at(0, 5), at(12, 30), at(13, 15)]);
+});
+
+test('24-hour times are read as they are', () => {
+    const punches = TimestampParser.parsePunches([
+        '08:59:30', '03 Feb 2026',
+        '13:45:01', '03 Feb 2026',
+        '17:00:00', '03 Feb 2026'
+    ].join('\n'));
+
+    assert.deepEqual(punches.map(punch => punch.time), [at(8, 59, 30), at(13, 45, 1), at(17, 0)]);
+});
+
+test('a trailing time without a date line takes the previous date', () => {
+    const times = TimestampParser.parseTimestamps([
+        '09:00:00 am', '03 Feb 2026', 'Info',
+        '05:30:00 pm'
+    ].join('\n'));
+
+    assert.deepEqual(times, [at(9, 0), at(17, 30)]);
+});
+
+test('a time before any date line is skipped', () => {
+    const times = TimestampParser.parseTimestamps([
+        '08:00:00 am', 'Info',
+        '09:00:00 am', '03 Feb 2026'
+    ].join('\n'));
+
+    assert.deepEqual(times, [at(9, 0)]);
+});
+
+test('label lines become the punch label and may name the direction', () => {
+    const [entry, exit, plain] = TimestampParser.parsePunches([
+        '09:00:00 am', '03 Feb 2026', 'Main door', 'IN',
+        '12:00:00 pm', '03 Feb 2026', 'Main door', 'OUT',
+        '12:30:00 pm', '03 Feb 2026', 'Info'
+    ].join('\n'));
+
+    assert.equal(entry.label, 'Main door · IN');
+    assert.equal(entry.direction, 'in');
+    assert.equal(exit.direction, 'out');
+    assert.equal(plain.label, 'Info');
+    assert.equal(plain.direction, null);
+});
+
+test('punches are sorted by time whatever order the log lists them in', () => {
+    const times = TimestampParser.parseTimestamps([
+        '05:00:00 pm', '03 Feb 2026',
+        '09:00:00 am', '03 Feb 2026'
+    ].join('\n'));
+
+    assert.deepEqual(times, [at(9, 0), at(17, 0)]);
+});
+
+test('empty or unrecognised input gives no punches', () => {
+    assert.deepEqual(TimestampParser.parsePunches(''), []);
+    assert.deepEqual(TimestampParser.parsePunches('lunch with the team'), []);
+    assert.equal(TimestampParser.detectFormat('lunch with the team'), null);
+});
+
+test('the other log formats are detected', () => {
+    const formatOf = (text) => TimestampParser.detectFormat(text).id;
+
+    assert.equal(formatOf('09:00:00 am\n03 Feb 2026\nInfo'), 'portal');
+    assert.equal(formatOf('Date,Time,Door\n2026-02-03,09:00,Main\n2026-02-03,12:00,Main'), 'csv');
+    assert.equal(formatOf('2026-02-03T09:00:00\n2026-02-03T12:00:00'), 'iso');
+    assert.equal(formatOf('03/02/2026 09:00\n03/02/2026 12:00'), 'dmy');
+    assert.equal(formatOf('03 Feb 2026 09:00 am\n03 Feb 2026 12:00 pm'), 'single-line');
+});
+
+test('CSV rows keep the remaining cells as the label and honour a direction column', () => {
+    const [punch] = TimestampParser.parsePunches('Date,Time,Door,Direction\n2026-02-03,09:00,"Gate, north",Exit');
+
+    assert.deepEqual(punch.time, at(9, 0));
+    assert.equal(punch.label, 'Gate, north · Exit');
+    assert.equal(punch.direction, 'out');
+});
+
+test('ISO times with an offset keep their instant', () => {
+    const [punch] = TimestampParser.parsePunches('2026-02-03T09:00:00Z');
+
+    assert.equal(punch.time.toISOString(), '2026-02-03T09:00:00.000Z');
+});
+
+test('formatPunches writes a log that parses back to the same punches', () => {
+    const punches = [
+        { time: at(0, 5, 9), label: 'Main door', direction: 'in' },
+        { time: at(12, 0), label: null, direction: 'out' }
+    ];
+
+    const reparsed = TimestampParser.parsePunches(TimestampParser.formatPunches(punches));
+
+    assert.deepEqual(reparsed.map(punch => punch.time), punches.map(punch => punch.time));
+    assert.deepEqual(reparsed.map(punch => punch.direction), ['in', 'out']);
+});
+
+test('without directions, punches alternate starting with IN', () => {
+    const punches = [at(9, 0), at(12, 0), at(12, 30)];
+    const resolved = TimestampParser.resolveDirections(punches);
+
+    assert.deepEqual(resolved.map(punch => punch.direction), ['in', 'out', 'in']);
+    assert.ok(resolved.every(punch => punch.inferred));
+});
+
+test('an odd number of punches leaves work ongoing, an even number a break', () => {
+    const odd = TimestampParser.calculateBreaksAlternating([at(9, 0), at(12, 0), at(12, 30)], at(13, 0));
+    assert.equal(odd.activeMinutes, 210);
+    assert.equal(odd.totalBreakMinutes, 30);
+    assert.equal(odd.workPeriods[odd.workPeriods.length - 1].ongoing, true);
+
+    const even = TimestampParser.calculateBreaksAlternating([at(9, 0), at(12, 0)], at(13, 0));
+    assert.equal(even.activeMinutes, 180);
+    assert.equal(even.totalBreakMinutes, 60);
+    assert.equal(even.breaks[0].ongoing, true);
+});
+
+test('an explicit direction breaks the alternation', () => {
+    const punches = [
+        { time: at(9, 0), label: null, direction: 'in' },
+        { time: at(9, 0, 30), label: null, direction: 'in' },
+        { time: at(12, 0), label: null, direction: null }
+    ];
+
+    const resolved = TimestampParser.resolveDirections(punches);
+    assert.deepEqual(resolved.map(punch => punch.direction), ['in', 'in', 'out']);
+
+    const calculation = TimestampParser.calculateBreaksAlternating(punches, at(12, 0));
+    assert.equal(calculation.activeMinutes, 180);
+    assert.equal(calculation.breaks.length, 0);
+});
+
+test('groupByDate splits a log per calendar date', () => {
+    const days = TimestampParser.groupByDate([
+        new Date(2026, 1, 2, 9, 0), new Date(2026, 1, 2, 17, 0), at(9, 0)
+    ]);
+
+    assert.deepEqual(days.map(day => day.key), ['2026-02-02', '2026-02-03']);
+    assert.equal(days[0].timestamps.length, 2);
+});
+
+test('a trailing time earlier than the last punch rolls over to the next day', () => {
+    const times = TimestampParser.parseTimestamps([
+        '10:00:00 pm', '03 Feb 2026', 'Info',
+        '06:00:00 am'
+    ].join('\n'));
+
+    assert.deepEqual(times, [at(22, 0), new Date(2026, 1, 4, 6, 0)]);
+});
+
+test('a log time zone reads wall-clock times in that zone, across a DST change', () => {
+    // Berlin moves from UTC+1 to UTC+2 at 02:00 on 29 Mar 2026
+    const punches = TimestampParser.parsePunches([
+        '10:00:00 pm', '28 Mar 2026',
+        '06:00:00 am', '29 Mar 2026'
+    ].join('\n'), { timeZone: 'Europe/Berlin' });
+
+    assert.deepEqual(punches.map(punch => punch.time.toISOString()), [
+        '2026-03-28T21:00:00.000Z',
+        '2026-03-29T04:00:00.000Z'
+    ]);
+    assert.equal((punches[1].time - punches[0].time) / 3600000, 7);
+});
+
+test('formatPunches writes wall-clock times in the given time zone', () => {
+    const punches = [
+        { time: new Date('2026-07-01T07:30:00Z'), label: null, direction: 'in' },
+        { time: new Date('2026-07-01T15:00:00Z'), label: null, direction: 'out' }
+    ];
+    const text = TimestampParser.formatPunches(punches, { timeZone: 'Asia/Tokyo' });
+
+    assert.match(text, /^04:30:00 pm$/m);
+    const reparsed = TimestampParser.parsePunches(text, { timeZone: 'Asia/Tokyo' });
+    assert.deepEqual(reparsed.map(punch => punch.time), punches.map(punch => punch.time));
+});
+
+test('with a day start, punches before it belong to the previous day', () => {
+    const night = [new Date(2026, 1, 3, 22, 0), new Date(2026, 1, 4, 6, 0), new Date(2026, 1, 4, 22, 0)];
+    const days = TimestampParser.groupByDate(night, 12 * 60);
+
+    assert.equal(TimestampParser.dayKey(new Date(2026, 1, 4, 11, 59), 12 * 60), '2026-02-03');
+    assert.deepEqual(days.map(day => day.key), ['2026-02-03', '2026-02-04']);
+    assert.equal(days[0].timestamps.length, 2);
+});
+
+test('a time followed by label lines instead of a date takes the previous date', () => {
+    const punches = TimestampParser.parsePunches([
+        '09:00:00 am', '03 Feb 2026', 'Info',
+        '12:00:00 pm', 'Main door',
+        '12:30:00 pm', '03 Feb 2026', 'Info'
+    ].join('\n'));
+
+    assert.deepEqual(punches.map(punch => punch.time), [at(9, 0), at(12, 0), at(12, 30)]);
+    assert.equal(punches[1].label, 'Main door');
+});
+
+test('parseLog reports rejected lines with their line numbers', () => {
+    const { format, punches, diagnostics } = TimestampParser.parseLog([
+        '',
+        '09:00:00 am', '03 Feb 2026', 'Info',
+        '12:00:00 pm', '03 Fbr 2026',
+        '24:10:00', '03 Feb 2026',
+        '13:45 pm',
+        '05:00:00 pm', '31 Feb 2026'
+    ].join('\n'));
+
+    assert.equal(format.id, 'portal');
+    assert.deepEqual(punches.map(punch => punch.time), [at(9, 0)]);
+    assert.deepEqual(diagnostics.map(issue => [issue.line, issue.text]), [
+        [6, '03 Fbr 2026'],
+        [7, '24:10:00'],
+        [9, '13:45 pm'],
+        [11, '31 Feb 2026']
+    ]);
+    assert.deepEqual(reason(diagnostics[0]), ['parse.unknownMonth', { month: 'Fbr' }]);
+    assert.deepEqual(reason(diagnostics[1]), ['parse.invalidTime', { text: '24:10:00' }]);
+    assert.deepEqual(reason(diagnostics[3]), ['parse.invalidDate', { text: '31 Feb 2026' }]);
+});
+
+test('a 24-hour time with AM/PM is rejected, not guessed', () => {
+    assert.equal(TimestampParser.to24Hour(13, 'pm'), null);
+    assert.equal(TimestampParser.to24Hour(12, 'am'), 0);
+    assert.equal(TimestampParser.to24Hour(1, 'PM'), 13);
+
+    const portal = TimestampParser.parseLog('09:00:00 am\n03 Feb 2026\n13:45:01 pm\n03 Feb 2026');
+    assert.equal(portal.punches.length, 1);
+    assert.deepEqual(portal.diagnostics.map(issue => issue.line), [3]);
+    assert.deepEqual(reason(portal.diagnostics[0]), ['parse.mixedMeridiem', { text: '13:45:01 pm' }]);
+
+    const singleLine = TimestampParser.parseLog('03 Feb 2026 09:00 am\n03 Feb 2026 13:45 pm');
+    assert.equal(singleLine.punches.length, 1);
+    assert.equal(singleLine.diagnostics[0].key, 'parse.mixedMeridiem');
+});
+
+test('one-punch-per-line formats report lines that name no real moment', () => {
+    const { punches, diagnostics } = TimestampParser.parseLog('2026-02-03T09:00\nnote\n2026-02-30T10:00\n2026-02-03T25:00');
+
+    assert.equal(punches.length, 1);
+    assert.deepEqual(diagnostics.map(issue => issue.line), [3, 4]);
+    assert.deepEqual(reason(diagnostics[0]), ['parse.invalidDate', { text: '2026-02-30' }]);
+});
+
+test('dates may use month names of other languages', () => {
+    const punches = TimestampParser.parsePunches([
+        '09:00:00', '3. Feb. 2026',
+        '12:00:00', '03 févr. 2026',
+        '13:00:00', '3 Febrero 2026'
+    ].join('\n'));
+
+    assert.deepEqual(punches.map(punch => punch.time), [at(9, 0), at(12, 0), at(13, 0)]);
+    assert.equal(TimestampParser.monthIndex('März'), 2);
+    assert.equal(TimestampParser.monthIndex('AOUT'), 7);
+});
+
+test('more languages can be added for month names', () => {
+    assert.equal(TimestampParser.monthIndex('lutego'), undefined);
+
+    TimestampParser.addMonthLocales(['pl']);
+    assert.equal(TimestampParser.monthIndex('lutego'), 1);
+
+    const times = TimestampParser.parseTimestamps('03 lutego 2026 09:00\n03 lutego 2026 17:00');
+    assert.deepEqual(times, [at(9, 0), at(17, 0)]);
+});
+
+test('the parse cache reuses a log until its text or time zone changes', () => {
+    const cache = new ParsedLogCache();
+    const text = '09:00:00\n03 Feb 2026';
+
+    const log = cache.get(text);
+    assert.deepEqual(log.punches.map(punch => punch.time), [at(9, 0)]);
+    assert.equal(cache.get(text), log);
+
+    assert.notEqual(cache.get(text, 'UTC'), log);
+    assert.notEqual(cache.get(`${text}\n`, 'UTC'), cache.get(text, 'UTC'));
+
+    const again = cache.get(text);
+    cache.clear();
+    assert.notEqual(cache.get(text), again);
+});
@@ -0,0 +1,82 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { TimestampParser } from '../core.js';
+import { WorkPolicy } from '../policy.js';
+
+const at = (hours, minutes) => new Date(2026, 1, 3, hours, minutes);
+
+// Work 09:00-12:00, break until 12:10, work until the last time given
+const day = (end, breakEnd = at(12, 10)) => TimestampParser.calculateBreaksAlternating(
+    [at(9, 0), at(12, 0), breakEnd, end], end
+);
+
+const policy = (rules) => ({ ...WorkPolicy.defaults(), ...rules });
+const past = (targetMinutes, referenceTime) => ({ targetMinutes, referenceTime, isToday: false });
+const types = (result) => result.warnings.map(warning => warning.type);
+
+test('the default policy credits the punched time as it is', () => {
+    const result = WorkPolicy.apply(day(at(15, 10)), WorkPolicy.defaults(), past(360, at(15, 10)));
+
+    assert.equal(result.activeMinutes, 360);
+    assert.equal(result.breakMinutes, 10);
+    assert.equal(result.remainingMinutes, 0);
+    assert.deepEqual(result.warnings, []);
+});
+
+test('breaks under the minimum count as work', () => {
+    const result = WorkPolicy.apply(day(at(15, 10)), policy({ minBreakMinutes: 15 }), past(360, at(15, 10)));
+
+    assert.equal(result.activeMinutes, 370);
+    assert.equal(result.breakMinutes, 0);
+    assert.equal(result.shortBreaks.length, 1);
+});
+
+test('a missing mandatory break is deducted from work past the threshold', () => {
+    const rules = policy({ mandatoryBreak: { enabled: true, afterMinutes: 360, minutes: 30 } });
+
+    // 6:40 of work with a 10 min break: 20 of the missing minutes fall past 6:00
+    const past20 = WorkPolicy.apply(day(at(15, 50)), rules, past(480, at(15, 50)));
+    assert.equal(past20.deductedMinutes, 20);
+    assert.equal(past20.activeMinutes, 380);
+    assert.deepEqual(types(past20), ['mandatory-break']);
+
+    // Still before the threshold today: nothing deducted yet, but the
+    // remaining time already includes it
+    const today = WorkPolicy.apply(day(at(14, 0)), rules, { targetMinutes: 480, referenceTime: at(14, 0), isToday: true });
+    assert.equal(today.deductedMinutes, 0);
+    assert.equal(today.pendingDeductionMinutes, 20);
+    assert.equal(today.remainingMinutes, 480 - 290 + 20);
+    assert.deepEqual(types(today), ['mandatory-break']);
+
+    // A long enough break needs no deduction
+    const rested = WorkPolicy.apply(day(at(16, 0), at(12, 30)), rules, past(480, at(16, 0)));
+    assert.equal(rested.deductedMinutes, 0);
+    assert.deepEqual(rested.warnings, []);
+});
+
+test('core hours hold today\'s logout and flag late arrivals and early leaves', () => {
+    const rules = policy({ coreHours: { enabled: true, start: '08:30', end: '16:00' } });
+
+    const today = WorkPolicy.apply(day(at(13, 0)), rules, { targetMinutes: 360, referenceTime: at(13, 0), isToday: true });
+    assert.deepEqual(today.earliestLogout, at(16, 0));
+    assert.deepEqual(types(today), ['core-hours']);
+
+    const leftEarly = WorkPolicy.apply(day(at(15, 10)), rules, past(360, at(15, 10)));
+    assert.equal(leftEarly.earliestLogout, null);
+    assert.deepEqual(types(leftEarly), ['core-hours', 'core-hours']);
+});
+
+test('the daily maximum warns past the limit, and today ahead of it', () => {
+    const rules = policy({ maxDailyMinutes: 300 });
+
+    const over = WorkPolicy.apply(day(at(15, 10)), rules, past(360, at(15, 10)));
+    assert.deepEqual(types(over), ['max-daily']);
+
+    const morning = TimestampParser.calculateBreaksAlternating([at(9, 0)], at(11, 0));
+    const ahead = WorkPolicy.apply(morning, rules, { targetMinutes: 360, referenceTime: at(11, 0), isToday: true });
+    assert.deepEqual(types(ahead), ['max-daily']);
+
+    const off = WorkPolicy.apply(day(at(15, 10)), policy({ maxDailyMinutes: 0 }), past(360, at(15, 10)));
+    assert.deepEqual(off.warnings, []);
+});
@@ -0,0 +1,131 @@
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { ProfileImportError, ProfileStore, profileStorage } from '../profiles.js';
+
+// Just enough of localStorage for the store
+class MemoryStorage {
+    constructor() {
+        this.items = new Map();
+    }
+
+    get length() {
+        return this.items.size;
+    }
+
+    key(index) {
+        return [...this.items.keys()][index] ?? null;
+    }
+
+    getItem(key) {
+        return this.items.has(key) ? this.items.get(key) : null;
+    }
+
+    setItem(key, value) {
+        this.items.set(key, String(value));
+    }
+
+    removeItem(key) {
+        this.items.delete(key);
+    }
+}
+
+// Every test starts as a fresh page on the default profile
+beforeEach(() => {
+    Object.defineProperty(globalThis, 'localStorage', { value: new MemoryStorage(), configurable: true });
+    ProfileStore.setActive('default');
+});
+
+test('the default profile keeps the plain keys and database', () => {
+    profileStorage.setItem('workPolicy', '{}');
+
+    assert.deepEqual(ProfileStore.list(), [{ id: 'default', name: 'Default' }]);
+    assert.equal(ProfileStore.activeId, 'default');
+    assert.equal(localStorage.getItem('workPolicy'), '{}');
+    assert.equal(ProfileStore.databaseName(), 'logout-calculator');
+});
+
+test('other profiles store their settings apart', () => {
+    localStorage.setItem('theme', 'premium-dark');
+    const profile = ProfileStore.create('Team Lead');
+    ProfileStore.setActive(profile.id);
+
+    assert.equal(profile.id, 'team-lead');
+    assert.equal(profileStorage.getItem('theme'), null);
+
+    profileStorage.setItem('theme', 'sunset-vibes');
+    assert.equal(localStorage.getItem('profile:team-lead:theme'), 'sunset-vibes');
+    assert.equal(localStorage.getItem('theme'), 'premium-dark');
+    assert.equal(ProfileStore.databaseName(), 'logout-calculator-team-lead');
+
+    assert.deepEqual(ProfileStore.settings('team-lead'), { theme: 'sunset-vibes' });
+    assert.deepEqual(ProfileStore.settings('default'), { theme: 'premium-dark' });
+});
+
+test('a tab keeps its profile when another tab switches', async () => {
+    // A second copy of the module stands in for another open tab
+    const otherTab = await import('../profiles.js?other-tab');
+    otherTab.profileStorage.setItem('workHours', '7');
+
+    const desk = ProfileStore.create('Desk');
+    ProfileStore.setActive(desk.id);
+    profileStorage.setItem('workHours', '8');
+
+    otherTab.profileStorage.setItem('workHours', '9');
+
+    assert.equal(otherTab.ProfileStore.activeId, 'default');
+    assert.equal(otherTab.ProfileStore.databaseName(), 'logout-calculator');
+    assert.equal(localStorage.getItem('workHours'), '9');
+    assert.equal(localStorage.getItem('profile:desk:workHours'), '8');
+});
+
+test('only the app\'s own keys count as settings', () => {
+    localStorage.setItem('theme', 'premium-dark');
+    localStorage.setItem('otherApp:token', 'secret');
+    localStorage.setItem('debug', 'true');
+
+    assert.deepEqual(ProfileStore.settings('default'), { theme: 'premium-dark' });
+});
+
+test('names in use get a number and removing a profile drops its settings', () => {
+    const first = ProfileStore.create('Desk');
+    const second = ProfileStore.create('Desk');
+
+    assert.equal(second.name, 'Desk (2)');
+    assert.equal(second.id, 'desk-2');
+
+    ProfileStore.setActive(second.id);
+    profileStorage.setItem('workHours', '8');
+    ProfileStore.remove(second.id);
+
+    assert.equal(localStorage.getItem('profile:desk-2:workHours'), null);
+    assert.deepEqual(ProfileStore.list().map(profile => profile.id), ['default', first.id]);
+    assert.equal(ProfileStore.activeId, 'default');
+
+    ProfileStore.remove('default');
+    assert.equal(ProfileStore.list().length, 2);
+});
+
+test('an export reads back with its settings and history', () => {
+    const record = { date: '2026-02-03', punches: [{ time: '2026-02-03T09:00:00.000Z', label: null, direction: null }] };
+    const json = ProfileStore.toExport({ id: 'desk', name: 'Desk' }, { workHours: '8' }, [record, { date: 1 }]);
+
+    assert.deepEqual(ProfileStore.parseExport(json), {
+        name: 'Desk',
+        settings: { workHours: '8' },
+        history: [record]
+    });
+
+    assert.throws(() => ProfileStore.parseExport('nope'), /not JSON/);
+    assert.throws(() => ProfileStore.parseExport('{"name":"Desk"}'), /not a profile export/);
+});
+
+test('an import keeps only known settings and names the reason it failed', () => {
+    const json = ProfileStore.toExport({ id: 'desk', name: 'Desk' }, { workHours: '8', activeProfile: 'desk' }, []);
+    assert.deepEqual(ProfileStore.parseExport(json).settings, { workHours: '8' });
+
+    assert.throws(() => ProfileStore.parseExport('nope'), (error) => (
+        error instanceof ProfileImportError && error.key === 'profile.notJson'
+    ));
+    assert.throws(() => ProfileStore.parseExport('null'), (error) => error.key === 'profile.notExport');
+});
@@ -0,0 +1,41 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { HourBank } from '../reports.js';
+
+// Mon 2 - Fri 6 Feb 2026, then Mon 9 Feb
+const records = [
+    { date: '2026-02-02', activeMinutes: 540, requiredMinutes: 480 },
+    { date: '2026-02-03', activeMinutes: 450, requiredMinutes: 480 },
+    { date: '2026-02-04', activeMinutes: 510, requiredMinutes: 480 },
+    { date: '2026-02-09', activeMinutes: 420, requiredMinutes: 480 }
+];
+
+test('weeks total the days worked and carry the balance over', () => {
+    const weeks = HourBank.summarize(records, 'week');
+
+    assert.deepEqual(weeks.map(week => week.key), ['2026-02-02', '2026-02-09']);
+    assert.deepEqual(weeks.map(week => week.days), [3, 1]);
+    assert.deepEqual(weeks.map(week => week.balanceMinutes), [60, -60]);
+    assert.deepEqual(weeks.map(week => week.runningMinutes), [60, 0]);
+});
+
+test('months group by calendar month', () => {
+    const months = HourBank.summarize([...records, { date: '2026-03-02', activeMinutes: 500, requiredMinutes: 480 }], 'month');
+
+    assert.deepEqual(months.map(month => month.key), ['2026-02-01', '2026-03-01']);
+    assert.deepEqual(months.map(month => month.runningMinutes), [0, 20]);
+});
+
+test('today is adjusted by the balance banked earlier in its week', () => {
+    const bank = HourBank.todayAdjustment(records, '2026-02-05');
+
+    assert.equal(bank.balanceMinutes, 60);
+    // The day that did most for a positive balance
+    assert.equal(bank.topDay.date, '2026-02-02');
+
+    // Last week's surplus does not carry into a new week
+    assert.equal(HourBank.todayAdjustment(records.slice(0, 3), '2026-02-09'), null);
+    // Today itself does not count
+    assert.equal(HourBank.todayAdjustment(records, '2026-02-09'), null);
+});
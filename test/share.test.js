@@ -0,0 +1,49 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { ShareLink } from '../share.js';
+
+const at = (hours, minutes) => new Date(2026, 1, 3, hours, minutes);
+
+const day = {
+    punches: [
+        { time: at(9, 0), label: 'Main door · IN', direction: 'in' },
+        { time: at(12, 0), label: 'Main door', direction: null },
+        { time: at(12, 30), label: null, direction: 'in', inferred: true }
+    ],
+    workHours: 7.5,
+    loginTime: '09:00',
+    breaks: [{ start: '12:00', end: '12:30', minutes: 0 }, { start: '15:00', end: '', minutes: 15 }]
+};
+
+test('a shared day decodes to the same punches and settings', () => {
+    const shared = ShareLink.decode(`#${ShareLink.encode(day)}`);
+
+    assert.deepEqual(shared.punches.map(punch => punch.time), day.punches.map(punch => punch.time));
+    assert.deepEqual(shared.punches.map(punch => punch.label), ['Main door · IN', 'Main door', null]);
+    // Inferred directions are left to the calculation again
+    assert.deepEqual(shared.punches.map(punch => punch.direction), ['in', null, null]);
+    assert.equal(shared.workHours, 7.5);
+    assert.equal(shared.loginTime, '09:00');
+    assert.deepEqual(shared.breaks, day.breaks);
+});
+
+test('the link is URL-safe and keeps the page address', () => {
+    const url = ShareLink.toURL('https://example.com/app/?x=1#old', day);
+
+    assert.match(url, /^https:\/\/example\.com\/app\/\?x=1#share=[A-Za-z0-9_-]+$/);
+});
+
+test('a manual-mode day has no punches', () => {
+    const shared = ShareLink.decode(ShareLink.encode({ workHours: 6, loginTime: '08:15' }));
+
+    assert.deepEqual(shared.punches, []);
+    assert.equal(shared.loginTime, '08:15');
+});
+
+test('other fragments and damaged links give nothing', () => {
+    assert.equal(ShareLink.decode(''), null);
+    assert.equal(ShareLink.decode('#results'), null);
+    assert.equal(ShareLink.decode('#share=not-json'), null);
+    assert.equal(ShareLink.decode(`#share=${ShareLink.toBase64Url('{"v":99,"p":[]}')}`), null);
+});
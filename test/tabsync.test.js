@@ -0,0 +1,68 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { TabSync } from '../tabsync.js';
+
+// Resolves with the next thing a tab hears, by message type
+function listen(channelName) {
+    const heard = [];
+    let wake = () => {};
+    const record = (type) => (payload) => {
+        heard.push(payload === undefined ? { type } : { type, payload });
+        wake();
+    };
+
+    const sync = new TabSync(channelName, {
+        onReceive: record('input'),
+        onSettingsChange: record('settings'),
+        onHistoryChange: record('history')
+    });
+
+    sync.next = () => new Promise(resolve => {
+        wake = () => resolve(heard.shift());
+        if (heard.length > 0) {
+            wake();
+        }
+    });
+    return sync;
+}
+
+test('another tab on the channel gets the form and the change notices', async () => {
+    const sender = new TabSync('sync-test', { onReceive() {}, onSettingsChange() {}, onHistoryChange() {} });
+    const receiver = listen('sync-test');
+
+    const state = {
+        timestamps: '09:00:00\n03 Feb 2026',
+        loginTime: '09:00',
+        workHours: '8',
+        manualBreaks: [{ start: '12:00', end: '12:30', minutes: 0 }],
+        punchFixes: [{ type: 'drop', time: new Date(2026, 1, 3, 9, 0) }],
+        ignoredIssues: ['double:2026-02-03']
+    };
+
+    sender.post(state);
+    assert.deepEqual(await receiver.next(), { type: 'input', payload: state });
+
+    sender.postSettingsChange();
+    assert.deepEqual(await receiver.next(), { type: 'settings' });
+
+    sender.postHistoryChange();
+    assert.deepEqual(await receiver.next(), { type: 'history' });
+
+    sender.close();
+    receiver.close();
+});
+
+test('tabs on other channels hear nothing', async () => {
+    const sender = new TabSync('sync-test-a', { onReceive() {}, onSettingsChange() {}, onHistoryChange() {} });
+    const other = listen('sync-test-b');
+    const same = listen('sync-test-a');
+
+    sender.postSettingsChange();
+    assert.deepEqual(await same.next(), { type: 'settings' });
+
+    const nothing = await Promise.race([other.next(), new Promise(resolve => setTimeout(resolve, 50, 'nothing'))]);
+    assert.equal(nothing, 'nothing');
+
+    [sender, other, same].forEach(sync => sync.close());
+});
@@ -0,0 +1,59 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { ThemeEngine, ThemeImportError } from '../themes.js';
+
+const sunny = ThemeEngine.createTheme('  Sunny Day! ', {
+    accent: '#FFCC00',
+    background: '#fafafa',
+    card: '#ffffff',
+    text: '#222222'
+});
+
+test('custom themes get an id from their name and lower-case colours', () => {
+    assert.equal(sunny.id, 'custom-sunny-day');
+    assert.equal(sunny.name, 'Sunny Day!');
+    assert.equal(sunny.colors.accent, '#ffcc00');
+    assert.ok(ThemeEngine.isValidTheme(sunny));
+});
+
+test('contrast ratios follow WCAG', () => {
+    assert.equal(ThemeEngine.contrastRatio('#000000', '#ffffff'), 21);
+    assert.equal(ThemeEngine.contrastRatio('#777777', '#777777'), 1);
+    assert.equal(ThemeEngine.contrastRatio('#ffffff', '#767676').toFixed(2), '4.54');
+});
+
+test('contrast checks flag colours that are hard to read', () => {
+    const failing = ThemeEngine.contrastChecks(sunny).filter(check => !check.pass).map(check => check.key);
+    assert.deepEqual(failing, ['theme.buttonOnAccent']);
+});
+
+test('light and dark themes are told apart by their background', () => {
+    assert.equal(ThemeEngine.isDark(sunny), false);
+    assert.equal(ThemeEngine.isDark({ colors: { ...sunny.colors, background: '#101010' } }), true);
+});
+
+test('variables are derived from the four theme colours', () => {
+    const variables = ThemeEngine.variables(sunny);
+
+    assert.equal(variables['--color-bg-primary'], '#fafafa');
+    assert.equal(variables['--color-accent-purple'], '#ffcc00');
+    assert.equal(variables['--glass-bg'], 'rgba(255, 255, 255, 0.85)');
+    assert.equal(ThemeEngine.mix('#000000', '#ffffff', 0.5), '#808080');
+});
+
+test('exported themes import again and invalid entries are dropped', () => {
+    const json = ThemeEngine.toExport([sunny, { id: 'premium-dark', name: 'Clash', colors: sunny.colors }]);
+    assert.deepEqual(ThemeEngine.parseExport(json), [sunny]);
+
+    // A single theme object works too
+    assert.deepEqual(ThemeEngine.parseExport(JSON.stringify(sunny)), [sunny]);
+
+    assert.throws(() => ThemeEngine.parseExport('nope'), /not JSON/);
+    assert.throws(() => ThemeEngine.parseExport('{"themes": [{"id": "custom-x"}]}'), /no valid themes/);
+    assert.throws(() => ThemeEngine.parseExport('null'), /no valid themes/);
+    assert.throws(() => ThemeEngine.parseExport('42'), /no valid themes/);
+    assert.throws(() => ThemeEngine.parseExport('nope'), (error) => (
+        error instanceof ThemeImportError && error.key === 'theme.notJson'
+    ));
+});
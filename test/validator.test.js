@@ -0,0 +1,62 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { TimestampParser, PunchValidator } from '../core.js';
+
+const at = (hours, minutes, seconds = 0, day = 3) => new Date(2026, 1, day, hours, minutes, seconds);
+const punches = (...times) => times.map(time => TimestampParser.createPunch(time));
+const types = (issues) => issues.map(issue => issue.type);
+
+test('a clean day has no issues', () => {
+    const issues = PunchValidator.validate(punches(at(9, 0), at(12, 0), at(12, 30), at(17, 0)), at(10, 0, 0, 5));
+
+    assert.deepEqual(issues, []);
+});
+
+test('a double swipe offers to drop the second punch', () => {
+    const day = punches(at(9, 0), at(9, 0, 20), at(12, 0), at(12, 30), at(17, 0));
+    const [issue] = PunchValidator.validate(day, at(10, 0, 0, 5));
+
+    assert.equal(issue.type, 'double-swipe');
+    assert.deepEqual(issue.fix.changes, [{ action: 'drop', time: at(9, 0, 20) }]);
+    // Once dropped, the pairing is right again
+    assert.deepEqual(PunchValidator.validate(PunchValidator.applyFixes(day, issue.fix.changes), at(10, 0, 0, 5)), []);
+});
+
+test('a past day with an odd punch count is missing its last OUT', () => {
+    const short = PunchValidator.validate(punches(at(9, 0), at(12, 0), at(12, 30)), at(10, 0, 0, 5), 360);
+
+    assert.deepEqual(types(short), ['missing-out']);
+    // The target is not met yet: assume the person left once it was
+    assert.deepEqual(short[0].fix.changes, [{ action: 'insert', time: at(15, 30), direction: 'out' }]);
+
+    // Target already met: the stray IN goes
+    const long = PunchValidator.validate(punches(at(8, 0), at(12, 0), at(12, 30), at(15, 0), at(15, 5)), at(10, 0, 0, 5), 360);
+    assert.deepEqual(types(long), ['missing-out']);
+    assert.deepEqual(long[0].fix.changes, [{ action: 'drop', time: at(15, 5) }]);
+});
+
+test('today may still be open', () => {
+    assert.deepEqual(PunchValidator.validate(punches(at(9, 0), at(12, 0), at(12, 30)), at(13, 0)), []);
+});
+
+test('a break of several hours suggests a missed return punch', () => {
+    const issues = PunchValidator.validate(punches(at(8, 0), at(9, 0), at(14, 0), at(18, 0)), at(10, 0, 0, 5));
+
+    assert.deepEqual(types(issues), ['long-break']);
+    assert.deepEqual(issues[0].fix.changes, [{ action: 'insert', time: at(9, 30), direction: 'in' }]);
+});
+
+test('work that runs into the next morning is split at midnight', () => {
+    const night = [
+        TimestampParser.createPunch(at(20, 0), 'IN'),
+        TimestampParser.createPunch(at(2, 0, 0, 4), 'OUT')
+    ];
+    const issues = PunchValidator.validate(night, at(10, 0, 0, 5));
+
+    assert.deepEqual(types(issues), ['midnight']);
+    assert.deepEqual(issues[0].fix.changes, [
+        { action: 'insert', time: at(23, 59, 59), direction: 'out' },
+        { action: 'insert', time: at(0, 0, 0, 4), direction: 'in' }
+    ]);
+});
@@ -0,0 +1,476 @@
+import { TimesheetExporter } from './export.js';
+import { profileStorage } from './profiles.js';
+
+/**
+ * Thrown by ThemeEngine.parseExport; key names the i18n message for it
+ */
+export class ThemeImportError extends Error {
+    constructor(message, key) {
+        super(message);
+        this.key = key;
+    }
+}
+
+// ===================================
+// THEME ENGINE
+// ===================================
+
+export class ThemeEngine {
+    constructor({ i18n }) {
+        this.i18n = i18n;
+        this.select = document.getElementById('themeSelect');
+        this.themeColorMeta = document.querySelector('meta[name="theme-color"]');
+        this.darkQuery = window.matchMedia ? window.matchMedia('(prefers-color-scheme: dark)') : null;
+
+        this.customThemes = ThemeEngine.loadCustomThemes();
+        this.selected = profileStorage.getItem('theme') || 'auto';
+        if (!this.findTheme(this.selected)) {
+            this.selected = 'auto';
+        }
+
+        this.listeners = [];
+        this.renderOptions();
+        this.apply(this.selected);
+
+        this.select.addEventListener('change', () => this.choose(this.select.value));
+
+        // Auto follows the system setting as it changes
+        if (this.darkQuery) {
+            this.darkQuery.addEventListener('change', () => {
+                if (this.selected === 'auto') {
+                    this.apply('auto');
+                }
+            });
+        }
+    }
+
+    /**
+     * Themes defined in theme.css; auto picks one of the first two
+     */
+    static builtIns() {
+        return [
+            { id: 'office-light', name: 'Office Light', dark: false },
+            { id: 'premium-dark', name: 'Premium Dark', dark: true },
+            { id: 'royal-midnight', name: 'Royal Midnight', dark: true },
+            { id: 'emerald-forest', name: 'Emerald Forest', dark: true },
+            { id: 'sunset-vibes', name: 'Sunset Vibes', dark: true }
+        ];
+    }
+
+    static loadCustomThemes() {
+        try {
+            const saved = JSON.parse(profileStorage.getItem('customThemes'));
+            return Array.isArray(saved) ? saved.filter(ThemeEngine.isValidTheme) : [];
+        } catch (error) {
+            return [];
+        }
+    }
+
+    /**
+     * A custom theme is { id, name, colors: { accent, background, card, text } }
+     * with every colour a #rrggbb string
+     */
+    static isValidTheme(theme) {
+        return Boolean(theme) &&
+            typeof theme.id === 'string' && theme.id.startsWith('custom-') &&
+            typeof theme.name === 'string' && theme.name.trim() !== '' &&
+            Boolean(theme.colors) &&
+            ['accent', 'background', 'card', 'text'].every(key => /^#[0-9a-f]{6}$/i.test(theme.colors[key]));
+    }
+
+    /**
+     * Build a custom theme from a name and colours, with an id derived from the name
+     */
+    static createTheme(name, colors) {
+        const slug = name.trim().toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'theme';
+        return {
+            id: `custom-${slug}`,
+            name: name.trim(),
+            colors: {
+                accent: colors.accent.toLowerCase(),
+                background: colors.background.toLowerCase(),
+                card: colors.card.toLowerCase(),
+                text: colors.text.toLowerCase()
+            }
+        };
+    }
+
+    /**
+     * Themes in an exported file (or a single exported theme)
+     * Returns the valid ones; throws if there are none.
+     */
+    static parseExport(json) {
+        let data;
+        try {
+            data = JSON.parse(json);
+        } catch (error) {
+            throw new ThemeImportError('The file is not JSON', 'theme.notJson');
+        }
+
+        // null, numbers and strings are valid JSON too
+        if (!data || typeof data !== 'object') {
+            throw new ThemeImportError('The file holds no valid themes', 'theme.noThemes');
+        }
+
+        const themes = (Array.isArray(data.themes) ? data.themes : [data]).filter(ThemeEngine.isValidTheme);
+
+        if (themes.length === 0) {
+            throw new ThemeImportError('The file holds no valid themes', 'theme.noThemes');
+        }
+        return themes;
+    }
+
+    static toExport(themes) {
+        return JSON.stringify({ version: 1, themes: themes }, null, 2);
+    }
+
+    // ---- Colour math ----
+
+    static parseHex(hex) {
+        const value = parseInt(hex.slice(1), 16);
+        return [(value >> 16) & 255, (value >> 8) & 255, value & 255];
+    }
+
+    static toHex(rgb) {
+        return `#${rgb.map(channel => Math.round(channel).toString(16).padStart(2, '0')).join('')}`;
+    }
+
+    /**
+     * Blend two #rrggbb colours; amount 0 gives the first, 1 the second
+     */
+    static mix(from, to, amount) {
+        const a = ThemeEngine.parseHex(from);
+        const b = ThemeEngine.parseHex(to);
+        return ThemeEngine.toHex(a.map((channel, i) => channel + (b[i] - channel) * amount));
+    }
+
+    static rgba(hex, alpha) {
+        return `rgba(${ThemeEngine.parseHex(hex).join(', ')}, ${alpha})`;
+    }
+
+    /**
+     * Relative luminance (WCAG 2)
+     */
+    static luminance(hex) {
+        const [r, g, b] = ThemeEngine.parseHex(hex).map(channel => {
+            const c = channel / 255;
+            return c <= 0.03928 ? c / 12.92 : Math.pow((c + 0.055) / 1.055, 2.4);
+        });
+        return 0.2126 * r + 0.7152 * g + 0.0722 * b;
+    }
+
+    static contrastRatio(first, second) {
+        const [light, dark] = [ThemeEngine.luminance(first), ThemeEngine.luminance(second)].sort((a, b) => b - a);
+        return (light + 0.05) / (dark + 0.05);
+    }
+
+    static isDark(theme) {
+        return ThemeEngine.luminance(theme.colors.background) < 0.5;
+    }
+
+    /**
+     * CSS variables for a custom theme, on top of the built-in theme it is based on
+     */
+    static variables(theme) {
+        const { accent, background, card, text } = theme.colors;
+
+        return {
+            '--color-bg-primary': background,
+            '--color-bg-secondary': card,
+            '--color-bg-tertiary': ThemeEngine.mix(card, text, 0.1),
+            '--color-text-primary': text,
+            '--color-text-secondary': ThemeEngine.mix(text, card, 0.2),
+            '--color-text-muted': ThemeEngine.mix(text, card, 0.35),
+            '--color-text-accent': accent,
+            '--color-accent-purple': accent,
+            '--gradient-primary': `linear-gradient(135deg, ${accent} 0%, ${ThemeEngine.mix(accent, '#000000', 0.25)} 100%)`,
+            '--glass-bg': ThemeEngine.rgba(card, 0.85),
+            '--glass-border': ThemeEngine.rgba(text, 0.12)
+        };
+    }
+
+    /**
+     * WCAG AA checks for the colour pairs the page relies on
+     * Returns [{ key, ratio, pass }], key naming the pair's i18n string; body text needs 4.5:1, the large
+     * white text on accent buttons 3:1.
+     */
+    static contrastChecks(theme) {
+        const { accent, background, card, text } = theme.colors;
+        const muted = ThemeEngine.variables(theme)['--color-text-muted'];
+
+        return [
+            { key: 'theme.textOnBackground', ratio: ThemeEngine.contrastRatio(text, background), minimum: 4.5 },
+            { key: 'theme.textOnCard', ratio: ThemeEngine.contrastRatio(text, card), minimum: 4.5 },
+            { key: 'theme.hintOnCard', ratio: ThemeEngine.contrastRatio(muted, card), minimum: 4.5 },
+            { key: 'theme.buttonOnAccent', ratio: ThemeEngine.contrastRatio('#ffffff', accent), minimum: 3 }
+        ].map(check => ({ key: check.key, ratio: check.ratio, pass: check.ratio >= check.minimum }));
+    }
+
+    findTheme(id) {
+        if (id === 'auto') {
+            return { id: 'auto', name: this.i18n.t('theme.auto') };
+        }
+        return ThemeEngine.builtIns().find(theme => theme.id === id) ||
+            this.customThemes.find(theme => theme.id === id) ||
+            null;
+    }
+
+    renderOptions() {
+        this.select.innerHTML = '';
+
+        const option = (theme) => {
+            const element = document.createElement('option');
+            element.value = theme.id;
+            element.textContent = theme.name;
+            return element;
+        };
+
+        this.select.appendChild(option(this.findTheme('auto')));
+        ThemeEngine.builtIns().forEach(theme => this.select.appendChild(option(theme)));
+
+        if (this.customThemes.length > 0) {
+            const group = document.createElement('optgroup');
+            group.label = this.i18n.t('theme.custom');
+            this.customThemes.forEach(theme => group.appendChild(option(theme)));
+            this.select.appendChild(group);
+        }
+
+        this.select.value = this.selected;
+    }
+
+    /**
+     * Select and remember a theme
+     */
+    choose(id) {
+        this.selected = this.findTheme(id) ? id : 'auto';
+        profileStorage.setItem('theme', this.selected);
+        this.select.value = this.selected;
+        this.apply(this.selected);
+        this.listeners.forEach(listener => listener(this.selected));
+    }
+
+    onChange(listener) {
+        this.listeners.push(listener);
+    }
+
+    /**
+     * Put a theme on the page without selecting it (the editor's preview)
+     */
+    apply(id) {
+        const theme = this.findTheme(id);
+
+        if (theme && theme.colors) {
+            this.applyCustom(theme);
+            return;
+        }
+
+        const builtIn = id === 'auto'
+            ? (this.darkQuery && this.darkQuery.matches ? 'premium-dark' : 'office-light')
+            : id;
+        this.clearCustom();
+        document.documentElement.setAttribute('data-theme', builtIn);
+
+        const accent = getComputedStyle(document.documentElement).getPropertyValue('--color-accent-purple').trim();
+        this.setThemeColor(/^#[0-9a-f]{6}$/i.test(accent) ? accent : '#667eea');
+    }
+
+    applyCustom(theme) {
+        const root = document.documentElement;
+
+        // The light or dark built-in supplies everything the custom colours don't cover
+        root.setAttribute('data-theme', ThemeEngine.isDark(theme) ? 'premium-dark' : 'office-light');
+        Object.entries(ThemeEngine.variables(theme)).forEach(([name, value]) => {
+            root.style.setProperty(name, value);
+        });
+        this.setThemeColor(theme.colors.accent);
+    }
+
+    clearCustom() {
+        Object.keys(ThemeEngine.variables(ThemeEngine.createTheme('x', {
+            accent: '#000000', background: '#000000', card: '#000000', text: '#000000'
+        }))).forEach(name => document.documentElement.style.removeProperty(name));
+    }
+
+    setThemeColor(color) {
+        if (this.themeColorMeta) {
+            this.themeColorMeta.setAttribute('content', color);
+        }
+    }
+
+    /**
+     * Add or replace (same id) custom themes and store them
+     */
+    saveCustomThemes(themes) {
+        themes.forEach(theme => {
+            const index = this.customThemes.findIndex(saved => saved.id === theme.id);
+            if (index === -1) {
+                this.customThemes.push(theme);
+            } else {
+                this.customThemes[index] = theme;
+            }
+        });
+
+        profileStorage.setItem('customThemes', JSON.stringify(this.customThemes));
+        this.renderOptions();
+    }
+
+    deleteCustomTheme(id) {
+        this.customThemes = this.customThemes.filter(theme => theme.id !== id);
+        profileStorage.setItem('customThemes', JSON.stringify(this.customThemes));
+
+        if (this.selected === id) {
+            this.selected = 'auto';
+        }
+        this.renderOptions();
+        this.choose(this.selected);
+    }
+}
+
+// ===================================
+// THEME EDITOR
+// ===================================
+
+export class ThemeEditor {
+    constructor(engine, { i18n }) {
+        this.engine = engine;
+        this.i18n = i18n;
+
+        this.nameInput = document.getElementById('themeName');
+        this.colorInputs = {
+            accent: document.getElementById('themeAccent'),
+            background: document.getElementById('themeBackground'),
+            card: document.getElementById('themeCard'),
+            text: document.getElementById('themeText')
+        };
+        this.contrastList = document.getElementById('themeContrast');
+        this.statusText = document.getElementById('themeStatus');
+        this.saveButton = document.getElementById('themeSave');
+        this.discardButton = document.getElementById('themeDiscard');
+        this.deleteButton = document.getElementById('themeDelete');
+        this.exportButton = document.getElementById('themeExport');
+        this.importInput = document.getElementById('themeImport');
+
+        this.previewing = false;
+        this.load(engine.selected);
+        engine.onChange(id => this.load(id));
+
+        Object.values(this.colorInputs).forEach(input => {
+            input.addEventListener('input', () => this.preview());
+        });
+        this.nameInput.addEventListener('input', () => this.updateButtons());
+
+        this.saveButton.addEventListener('click', () => this.save());
+        this.discardButton.addEventListener('click', () => this.discard());
+        this.deleteButton.addEventListener('click', () => this.engine.deleteCustomTheme(this.engine.selected));
+        this.exportButton.addEventListener('click', () => this.exportThemes());
+        this.importInput.addEventListener('change', () => this.importThemes(this.importInput.files[0]));
+    }
+
+    /**
+     * Fill the editor from a custom theme, or from the colours of a built-in one
+     */
+    load(id) {
+        const theme = this.engine.findTheme(id);
+
+        if (theme && theme.colors) {
+            this.nameInput.value = theme.name;
+            Object.entries(theme.colors).forEach(([key, value]) => {
+                this.colorInputs[key].value = value;
+            });
+        } else {
+            const style = getComputedStyle(document.documentElement);
+            const read = (name, fallback) => {
+                const value = style.getPropertyValue(name).trim();
+                return /^#[0-9a-f]{6}$/i.test(value) ? value : fallback;
+            };
+
+            this.nameInput.value = '';
+            this.colorInputs.accent.value = read('--color-accent-purple', '#667eea');
+            this.colorInputs.background.value = read('--color-bg-primary', '#0a0e27');
+            this.colorInputs.card.value = read('--color-bg-secondary', '#151932');
+            this.colorInputs.text.value = read('--color-text-primary', '#ffffff');
+        }
+
+        this.previewing = false;
+        this.statusText.textContent = '';
+        this.renderChecks();
+        this.updateButtons();
+    }
+
+    read() {
+        return ThemeEngine.createTheme(this.nameInput.value || this.i18n.t('theme.defaultName'), {
+            accent: this.colorInputs.accent.value,
+            background: this.colorInputs.background.value,
+            card: this.colorInputs.card.value,
+            text: this.colorInputs.text.value
+        });
+    }
+
+    /**
+     * Show the colours on the whole page while editing
+     */
+    preview() {
+        this.previewing = true;
+        this.engine.applyCustom(this.read());
+        this.renderChecks();
+        this.updateButtons();
+    }
+
+    renderChecks() {
+        this.contrastList.innerHTML = '';
+
+        ThemeEngine.contrastChecks(this.read()).forEach(check => {
+            const item = document.createElement('li');
+            item.className = `theme-check ${check.pass ? 'pass' : 'fail'}`;
+            item.textContent = `${check.pass ? '✓' : '✗'} ${this.i18n.t(check.key)}: ${check.ratio.toFixed(1)}:1`;
+            this.contrastList.appendChild(item);
+        });
+    }
+
+    updateButtons() {
+        this.discardButton.disabled = !this.previewing;
+        this.deleteButton.disabled = !this.engine.customThemes.some(theme => theme.id === this.engine.selected);
+        this.saveButton.disabled = !this.nameInput.value.trim();
+    }
+
+    save() {
+        const theme = this.read();
+        const failing = ThemeEngine.contrastChecks(theme).filter(check => !check.pass);
+
+        this.engine.saveCustomThemes([theme]);
+        this.engine.choose(theme.id);
+        this.statusText.textContent = failing.length > 0
+            ? this.i18n.t('theme.savedHardToRead', { checks: failing.map(check => this.i18n.t(check.key)).join(', ') })
+            : this.i18n.t('theme.saved');
+    }
+
+    discard() {
+        this.engine.apply(this.engine.selected);
+        this.load(this.engine.selected);
+    }
+
+    exportThemes() {
+        const themes = this.engine.customThemes.length > 0 ? this.engine.customThemes : [this.read()];
+        TimesheetExporter.download('logout-calculator-themes.json', ThemeEngine.toExport(themes), 'application/json');
+    }
+
+    async importThemes(file) {
+        if (!file) {
+            return;
+        }
+
+        try {
+            const themes = ThemeEngine.parseExport(await file.text());
+            this.engine.saveCustomThemes(themes);
+            this.engine.choose(themes[0].id);
+            this.statusText.textContent = this.i18n.t('theme.imported', { count: themes.length });
+        } catch (error) {
+            this.statusText.textContent = this.i18n.t('theme.importFailed', {
+                file: file.name,
+                reason: error instanceof ThemeImportError ? this.i18n.t(error.key) : error.message
+            });
+        }
+
+        this.importInput.value = '';
+    }
+}
@@ -0,0 +1,138 @@
+// ===================================
+// DAY TIMELINE
+// ===================================
+
+export class DayTimeline {
+    constructor({ i18n }) {
+        this.i18n = i18n;
+
+        this.timelineSection = document.getElementById('timelineSection');
+        this.timelineContent = document.getElementById('timelineContent');
+    }
+
+    /**
+     * Draw one day's work and break periods to scale
+     * day: { workPeriods, breaks, shortBreaks, referenceTime, isToday,
+     *        remainingMinutes, projectedLogout, planned }
+     * The axis runs from the first punch to the projected logout (live) or
+     * the last punch (history). planned is the BreakPlanner projection,
+     * drawn as ghost blocks. Pass null to hide the timeline.
+     */
+    render(day) {
+        if (!day || day.workPeriods.length === 0) {
+            this.timelineSection.style.display = 'none';
+            return;
+        }
+
+        this.timelineSection.style.display = 'block';
+        this.timelineContent.innerHTML = '';
+
+        const t = (key, params) => this.i18n.t(key, params);
+        const formatTime = (date) => this.i18n.formatTime(date);
+
+        // "Work: 09:00 - 12:30 (3:30)"
+        const describe = (name, period) => t('timeline.block', {
+            name,
+            start: formatTime(period.start),
+            end: formatTime(period.end),
+            duration: this.i18n.formatDuration(period.minutes)
+        });
+
+        const shortBreaks = day.shortBreaks || [];
+        const periods = [
+            ...day.workPeriods.map(period => ({ ...period, type: 'work' })),
+            ...day.breaks.map(period => ({ ...period, type: 'break', countedAsWork: shortBreaks.includes(period) }))
+        ].sort((a, b) => a.start - b.start);
+
+        // Remaining required work and planned breaks, from now up to the projected logout
+        const planned = day.isToday && day.planned && day.remainingMinutes > 0
+            ? day.planned
+            : { workPeriods: [], breaks: [] };
+
+        const start = periods[0].start;
+        const end = new Date(Math.max(
+            periods[periods.length - 1].end,
+            day.isToday && day.projectedLogout ? day.projectedLogout : 0
+        ));
+        const span = Math.max(1, end - start);
+
+        const position = (date) => `${((date - start) / span) * 100}%`;
+        const width = (from, to) => `${((to - from) / span) * 100}%`;
+
+        const track = document.createElement('div');
+        track.className = 'timeline-track';
+
+        const addBlock = (className, from, to, tooltip) => {
+            const block = document.createElement('div');
+            block.className = `timeline-block ${className}`;
+            block.style.left = position(from);
+            block.style.width = width(from, to);
+            block.tabIndex = 0;
+            block.dataset.tooltip = tooltip;
+            block.setAttribute('aria-label', tooltip);
+            track.appendChild(block);
+        };
+
+        periods.forEach(period => {
+            const classes = [period.type];
+            let name = t(period.type === 'work' ? 'timeline.work' : 'timeline.break');
+
+            if (period.ongoing) {
+                classes.push('ongoing');
+                name += t('breakdown.ongoing');
+            }
+            if (period.countedAsWork) {
+                classes.push('counted');
+                name += t('breakdown.countedAsWork');
+            }
+
+            addBlock(classes.join(' '), period.start, period.end, describe(name, period));
+        });
+
+        planned.workPeriods.forEach(period => {
+            addBlock('remaining', period.start, period.end, describe(t('timeline.remaining'), period));
+        });
+
+        planned.breaks.forEach(period => {
+            const name = period.label
+                ? t('timeline.plannedNamed', { label: period.label })
+                : t('timeline.planned');
+            addBlock('break planned', period.start, period.end, describe(name, period));
+        });
+
+        if (day.isToday) {
+            const marker = document.createElement('div');
+            marker.className = 'timeline-now';
+            marker.style.left = position(day.referenceTime);
+            marker.title = t('timeline.now', { time: formatTime(day.referenceTime) });
+            track.appendChild(marker);
+        }
+
+        // Hour ticks under the track
+        const axis = document.createElement('div');
+        axis.className = 'timeline-axis';
+
+        const tick = new Date(start);
+        tick.setMinutes(0, 0, 0);
+        tick.setHours(tick.getHours() + 1);
+
+        // Keep the labels readable on long spans
+        const hourStep = Math.max(1, Math.ceil(span / 3600000 / 12));
+
+        for (; tick < end; tick.setHours(tick.getHours() + hourStep)) {
+            const label = document.createElement('span');
+            label.className = 'timeline-tick';
+            label.style.left = position(tick);
+            label.textContent = formatTime(tick);
+            axis.appendChild(label);
+        }
+
+        const range = document.createElement('div');
+        range.className = 'timeline-range';
+        range.innerHTML = `<span>${formatTime(start)}</span><span>${formatTime(end)}</span>`;
+
+        this.timelineContent.appendChild(track);
+        this.timelineContent.appendChild(axis);
+        this.timelineContent.appendChild(range);
+    }
+}